@@ -0,0 +1,90 @@
+const BOUNDARY_MODES = ['none', 'sentence', 'paragraph']
+
+// Words usually followed by a period that does not end a sentence. Single letters and words with inner periods
+// such as e.g. or U.S. are treated as abbreviations as well.
+const ABBREVIATIONS = new Set([
+    'mr', 'mrs', 'ms', 'messrs', 'dr', 'prof', 'sr', 'jr', 'st', 'mt', 'capt', 'col', 'gen', 'lt', 'sgt', 'rev',
+    'hon', 'gov', 'vs', 'cf', 'fig', 'vol', 'ch', 'pp', 'ed', 'approx', 'dept', 'inc', 'ltd', 'corp',
+    'jan', 'feb', 'mar', 'apr', 'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+    'bzw', 'ca', 'hr', 'fr', 'nr', 'str', 'vgl'
+])
+
+// Sentence-ending punctuation followed by closing quotes and brackets
+const SENTENCE_END = /[\p{Sentence_Terminal}…]+[\p{Pe}\p{Pf}"'»]*/gu
+// Whitespace and opening quotes or brackets before the first letter of the next sentence
+const NEXT_LETTER = /\s*[\p{Ps}\p{Pi}"'«]*(\p{Letter})?/uy
+// Blank lines, including lines of only whitespace, and the Unicode paragraph separator
+const PARAGRAPH_END = /\n[^\S\n]*\n|\u2029/g
+
+/**
+ * Splits raw text at sentence or paragraph boundaries so no sequence is formed across them.
+ * Text must be raw rather than formatted, since formatText removes the punctuation boundaries are found at.
+ * @param {string} text - Raw text
+ * @param {string} mode - none, sentence (which also splits at paragraphs) or paragraph
+ * @returns {Array} - Segments of the text, a single segment for none
+ */
+function splitAtBoundaries(text, mode = 'none') {
+    if (!BOUNDARY_MODES.includes(mode)) {
+        throw new Error(`Invalid argument for --boundary: ${mode}. Expected one of ${BOUNDARY_MODES.join(', ')}.`)
+    }
+    if (mode === 'none') {
+        return [text]
+    }
+
+    const cuts = []
+    for (const match of text.matchAll(PARAGRAPH_END)) {
+        cuts.push(match.index + match[0].length)
+    }
+    if (mode === 'sentence') {
+        for (const match of text.matchAll(SENTENCE_END)) {
+            if (isSentenceEnd(text, match.index, match[0])) {
+                cuts.push(match.index + match[0].length)
+            }
+        }
+        cuts.sort((a, b) => a - b)
+    }
+
+    const segments = []
+    let start = 0
+    cuts.forEach(cut => {
+        segments.push(text.slice(start, cut))
+        start = cut
+    })
+    segments.push(text.slice(start))
+    return segments
+}
+
+/**
+ * Decides whether sentence-ending punctuation ends a sentence. It does not when it is followed by a lowercase letter,
+ * directly by more text (except after full-width punctuation), or when a single period follows an abbreviation.
+ * @param {string} text - Raw text
+ * @param {number} index - Index of the punctuation
+ * @param {string} punctuation - The punctuation and any closing quotes or brackets after it
+ * @returns {boolean} - Whether the sentence ends
+ */
+function isSentenceEnd(text, index, punctuation) {
+    const end = index + punctuation.length
+    const fullWidth = /[\u3000-\u303f\uff00-\uffef]/.test(punctuation)
+    if (end < text.length && !/\s/.test(text[end]) && !fullWidth) {
+        return false
+    }
+
+    NEXT_LETTER.lastIndex = end
+    const [, nextLetter] = NEXT_LETTER.exec(text) || []
+    if (nextLetter && /\p{Lowercase_Letter}/u.test(nextLetter)) {
+        return false
+    }
+
+    if (punctuation[0] === '.' && punctuation[1] !== '.') {
+        const [word = ''] = /[\p{Letter}.]*$/u.exec(text.slice(Math.max(0, index - 20), index))
+        if (word.length === 1 || word.includes('.') || ABBREVIATIONS.has(word.toLowerCase())) {
+            return false
+        }
+    }
+    return true
+}
+
+module.exports = {
+    BOUNDARY_MODES,
+    splitAtBoundaries
+}
@@ -0,0 +1,119 @@
+const { splitAtBoundaries } = require('./boundaries');
+const { stemWord } = require('./stemmer');
+const { createStopwordFilter } = require('./stopwords');
+const { createTokenizer, foldCase } = require('./tokenizer');
+
+// Words of surrounding text shown on each side of an occurrence when no context is given
+const DEFAULT_CONTEXT = 5
+
+/**
+ * Splits raw text into the words formatText produces, keeping where each word starts and ends in the raw text
+ * @param {string} text - Raw text
+ * @param {Object} options - Optional tokenizer options locale, numbers, hyphens and apostrophes
+ * @returns {Array} - Tokens with the formatted word and its start and end offsets in the raw text
+ */
+function tokenizeWithOffsets(text, options = {}) {
+    return createTokenizer(options).tokens(text)
+}
+
+/**
+ * Finds where sequences occur in raw text, forming sequences the same way they are counted
+ * @param {string} text - Raw text of a single input
+ * @param {Array} sequences - Formatted sequences to find, of any lengths
+ * @param {Object} options - context words to show on each side, and the counting options stopwords, stopwordMode,
+ * stem, preserveCase, boundary and the tokenizer options
+ * @returns {Array} - Occurrences in text order with the sequence found, its 1-based line and column, the raw text
+ * matched, and the raw text of the context words before and after it, including the whitespace next to the match
+ */
+function findOccurrences(text, sequences, options = {}) {
+    const { context = DEFAULT_CONTEXT, stem = false, preserveCase = false, locale = 'auto', boundary = 'none' } = options
+    const filter = createStopwordFilter(options.stopwords, options.stopwordMode, options.lowercase === false)
+    const tokenizer = createTokenizer(options)
+    // Words are matched the way they are grouped when ranked, so every variant counted under a listed form is shown
+    const getWordKey = word => {
+        const folded = preserveCase ? foldCase(word, locale) : word
+        return stem ? stemWord(folded) : folded
+    }
+    const targets = new Map(sequences.map(sequence => [sequence.split(' ').map(getWordKey).join(' '), sequence]))
+    const sizes = Array.from(new Set(sequences.map(sequence => sequence.split(' ').length)))
+
+    // Tokenized segment by segment like the counter, which formats each segment separately
+    const tokens = []
+    const segments = []
+    let offset = 0
+    splitAtBoundaries(text, boundary).forEach(segment => {
+        const segmentTokens = tokenizer.tokens(segment).map(token => {
+            const shifted = { ...token, start: token.start + offset, end: token.end + offset, index: tokens.length }
+            tokens.push(shifted)
+            return shifted
+        })
+        segments.push(filter ? segmentTokens.filter(token => filter.removeWords([token.word]).length) : segmentTokens)
+        offset += segment.length
+    })
+
+    const occurrences = []
+    const position = createPositionTracker(text)
+    segments.forEach(words => {
+        const keys = words.map(token => getWordKey(token.word))
+        words.forEach((first, i) => {
+            sizes.forEach(size => {
+                if (i + size > words.length) {
+                    return
+                }
+                const sequence = targets.get(keys.slice(i, i + size).join(' '))
+                if (sequence === undefined) {
+                    return
+                }
+                const last = words[i + size - 1]
+                // Near the start or end of the text, the context runs to the start or end
+                const beforeStart = first.index >= context ? tokens[first.index - context].start : 0
+                const afterEnd = last.index + context < tokens.length ? tokens[last.index + context].end : text.length
+                occurrences.push({
+                    sequence,
+                    ...position(first.start),
+                    before: context ? collapseWhitespace(text.slice(beforeStart, first.start)).trimStart() : '',
+                    match: collapseWhitespace(text.slice(first.start, last.end)),
+                    after: context ? collapseWhitespace(text.slice(last.end, afterEnd)).trimEnd() : ''
+                })
+            })
+        })
+    })
+
+    return occurrences
+}
+
+/**
+ * Creates a function converting offsets into line and column numbers, for offsets given in ascending order
+ * @param {string} text - Raw text
+ * @returns {Function} - Function taking an offset and returning its 1-based line and column, counted in characters
+ */
+function createPositionTracker(text) {
+    let line = 1
+    let lineStart = 0
+    let scanned = 0
+
+    return offset => {
+        for (; scanned < offset; scanned++) {
+            if (text[scanned] === '\n') {
+                line++
+                lineStart = scanned + 1
+            }
+        }
+        return { line, column: Array.from(text.slice(lineStart, offset)).length + 1 }
+    }
+}
+
+/**
+ * Joins the lines of a piece of raw text with single spaces
+ * @param {string} text - Raw text
+ * @returns {string} - Text on a single line, with whitespace at the ends kept as a single space
+ */
+function collapseWhitespace(text) {
+    return text.replace(/\s+/g, ' ')
+}
+
+module.exports = {
+    DEFAULT_CONTEXT,
+    findOccurrences,
+    tokenizeWithOffsets
+}
@@ -0,0 +1,279 @@
+const fs = require('fs');
+const { Transform } = require('stream');
+
+// Encodings offered by --encoding, besides auto
+const ENCODINGS = ['utf-8', 'utf-16le', 'utf-16be', 'latin1', 'windows-1252']
+
+// Bytes read from the start of a text to detect its encoding
+const DETECT_BYTES = 64 * 1024
+
+const BYTE_ORDER_MARKS = [
+    ['utf-8', Buffer.from([0xef, 0xbb, 0xbf])],
+    ['utf-16le', Buffer.from([0xff, 0xfe])],
+    ['utf-16be', Buffer.from([0xfe, 0xff])]
+]
+
+// Characters of the bytes 0x80 to 0x9F in Windows-1252, which Latin-1 leaves to control characters.
+// The five bytes Windows-1252 does not define are read as in Latin-1.
+const WINDOWS_1252_HIGH = '€\x81‚ƒ„…†‡ˆ‰Š‹Œ\x8dŽ\x8f\x90‘’“”•–—˜™š›œ\x9džŸ'
+
+const REPLACEMENT_CHARACTER = '\ufffd'
+
+/**
+ * Detects the encoding of text from its first bytes. A byte order mark decides the encoding. Without one, text with
+ * zero bytes in most odd or even positions is read as UTF-16, and text with more valid UTF-8 characters of several
+ * bytes than invalid bytes as UTF-8. Any other text is read as Windows-1252 when it has bytes from 0x80 to 0x9F,
+ * which Windows-1252 uses for quotes and dashes, and as Latin-1 otherwise.
+ * @param {Buffer} head - First bytes of the text
+ * @returns {Object} - Object with the encoding and the length of its byte order mark, 0 without one
+ */
+function detectEncoding(head) {
+    for (const [encoding, bom] of BYTE_ORDER_MARKS) {
+        if (startsWith(head, bom)) {
+            return { encoding, bomLength: bom.length }
+        }
+    }
+
+    // ASCII characters in UTF-16 have a zero high byte, which comes second in little endian order
+    let evenZeros = 0
+    let oddZeros = 0
+    for (let i = 0; i + 1 < head.length; i += 2) {
+        evenZeros += head[i] === 0 ? 1 : 0
+        oddZeros += head[i + 1] === 0 ? 1 : 0
+    }
+    const pairs = Math.floor(head.length / 2)
+    if (oddZeros >= pairs / 4 && oddZeros > evenZeros * 4) {
+        return { encoding: 'utf-16le', bomLength: 0 }
+    }
+    if (evenZeros >= pairs / 4 && evenZeros > oddZeros * 4) {
+        return { encoding: 'utf-16be', bomLength: 0 }
+    }
+
+    // A few invalid bytes among valid characters are damage to UTF-8 text rather than another encoding
+    const { valid, invalid } = countUtf8Sequences(head.subarray(0, findCompleteEnd(head, 'utf-8')))
+    if (!invalid || valid > invalid) {
+        return { encoding: 'utf-8', bomLength: 0 }
+    }
+    return { encoding: head.some(byte => byte >= 0x80 && byte <= 0x9f) ? 'windows-1252' : 'latin1', bomLength: 0 }
+}
+
+/**
+ * Counts the valid UTF-8 characters of more than one byte and the bytes that are not part of a valid character
+ * @param {Buffer} bytes - Bytes
+ * @returns {Object} - Object with the valid and invalid counts
+ */
+function countUtf8Sequences(bytes) {
+    let valid = 0
+    let invalid = 0
+    let i = 0
+    while (i < bytes.length) {
+        const byte = bytes[i]
+        if (byte < 0x80) {
+            i++
+            continue
+        }
+        // Overlong forms and code points past U+10FFFF start with C0, C1 or F5 to FF
+        const length = byte >= 0xc2 && byte <= 0xdf ? 2 : byte >= 0xe0 && byte <= 0xef ? 3 : byte >= 0xf0 && byte <= 0xf4 ? 4 : 0
+        let continuations = 1
+        while (continuations < length && (bytes[i + continuations] & 0xc0) === 0x80) {
+            continuations++
+        }
+        if (length && continuations === length) {
+            valid++
+            i += length
+        } else {
+            invalid++
+            i++
+        }
+    }
+    return { valid, invalid }
+}
+
+/**
+ * Detects the encoding of a file from its first bytes
+ * @param {string} file - File path
+ * @returns {Promise<Object>} - Object with the encoding and the length of its byte order mark
+ */
+async function detectFileEncoding(file) {
+    const handle = await fs.promises.open(file, 'r')
+    try {
+        const buffer = Buffer.alloc(DETECT_BYTES)
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0)
+        return detectEncoding(buffer.subarray(0, bytesRead))
+    } finally {
+        await handle.close()
+    }
+}
+
+/**
+ * Checks whether an encoding keeps ASCII characters as single bytes, so text in it can be cut at any whitespace byte
+ * @param {string} encoding - Encoding
+ * @returns {boolean} - Whether the encoding is a superset of ASCII
+ */
+function isAsciiCompatible(encoding) {
+    return !encoding.startsWith('utf-16')
+}
+
+/**
+ * Creates a transform from text in an encoding to UTF-8. With auto, the encoding is detected from the first bytes.
+ * A byte order mark of the encoding is dropped, and invalid byte sequences are replaced with U+FFFD.
+ * @param {string} encoding - auto or one of ENCODINGS
+ * @param {Function} onInvalid - Optional function called at the end with the encoding and the count of invalid
+ * byte sequences replaced, when there were any
+ * @returns {Transform} - Transform from encoded bytes to UTF-8
+ */
+function createDecodeTransform(encoding = 'auto', onInvalid) {
+    if (encoding !== 'auto' && !ENCODINGS.includes(encoding)) {
+        throw new Error(`Invalid argument for --encoding: ${encoding}. Expected auto or one of ${ENCODINGS.join(', ')}.`)
+    }
+    let head = []
+    let headLength = 0
+    let decoder = null
+
+    const start = () => {
+        const bytes = Buffer.concat(head)
+        head = null
+        const detected = encoding === 'auto' ? detectEncoding(bytes) : { encoding, bomLength: 0 }
+        const bom = BYTE_ORDER_MARKS.find(([bomEncoding]) => bomEncoding === detected.encoding)
+        const bomLength = bom && startsWith(bytes, bom[1]) ? bom[1].length : 0
+        decoder = createDecoder(detected.encoding)
+        return decoder.write(bytes.subarray(bomLength))
+    }
+
+    return new Transform({
+        transform(chunk, chunkEncoding, callback) {
+            if (decoder) {
+                callback(null, decoder.write(chunk))
+                return
+            }
+            // Bytes are held back until there are enough to detect the encoding from
+            head.push(chunk)
+            headLength += chunk.length
+            callback(null, headLength >= DETECT_BYTES ? start() : undefined)
+        },
+        flush(callback) {
+            const text = decoder ? Buffer.alloc(0) : start()
+            const rest = Buffer.concat([text, decoder.end()])
+            if (decoder.replaced && onInvalid) {
+                onInvalid({ encoding: decoder.encoding, count: decoder.replaced })
+            }
+            callback(null, rest)
+        }
+    })
+}
+
+/**
+ * Creates an incremental decoder to UTF-8. Characters split across chunks are held back until the rest arrives.
+ * @param {string} encoding - One of ENCODINGS
+ * @returns {Object} - Decoder with write(bytes) and end() returning UTF-8 bytes, the encoding and the count of
+ * invalid byte sequences replaced so far
+ */
+function createDecoder(encoding) {
+    if (encoding === 'latin1' || encoding === 'windows-1252') {
+        // Every byte is a character, so nothing is held back or replaced
+        const decode = encoding === 'latin1'
+            ? bytes => bytes.toString('latin1')
+            : bytes => bytes.toString('latin1').replace(/[\x80-\x9f]/g, char => WINDOWS_1252_HIGH[char.charCodeAt(0) - 0x80])
+        return { encoding, replaced: 0, write: bytes => Buffer.from(decode(bytes)), end: () => Buffer.alloc(0) }
+    }
+
+    const textDecoder = new TextDecoder(encoding, { ignoreBOM: true })
+    const replacement = Buffer.from(REPLACEMENT_CHARACTER, encoding === 'utf-8' ? 'utf8' : 'utf16le')
+    if (encoding === 'utf-16be') {
+        replacement.swap16()
+    }
+    let carry = Buffer.alloc(0)
+
+    const decoder = {
+        encoding,
+        replaced: 0,
+        write(bytes) {
+            const data = carry.length ? Buffer.concat([carry, bytes]) : bytes
+            const end = findCompleteEnd(data, encoding)
+            carry = Buffer.from(data.subarray(end))
+            return decodeComplete(data.subarray(0, end))
+        },
+        end() {
+            const rest = carry
+            carry = Buffer.alloc(0)
+            return decodeComplete(rest)
+        }
+    }
+
+    /**
+     * Decodes bytes ending on a whole character, counting the replacement characters that were not in the text
+     * @param {Buffer} bytes - Encoded bytes
+     * @returns {Buffer} - UTF-8 bytes
+     */
+    function decodeComplete(bytes) {
+        const text = textDecoder.decode(bytes)
+        if (!text.includes(REPLACEMENT_CHARACTER)) {
+            // Valid UTF-8 is passed through as it is
+            return encoding === 'utf-8' ? bytes : Buffer.from(text)
+        }
+        decoder.replaced += text.split(REPLACEMENT_CHARACTER).length - 1 - countOccurrences(bytes, replacement, encoding === 'utf-8' ? 1 : 2)
+        return Buffer.from(text)
+    }
+
+    return decoder
+}
+
+/**
+ * Finds where the last whole character of a multi-byte encoding ends
+ * @param {Buffer} bytes - Encoded bytes
+ * @param {string} encoding - utf-8, utf-16le or utf-16be
+ * @returns {number} - Offset after the last whole character, before any character that is cut off
+ */
+function findCompleteEnd(bytes, encoding) {
+    if (encoding !== 'utf-8') {
+        let end = bytes.length - bytes.length % 2
+        const lastUnit = end < 2 ? 0 : encoding === 'utf-16le' ? bytes.readUInt16LE(end - 2) : bytes.readUInt16BE(end - 2)
+        // A high surrogate needs the low surrogate that follows it
+        if (lastUnit >= 0xd800 && lastUnit <= 0xdbff) {
+            end -= 2
+        }
+        return end
+    }
+
+    for (let i = bytes.length - 1; i >= Math.max(0, bytes.length - 4); i--) {
+        if ((bytes[i] & 0xc0) === 0x80) {
+            continue
+        }
+        const length = bytes[i] >= 0xf0 ? 4 : bytes[i] >= 0xe0 ? 3 : bytes[i] >= 0xc0 ? 2 : 1
+        return bytes.length - i < length ? i : bytes.length
+    }
+    return bytes.length
+}
+
+/**
+ * Counts the occurrences of a byte sequence starting at a multiple of an alignment
+ * @param {Buffer} bytes - Bytes to search
+ * @param {Buffer} sequence - Byte sequence
+ * @param {number} alignment - Alignment of the occurrences counted, such as 2 for UTF-16 code units
+ * @returns {number} - Number of occurrences
+ */
+function countOccurrences(bytes, sequence, alignment) {
+    let count = 0
+    for (let i = bytes.indexOf(sequence); i !== -1; i = bytes.indexOf(sequence, i + 1)) {
+        count += i % alignment === 0 ? 1 : 0
+    }
+    return count
+}
+
+/**
+ * Checks whether bytes start with a byte sequence
+ * @param {Buffer} bytes - Bytes
+ * @param {Buffer} prefix - Byte sequence
+ * @returns {boolean} - Whether the bytes start with the sequence
+ */
+function startsWith(bytes, prefix) {
+    return bytes.length >= prefix.length && bytes.subarray(0, prefix.length).equals(prefix)
+}
+
+module.exports = {
+    ENCODINGS,
+    createDecodeTransform,
+    detectEncoding,
+    detectFileEncoding,
+    isAsciiCompatible
+}
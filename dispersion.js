@@ -0,0 +1,78 @@
+// Orders of the listed sequences: by count, or by count times Juilland's D
+const RANK_MODES = ['count', 'adjusted']
+
+/**
+ * Parses how inputs are split into segments for dispersion
+ * @param {string|number} value - file for one segment per input, a number of words, or a regular expression
+ * matching the headings segments start at
+ * @returns {Object} - Segmentation with type file, words with size, or heading with regex
+ */
+function parseSegmentOption(value) {
+    const text = String(value).trim()
+    if (text === 'file') {
+        return { type: 'file' }
+    }
+    if (/^\d+$/.test(text)) {
+        if (Number(text) < 1) {
+            throw new Error(`Invalid argument for --segment-by: ${value}. Segments must be at least 1 word long.`)
+        }
+        return { type: 'words', size: Number(text) }
+    }
+    try {
+        return { type: 'heading', regex: new RegExp(text, 'gmu') }
+    } catch (err) {
+        throw new Error(`Invalid argument for --segment-by: ${value}. Expected file, a number of words such as 1000 or a regular expression matching headings such as ^CHAPTER \\d+.`)
+    }
+}
+
+/**
+ * Splits the raw text of an input into segments. Heading segments start at the first character of each heading
+ * that is not whitespace, with any text before the first heading as a segment of its own, and word segments are cut
+ * before every size-th word.
+ * @param {string} text - Raw text of an input
+ * @param {Object} segmentBy - Segmentation from parseSegmentOption
+ * @param {Object} tokenizer - Tokenizer from createTokenizer, finding where words start for word segments
+ * @returns {Array} - Raw text of each segment, in order
+ */
+function splitIntoSegments(text, segmentBy, tokenizer) {
+    let cuts = []
+    if (segmentBy.type === 'heading') {
+        // Whitespace matched before a heading stays with the segment before it, keeping blank lines whole
+        cuts = Array.from(text.matchAll(segmentBy.regex), match => match.index + match[0].search(/\S|$/))
+    } else if (segmentBy.type === 'words') {
+        cuts = tokenizer.tokens(text).filter((token, index) => index % segmentBy.size === 0).map(({ start }) => start)
+    }
+    const starts = Array.from(new Set([0, ...cuts.filter(cut => cut > 0)]))
+    return starts.map((start, i) => text.slice(start, starts[i + 1]))
+}
+
+/**
+ * Works out how evenly a sequence is spread over segments with Juilland's D, from the coefficient of variation of its
+ * frequency relative to the length of each segment. D is 1 for a sequence equally frequent in every segment and 0 for
+ * one found in a single segment.
+ * @param {Array} counts - Count of the sequence in each segment
+ * @param {Array} lengths - Number of words of each segment
+ * @returns {Object} - Object with the number of segments containing the sequence as range and Juilland's D as
+ * dispersion, null with fewer than two segments
+ */
+function getDispersion(counts, lengths) {
+    const range = counts.filter(count => count > 0).length
+    const n = counts.length
+    if (n < 2) {
+        return { range, dispersion: null }
+    }
+    const frequencies = counts.map((count, i) => lengths[i] ? count / lengths[i] : 0)
+    const mean = frequencies.reduce((sum, frequency) => sum + frequency, 0) / n
+    if (!mean) {
+        return { range, dispersion: 0 }
+    }
+    const deviation = Math.sqrt(frequencies.reduce((sum, frequency) => sum + (frequency - mean) ** 2, 0) / n)
+    return { range, dispersion: Math.max(0, 1 - deviation / mean / Math.sqrt(n - 1)) }
+}
+
+module.exports = {
+    RANK_MODES,
+    getDispersion,
+    parseSegmentOption,
+    splitIntoSegments
+}
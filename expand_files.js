@@ -0,0 +1,226 @@
+const fs = require('fs');
+const path = require('path');
+
+// Directories skipped like hidden ones when walking, unless a glob names them after its first wildcard, as the
+// dependencies they hold are rarely meant to be counted
+const SKIPPED_DIRECTORIES = ['node_modules']
+
+/**
+ * Expands file paths, directories and glob patterns into a list of files without relying on the shell.
+ * Directories contribute the supported files directly inside them, or all supported files below them when recursive.
+ * @param {Array} patterns - File paths, directory paths or glob patterns such as books/**\/*.txt
+ * @param {Object} options - recursive, exclude glob patterns and supportedExtensions for files found in directories
+ * @returns {Promise<Object>} - Object with the files to process, the excluded and unsupported files skipped,
+ * the missing and unreadable paths that failed, and whether any directory or glob was expanded
+ */
+async function expandFiles(patterns = [], options = {}) {
+    const { recursive = false, exclude = [], supportedExtensions = [] } = options
+    // Exclude patterns match the end of a path at a directory boundary, so *.md and drafts/** match in any directory
+    const excludeRegExps = exclude.map(pattern => new RegExp(`(?:^|/)${globToSource(normalizePattern(String(pattern)))}$`))
+    const result = { files: [], excluded: [], unsupported: [], missing: [], unreadable: [], expanded: false }
+    const seen = new Set()
+
+    const isExcluded = file => excludeRegExps.some(regExp => regExp.test(file))
+    const isSupported = file => supportedExtensions.some(extension => file.toLowerCase().endsWith(extension))
+
+    async function addFile(file, fromExpansion) {
+        // Files named explicitly are kept as often as they are given, files matched again by a directory or glob are not
+        if (fromExpansion && seen.has(file)) {
+            return
+        }
+        seen.add(file)
+        if (isExcluded(file)) {
+            result.excluded.push(file)
+            return
+        }
+        if (fromExpansion === 'directory' && supportedExtensions.length && !isSupported(file)) {
+            result.unsupported.push(file)
+            return
+        }
+        try {
+            await fs.promises.access(file, fs.constants.R_OK)
+            result.files.push(file)
+        } catch (err) {
+            result.unreadable.push(file)
+        }
+    }
+
+    for (const rawPattern of patterns) {
+        const pattern = String(rawPattern)
+
+        if (isGlob(pattern)) {
+            result.expanded = true
+            const matches = await matchGlob(normalizePattern(pattern))
+            if (!matches.length) {
+                result.missing.push(pattern)
+            }
+            for (const file of matches) {
+                await addFile(file, 'glob')
+            }
+            continue
+        }
+
+        let stats
+        try {
+            stats = await fs.promises.stat(pattern)
+        } catch (err) {
+            result[err.code === 'ENOENT' || err.code === 'ENOTDIR' ? 'missing' : 'unreadable'].push(pattern)
+            continue
+        }
+
+        if (stats.isDirectory()) {
+            result.expanded = true
+            try {
+                for (const file of await walkDirectory(pattern, recursive ? Infinity : 1)) {
+                    await addFile(file, 'directory')
+                }
+            } catch (err) {
+                result.unreadable.push(pattern)
+            }
+        } else {
+            await addFile(pattern, null)
+        }
+    }
+
+    return result
+}
+
+/**
+ * Lists the files below a directory in a stable order, skipping hidden files and directories
+ * @param {string} directory - Directory path
+ * @param {number} depth - Number of directory levels to read, Infinity for all
+ * @param {Array} skipped - Names of other directories not to read
+ * @returns {Promise<Array>} - Sorted file paths
+ */
+async function walkDirectory(directory, depth, skipped = SKIPPED_DIRECTORIES) {
+    const files = []
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true })
+
+    for (const entry of entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0))) {
+        if (entry.name.startsWith('.')) {
+            continue
+        }
+        const entryPath = path.posix.join(directory, entry.name)
+        let isDirectory = entry.isDirectory()
+        let isFile = entry.isFile()
+        if (entry.isSymbolicLink()) {
+            // Follow links to files, but not to directories which could form cycles
+            const stats = await fs.promises.stat(entryPath).catch(() => null)
+            isDirectory = false
+            isFile = !!stats && stats.isFile()
+        }
+
+        if (isFile) {
+            files.push(entryPath)
+        } else if (isDirectory && depth > 1 && !skipped.includes(entry.name)) {
+            files.push(...await walkDirectory(entryPath, depth - 1, skipped).catch(() => []))
+        }
+    }
+
+    return files
+}
+
+/**
+ * Finds the files matching a glob pattern by walking from the directory before its first wildcard, without reading
+ * hidden directories or node_modules unless the pattern names them
+ * @param {string} pattern - Normalized glob pattern
+ * @returns {Promise<Array>} - Sorted matching file paths
+ */
+async function matchGlob(pattern) {
+    const segments = pattern.split('/')
+    const firstGlobSegment = segments.findIndex(isGlob)
+    const base = segments.slice(0, firstGlobSegment).join('/') || (pattern.startsWith('/') ? '/' : '.')
+    const depth = pattern.includes('**') ? Infinity : segments.length - firstGlobSegment
+    const regExp = globToRegExp(pattern)
+    const skipped = SKIPPED_DIRECTORIES.filter(name => !segments.slice(firstGlobSegment).includes(name))
+
+    const files = await walkDirectory(base, depth, skipped).catch(() => [])
+    return files
+        .map(file => (base === '.' ? path.posix.relative('.', file) : file))
+        .filter(file => regExp.test(file))
+}
+
+/**
+ * Converts a glob pattern to a regular expression. Supports * and ? within a path segment, ** across segments,
+ * character classes such as [a-z] or [!a-z], and alternatives such as {txt,md}.
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} - Regular expression matching whole paths
+ */
+function globToRegExp(pattern) {
+    return new RegExp(`^${globToSource(pattern)}$`)
+}
+
+/**
+ * Converts a glob pattern to the source of a regular expression
+ * @param {string} pattern - Glob pattern
+ * @returns {string} - Regular expression source
+ */
+function globToSource(pattern) {
+    let source = ''
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i]
+        if (char === '*') {
+            if (pattern[i + 1] === '*') {
+                // ** matches any number of directories, including none
+                const followedBySlash = pattern[i + 2] === '/'
+                source += followedBySlash ? '(?:[^/]*/)*' : '.*'
+                i += followedBySlash ? 2 : 1
+            } else {
+                source += '[^/]*'
+            }
+        } else if (char === '?') {
+            source += '[^/]'
+        } else if (char === '[' && pattern.indexOf(']', i + 2) !== -1) {
+            const end = pattern.indexOf(']', i + 2)
+            const characterClass = pattern.slice(i + 1, end).replace(/^!/, '^').replace(/\\/g, '\\\\')
+            source += `[${characterClass}]`
+            i = end
+        } else if (char === '{' && pattern.indexOf('}', i) !== -1) {
+            const end = pattern.indexOf('}', i)
+            source += `(?:${pattern.slice(i + 1, end).split(',').map(globToSource).join('|')})`
+            i = end
+        } else {
+            source += /[.+^$()|\\\]{}]/.test(char) ? `\\${char}` : char
+        }
+    }
+    return source
+}
+
+/**
+ * Checks whether a path contains glob wildcards
+ * @param {string} pattern - Path or pattern
+ * @returns {boolean} - Whether the pattern is a glob
+ */
+function isGlob(pattern) {
+    return /[*?[{]/.test(pattern)
+}
+
+/**
+ * Finds the directory a path or glob pattern is matched in, which is the part of a glob before its first wildcard
+ * @param {string} pattern - Path or glob pattern
+ * @returns {string} - Directory path
+ */
+function getPatternBase(pattern) {
+    if (!isGlob(pattern)) {
+        return path.dirname(pattern)
+    }
+    const segments = normalizePattern(pattern).split('/')
+    const base = segments.slice(0, segments.findIndex(isGlob)).join('/')
+    return base || (pattern.startsWith('/') ? '/' : '.')
+}
+
+/**
+ * Normalizes a pattern to forward slashes without ./ segments
+ * @param {string} pattern - Path or glob pattern
+ * @returns {string} - Normalized pattern
+ */
+function normalizePattern(pattern) {
+    return path.posix.normalize(pattern.split(path.sep).join('/'))
+}
+
+module.exports = {
+    SKIPPED_DIRECTORIES,
+    expandFiles,
+    getPatternBase,
+    globToRegExp
+}
@@ -0,0 +1,488 @@
+const OUTPUT_FORMATS = ['text', 'json', 'ndjson', 'csv', 'md']
+// Formats --watch can redraw the lists in, or write the changes of each update as
+const WATCH_FORMATS = ['text', 'ndjson']
+
+// Terminal escape codes for bold yellow text and back to normal
+const HIGHLIGHT = '\x1b[1;33m'
+const RESET = '\x1b[0m'
+
+// Bars of increasing height drawing the count of a sequence in each segment, and the most segments drawn per line
+const DISTRIBUTION_BARS = '▁▂▃▄▅▆▇█'
+const DISTRIBUTION_WIDTH = 60
+
+/**
+ * Renders the top sequences in one of the supported output formats
+ * @param {Array} topSequences - Array of objects containing file, sources, size, total and sequences
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @returns {string} - Rendered output ending with a new line
+ */
+function renderSequences(topSequences, format = 'text') {
+    const results = topSequences.map(toResult)
+
+    switch (format) {
+        case 'text':
+            return renderText(topSequences)
+        case 'json':
+            return `${JSON.stringify({ results }, null, 2)}\n`
+        case 'ndjson':
+            return renderNdjson(results)
+        case 'csv':
+            return renderCsv(results)
+        case 'md':
+            return renderMarkdown(results)
+        default:
+            throw new Error(`Invalid argument for --format: ${format}. Expected one of ${OUTPUT_FORMATS.join(', ')}.`)
+    }
+}
+
+/**
+ * Renders the occurrences found by the concordance command in one of the supported output formats
+ * @param {Array} occurrences - Array of objects containing file, sequence, line, column, before, match and after
+ * @param {string} format - One of OUTPUT_FORMATS
+ * @returns {string} - Rendered output ending with a new line
+ */
+function renderConcordance(occurrences, format = 'text') {
+    const results = occurrences.map(toConcordanceResult)
+
+    switch (format) {
+        case 'text':
+            return renderConcordanceText(results)
+        case 'json':
+            return `${JSON.stringify({ occurrences: results }, null, 2)}\n`
+        case 'ndjson':
+            return `${results.map(result => JSON.stringify(result)).join('\n')}\n`
+        case 'csv': {
+            const rows = [['file', 'line', 'column', 'sequence', 'before', 'match', 'after']]
+            results.forEach(({ file, line, column, sequence, before, match, after }) => rows.push([file, line, column, sequence, before, match, after]))
+            return `${rows.map(row => row.map(escapeCsv).join(',')).join('\n')}\n`
+        }
+        case 'md': {
+            if (!results.length) {
+                return '## Concordance\n\n_No occurrences found._\n'
+            }
+            const rows = results.map(({ file, line, column, before, match, after }) => `| ${escapeMarkdown(file)} | ${line} | ${column} | ${formatContextMarkdown(before, match, after)} |`)
+            return `${['## Concordance', '', '| File | Line | Column | Context |', '| --- | ---: | ---: | --- |', ...rows].join('\n')}\n`
+        }
+        default:
+            throw new Error(`Invalid argument for --format: ${format}. Expected one of ${OUTPUT_FORMATS.join(', ')}.`)
+    }
+}
+
+/**
+ * Renders an update of --watch, either as the lists with the sequences that are new or whose rank or count changed
+ * highlighted, or as a line of NDJSON holding only what changed
+ * @param {Array} topSequences - Array of objects containing file, sources, size, total and sequences
+ * @param {Object} update - Object with the deltas of the lists that changed, the changed files and the removed files
+ * @param {string} format - One of WATCH_FORMATS
+ * @returns {string} - Rendered output ending with a new line
+ */
+function renderWatchUpdate(topSequences, update, format = 'text') {
+    const { deltas, changedFiles, removedFiles } = update
+
+    switch (format) {
+        case 'text': {
+            const changes = new Map(deltas.map(delta => [`${delta.size}:${delta.sources.join('\n')}`, new Map(delta.changes.map(change => [change.sequence, change]))]))
+            return renderText(topSequences, (ts, sequence) => {
+                const change = (changes.get(`${ts.size}:${(ts.sources || [].concat(ts.file)).join('\n')}`) || new Map()).get(sequence)
+                return change && describeChange(change)
+            })
+        }
+        case 'ndjson':
+            return `${JSON.stringify({ time: new Date().toISOString(), changedFiles, removedFiles, lists: deltas })}\n`
+        default:
+            throw new Error(`Invalid argument for --format: ${format}. --watch writes ${WATCH_FORMATS.join(' or ')}.`)
+    }
+}
+
+/**
+ * Renders the statistics of a run as text, with a block for each input, for every input together and for each worker
+ * @param {Object} stats - Statistics with inputs, overall and workers as returned by analyze
+ * @returns {string} - Rendered statistics ending with a new line
+ */
+function renderStats({ inputs, overall, workers }) {
+    const lines = ['\n******************* STATISTICS *****************\n']
+    inputs.forEach(input => {
+        lines.push(input.cached ? `${input.file}: cached` : `${input.file}: ${input.bytes} bytes, ${input.tokens} tokens, ${formatSeconds(input.seconds)}`)
+        input.lists.forEach(list => lines.push(`    ${formatListStats(list)}`))
+    })
+    const throughput = `${(overall.bytesPerSecond / 1e6).toFixed(2)} MB/s, ${Math.round(overall.tokensPerSecond)} tokens/s`
+    lines.push(`Overall: ${overall.inputs} input(s), ${overall.bytes} bytes, ${overall.tokens} tokens, ${formatSeconds(overall.seconds)}, ${throughput}`)
+    overall.lists.forEach(list => lines.push(`    ${formatListStats(list)}`))
+    workers.forEach(({ worker, tasks, bytes, tokens, seconds }) => {
+        lines.push(`Worker ${worker}: ${tasks} task(s), ${bytes} bytes, ${tokens} tokens, ${formatSeconds(seconds)}`)
+    })
+    return `${lines.join('\n')}\n`
+}
+
+/**
+ * Renders the statistics of the sequences of one length
+ * @param {Object} list - Object with size, total, unique, singletonShare and uniqueSequenceRatio
+ * @returns {string} - Line such as "n=3: 120 sequences, 98 unique, 91.8% once, unique sequence ratio 0.817"
+ */
+function formatListStats({ size, total, unique, singletonShare, uniqueSequenceRatio }) {
+    return `n=${size}: ${total} sequences, ${unique} unique, ${(singletonShare * 100).toFixed(1)}% once, unique sequence ratio ${uniqueSequenceRatio.toFixed(3)}`
+}
+
+/**
+ * Renders how far a run is as a single line
+ * @param {Object} progress - Object with files and totalFiles done, bytes and totalBytes read, null when unknown,
+ * and seconds since the run started
+ * @returns {string} - Line such as "Counted 3/10 input(s), 12.50 of 40.00 MB (31%), 2.10 s", without a new line
+ */
+function renderProgress({ files, totalFiles, bytes, totalBytes, seconds }) {
+    const megabytes = value => (value / 1e6).toFixed(2)
+    const read = totalBytes ? `${megabytes(bytes)} of ${megabytes(totalBytes)} MB (${Math.floor(Math.min(1, bytes / totalBytes) * 100)}%)` : `${megabytes(bytes)} MB`
+    return `Counted ${files}/${totalFiles} input(s), ${read}, ${formatSeconds(seconds)}`
+}
+
+/**
+ * Rounds a duration for human readable output
+ * @param {number} seconds - Duration in seconds
+ * @returns {string} - Duration such as "2.13 s"
+ */
+function formatSeconds(seconds) {
+    return `${seconds.toFixed(2)} s`
+}
+
+/**
+ * Describes how a sequence changed since the last update of --watch
+ * @param {Object} change - Object with rank, count, previousRank and previousCount, which are null for new sequences
+ * @returns {string} - Short description such as "new", "+2" or "+2, was #4"
+ */
+function describeChange({ rank, count, previousRank, previousCount }) {
+    if (previousRank === null) {
+        return 'new'
+    }
+    const parts = []
+    if (count !== previousCount) {
+        parts.push(`${count > previousCount ? '+' : ''}${count - previousCount}`)
+    }
+    if (rank !== previousRank) {
+        parts.push(`was #${previousRank}`)
+    }
+    return parts.join(', ')
+}
+
+/**
+ * Converts an occurrence into a structured result with a fixed order of fields
+ * @param {Object} occurrence - Object containing file, sequence, line, column, before, match and after
+ * @returns {Object} - Result with file, line, column, sequence, before, match and after
+ */
+function toConcordanceResult({ file, sequence, line, column, before, match, after }) {
+    return { file, line, column, sequence, before, match, after }
+}
+
+/**
+ * Converts a top sequences entry into a structured result with rank and relative frequency.
+ * Entries scored by --compare also carry the keyness measure, the reference and each sequence's score, entries counted
+ * with --approximate the error bound and each sequence's error, entries listed with --variants the forms counted under
+ * each sequence, entries listed with --context the occurrences of each sequence, and entries listed with --segment-by
+ * the number of segments and each sequence's range, dispersion, adjusted count and count in each segment.
+ * @param {Object} ts - Object containing file, sources, size, total and sequences
+ * @returns {Object} - Result with sources, size, total, found and ranked sequences
+ */
+function toResult(ts) {
+    const total = ts.total !== undefined ? ts.total : ts.sequences.reduce((sum, [, count]) => sum + count, 0)
+    const sources = ts.sources || [].concat(ts.file)
+    const keyness = ts.measure ? { measure: ts.measure, reference: ts.reference } : {}
+
+    return {
+        sources,
+        size: ts.size,
+        total,
+        ...keyness,
+        ...(ts.errorBound !== undefined ? { errorBound: ts.errorBound } : {}),
+        ...(ts.dispersion ? { segments: ts.segments } : {}),
+        found: ts.sequences.length > 0,
+        sequences: ts.sequences.map(([sequence, count, details = {}], index) => ({
+            rank: index + 1,
+            sequence,
+            count,
+            frequency: count / total,
+            ...(details.score !== undefined ? { score: details.score, referenceCount: details.referenceCount } : {}),
+            ...(details.error !== undefined ? { error: details.error } : {}),
+            ...(details.variants !== undefined ? { variants: details.variants.map(([form, formCount]) => ({ form, count: formCount })) } : {}),
+            ...(ts.dispersion ? ts.dispersion.get(sequence) : {}),
+            ...(ts.occurrences ? { occurrences: ts.occurrences.get(sequence).map(({ file, line, column, before, match, after }) => ({ file, line, column, before, match, after })) } : {})
+        }))
+    }
+}
+
+/**
+ * Renders the human readable lists
+ * @param {Array} topSequences - Array of objects containing file and sequences
+ * @param {Function} highlight - Optional function taking a list and a sequence and returning a note to highlight the
+ * sequence with, or nothing to leave it as it is
+ * @returns {string} - Rendered text
+ */
+function renderText(topSequences, highlight = () => null) {
+    const lines = []
+    topSequences.forEach(ts => {
+        if (ts.sequences.length && ts.measure) {
+            lines.push(`\n******************* KEY SEQUENCES: ${ts.file} (n=${ts.size}, ${ts.measure} vs ${ts.reference}) *****************\n`)
+
+            ts.sequences.forEach(([sequence, frequency, { score }], index) => {
+                lines.push(`${index + 1}. ${sequence} - ${frequency} (${formatScore(score)})`);
+                pushOccurrenceLines(lines, ts, sequence)
+            })
+        } else if (ts.sequences.length) {
+            const approximate = ts.errorBound !== undefined ? `, approximate, error bound ${ts.errorBound}` : ''
+            lines.push(`\n******************* TOP SEQUENCES: ${ts.file} (n=${ts.size}${approximate}) *****************\n`)
+
+            ts.sequences.forEach(([sequence, frequency, details], index) => {
+                // Approximate counts may be too high by their error
+                const range = details && details.error ? ` (at least ${frequency - details.error})` : ''
+                const note = highlight(ts, sequence)
+                const spread = ts.dispersion ? ` (${formatDispersion(ts.dispersion.get(sequence), ts.segments)})` : ''
+                const line = `${index + 1}. ${sequence} - ${frequency}${range}${spread}`
+                lines.push(note ? `${HIGHLIGHT}${line} (${note})${RESET}` : line);
+                if (details && details.variants) {
+                    lines.push(`    ${formatVariants(details.variants)}`)
+                }
+                if (ts.dispersion) {
+                    lines.push(`    ${formatDistribution(ts.dispersion.get(sequence).distribution)}`)
+                }
+                pushOccurrenceLines(lines, ts, sequence)
+            })
+        } else {
+            lines.push('\n******************* NO SEQUENCES FOUND *****************\n')
+        }
+    });
+    return `${lines.join('\n')}\n`
+}
+
+/**
+ * Lists the forms counted under a sequence, such as "the white whale" 40, "The White Whale" 12
+ * @param {Array} variants - Forms and their counts, most frequent first
+ * @returns {string} - Forms in quotes followed by their counts
+ */
+function formatVariants(variants) {
+    return variants.map(([form, count]) => `"${form}" ${count}`).join(', ')
+}
+
+/**
+ * Describes how a sequence is spread over the segments of --segment-by
+ * @param {Object} entry - Object with range, the segments containing the sequence, and dispersion, null with one segment
+ * @param {number} segments - Number of segments
+ * @returns {string} - Description such as "in 12/135 segments, D 0.64"
+ */
+function formatDispersion({ range, dispersion }, segments) {
+    return `in ${range}/${segments} segments${dispersion === null ? '' : `, D ${dispersion.toFixed(2)}`}`
+}
+
+/**
+ * Draws the count of a sequence in each segment as a line of bars, scaled to the highest count. Beyond
+ * DISTRIBUTION_WIDTH segments, neighbouring segments are added up into a bar each.
+ * @param {Array} distribution - Count of the sequence in each segment
+ * @returns {string} - Bars such as ▁.▃█▂, with a dot for no occurrences
+ */
+function formatDistribution(distribution) {
+    const width = Math.min(distribution.length, DISTRIBUTION_WIDTH)
+    const buckets = new Array(width).fill(0)
+    distribution.forEach((count, index) => {
+        buckets[Math.floor(index * width / distribution.length)] += count
+    })
+    const highest = Math.max(0, ...buckets)
+    return buckets.map(count => {
+        return count ? DISTRIBUTION_BARS[Math.ceil(count / highest * DISTRIBUTION_BARS.length) - 1] : '.'
+    }).join('')
+}
+
+/**
+ * Adds the occurrences of a listed sequence below it, indented, when the list was made with --context
+ * @param {Array} lines - Lines of text output
+ * @param {Object} ts - Object containing the sequences and optionally a Map of sequence to occurrences
+ * @param {string} sequence - Listed sequence
+ */
+function pushOccurrenceLines(lines, ts, sequence) {
+    if (ts.occurrences) {
+        formatConcordanceLines(ts.occurrences.get(sequence)).forEach(line => lines.push(`    ${line}`))
+    }
+}
+
+/**
+ * Renders the human readable concordance
+ * @param {Array} occurrences - Structured occurrences
+ * @returns {string} - Rendered text
+ */
+function renderConcordanceText(occurrences) {
+    if (!occurrences.length) {
+        return '\n******************* NO OCCURRENCES FOUND *****************\n\n'
+    }
+    return `\n******************* CONCORDANCE: ${occurrences[0].sequence} (${occurrences.length} occurrence(s)) *****************\n\n${formatConcordanceLines(occurrences).join('\n')}\n`
+}
+
+/**
+ * Formats occurrences as aligned lines of location, text before, the match in brackets and text after
+ * @param {Array} occurrences - Occurrences with file, line, column, before, match and after
+ * @returns {Array} - One line per occurrence
+ */
+function formatConcordanceLines(occurrences) {
+    const locations = occurrences.map(({ file, line, column }) => `${file}:${line}:${column}`)
+    const locationWidth = Math.max(0, ...locations.map(location => location.length))
+    const beforeWidth = Math.max(0, ...occurrences.map(({ before }) => before.length))
+
+    return occurrences.map(({ before, match, after }, index) => {
+        return `${locations[index].padEnd(locationWidth)}  ${before.padStart(beforeWidth)}[${match}]${after}`.trimEnd()
+    })
+}
+
+/**
+ * Renders one JSON object per line for each sequence, or a single line marking a result without sequences
+ * @param {Array} results - Structured results
+ * @returns {string} - Rendered NDJSON
+ */
+function renderNdjson(results) {
+    const lines = []
+    results.forEach(({ sequences, ...result }) => {
+        if (!result.found) {
+            lines.push(JSON.stringify(result))
+            return
+        }
+        sequences.forEach(sequence => lines.push(JSON.stringify({ ...result, ...sequence })))
+    })
+    return `${lines.join('\n')}\n`
+}
+
+/**
+ * Renders a CSV table with a header. A result without sequences is a row with an empty rank and sequence.
+ * Keyness results add score and reference_count columns, approximate results an error column, results listed
+ * with --variants a variants column of forms and counts such as the white whale:40;The White Whale:12, and results
+ * listed with --segment-by segments, range, dispersion and adjusted_count columns and a distribution column of the
+ * count in each segment such as 0;3;1.
+ * @param {Array} results - Structured results
+ * @returns {string} - Rendered CSV
+ */
+function renderCsv(results) {
+    const scored = results.some(result => result.measure)
+    const approximate = results.some(result => result.errorBound !== undefined)
+    const withVariants = results.some(result => result.sequences.some(sequence => sequence.variants))
+    const segmented = results.some(result => result.segments !== undefined)
+    const rows = [[
+        'sources', 'size', 'rank', 'sequence', 'count', 'frequency', ...(scored ? ['score', 'reference_count'] : []), ...(approximate ? ['error'] : []),
+        ...(withVariants ? ['variants'] : []), ...(segmented ? ['segments', 'range', 'dispersion', 'adjusted_count', 'distribution'] : [])
+    ]]
+    results.forEach(({ sources, size, segments, found, sequences }) => {
+        if (!found) {
+            rows.push([
+                sources.join(';'), size, '', '', 0, 0, ...(scored ? ['', ''] : []), ...(approximate ? [''] : []), ...(withVariants ? [''] : []),
+                ...(segmented ? [segments, '', '', '', ''] : [])
+            ])
+            return
+        }
+        sequences.forEach(({ rank, sequence, count, frequency, score, referenceCount, error, variants, range, dispersion, adjustedCount, distribution }) => {
+            const formCounts = withVariants ? [variants.map(variant => `${variant.form}:${variant.count}`).join(';')] : []
+            // A single segment has no dispersion
+            const spread = segmented ? [segments, range, dispersion === null ? '' : dispersion, adjustedCount, distribution.join(';')] : []
+            rows.push([sources.join(';'), size, rank, sequence, count, frequency, ...(scored ? [score, referenceCount] : []), ...(approximate ? [error] : []), ...formCounts, ...spread])
+        })
+    })
+    return `${rows.map(row => row.map(escapeCsv).join(',')).join('\n')}\n`
+}
+
+/**
+ * Quotes a CSV field when it contains a delimiter, quote or new line
+ * @param {*} value - Field value
+ * @returns {string} - Escaped field
+ */
+function escapeCsv(value) {
+    const text = String(value)
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+/**
+ * Renders a Markdown section with a table for each result
+ * @param {Array} results - Structured results
+ * @returns {string} - Rendered Markdown
+ */
+function renderMarkdown(results) {
+    const sections = results.map(({ sources, size, measure, reference, errorBound, segments, found, sequences }) => {
+        const heading = measure
+            ? `## Key sequences: ${sources.join(', ')} (n=${size}, ${measure} vs ${reference})`
+            : `## Top sequences: ${sources.join(', ')} (n=${size}${errorBound !== undefined ? `, approximate, error bound ${errorBound}` : ''}${segments !== undefined ? `, ${segments} segments` : ''})`
+        if (!found) {
+            return `${heading}\n\n_No sequences found._`
+        }
+        if (measure) {
+            const rows = sequences.map(({ rank, sequence, count, frequency, score, referenceCount }) => {
+                return `| ${rank} | ${sequence} | ${count} | ${(frequency * 100).toFixed(3)}% | ${referenceCount} | ${formatScore(score)} |`
+            })
+            return [heading, '', '| Rank | Sequence | Count | Frequency | Reference count | Score |', '| ---: | --- | ---: | ---: | ---: | ---: |', ...rows, ...formatOccurrencesMarkdown(sequences)].join('\n')
+        }
+        // Columns added after the frequency, each with its heading, alignment and cell of a sequence
+        const columns = [
+            ...(errorBound !== undefined ? [['Error', '---:', ({ error }) => error]] : []),
+            ...(sequences.some(({ variants }) => variants) ? [['Variants', '---', ({ variants }) => escapeMarkdown(formatVariants(variants.map(({ form, count }) => [form, count])))]] : []),
+            ...(segments !== undefined ? [
+                ['Segments', '---:', ({ range }) => `${range}/${segments}`],
+                ['D', '---:', ({ dispersion }) => dispersion === null ? '' : dispersion.toFixed(2)],
+                ['Distribution', '---', ({ distribution }) => formatDistribution(distribution)]
+            ] : [])
+        ]
+        const rows = sequences.map(entry => {
+            const { rank, sequence, count, frequency } = entry
+            return `| ${[rank, sequence, count, `${(frequency * 100).toFixed(3)}%`, ...columns.map(([, , cell]) => cell(entry))].join(' | ')} |`
+        })
+        const header = `| ${['Rank', 'Sequence', 'Count', 'Frequency', ...columns.map(([name]) => name)].join(' | ')} |`
+        const alignment = `| ${['---:', '---', '---:', '---:', ...columns.map(([, align]) => align)].join(' | ')} |`
+        return [heading, '', header, alignment, ...rows, ...formatOccurrencesMarkdown(sequences)].join('\n')
+    })
+    return `${sections.join('\n\n')}\n`
+}
+
+/**
+ * Lists the occurrences of each sequence below a Markdown table, when the results were made with --context
+ * @param {Array} sequences - Structured sequences, with occurrences when listed with --context
+ * @returns {Array} - Markdown lines, empty without occurrences
+ */
+function formatOccurrencesMarkdown(sequences) {
+    const lines = []
+    sequences.filter(({ occurrences }) => occurrences).forEach(({ sequence, occurrences }) => {
+        lines.push('', `**${sequence}**`, '')
+        occurrences.forEach(({ file, line, column, before, match, after }) => {
+            lines.push(`- ${escapeMarkdown(file)}:${line}:${column}: ${formatContextMarkdown(before, match, after)}`)
+        })
+    })
+    return lines
+}
+
+/**
+ * Formats an occurrence in Markdown with the match in bold
+ * @param {string} before - Text before the match
+ * @param {string} match - Matched text
+ * @param {string} after - Text after the match
+ * @returns {string} - Markdown text
+ */
+function formatContextMarkdown(before, match, after) {
+    return `${escapeMarkdown(before)}**${escapeMarkdown(match)}**${escapeMarkdown(after)}`.trim()
+}
+
+/**
+ * Escapes the characters of raw text that Markdown or its tables would interpret
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeMarkdown(text) {
+    return text.replace(/[\\`*_[\]<>|]/g, '\\$&')
+}
+
+/**
+ * Rounds a keyness score for human readable output
+ * @param {number} score - Keyness score
+ * @returns {string} - Score with up to four significant decimals
+ */
+function formatScore(score) {
+    return String(Number(score.toPrecision(4)))
+}
+
+module.exports = {
+    OUTPUT_FORMATS,
+    WATCH_FORMATS,
+    renderConcordance,
+    renderProgress,
+    renderSequences,
+    renderStats,
+    renderWatchUpdate,
+    toConcordanceResult,
+    toResult
+}
@@ -0,0 +1,173 @@
+// Rough number of bytes a monitored sequence takes, counting its Map entry, counter object, heap slot and text
+const BYTES_PER_COUNTER = 200
+
+/**
+ * Creates an empty Space-Saving sketch, which counts the most frequent sequences of a stream in a fixed number of
+ * counters. Sketches are plain data so they can be posted between worker threads.
+ * Every counted sequence's true frequency is between its count minus its error and its count.
+ * @param {number} capacity - Maximum number of sequences monitored
+ * @returns {Object} - Sketch with capacity, total frequency of everything added, floor (an upper bound on the
+ * frequency of sequences not monitored while the sketch is not full), counters Map and a min-heap of the counters
+ */
+function createSketch(capacity) {
+    return { capacity, total: 0, floor: 0, counters: new Map(), heap: [] }
+}
+
+/**
+ * Adds to the frequency of a sequence. A sequence not monitored by a full sketch replaces the least frequent one,
+ * taking over its count as error.
+ * @param {Object} sketch - Sketch created by createSketch
+ * @param {string} key - Sequence
+ * @param {number} weight - Frequency to add
+ */
+function addToSketch(sketch, key, weight = 1) {
+    sketch.total += weight
+    const counter = sketch.counters.get(key)
+    if (counter) {
+        counter.count += weight
+        siftDown(sketch.heap, counter.index)
+        return
+    }
+
+    if (sketch.heap.length < sketch.capacity) {
+        const added = { key, count: sketch.floor + weight, error: sketch.floor, index: sketch.heap.length }
+        sketch.counters.set(key, added)
+        sketch.heap.push(added)
+        siftUp(sketch.heap, added.index)
+        return
+    }
+
+    const replaced = sketch.heap[0]
+    sketch.counters.delete(replaced.key)
+    replaced.key = key
+    replaced.error = replaced.count
+    replaced.count += weight
+    sketch.counters.set(key, replaced)
+    siftDown(sketch.heap, 0)
+}
+
+/**
+ * Merges two sketches into a new one. A sequence missing from one sketch is counted with that sketch's threshold,
+ * which keeps the counts upper bounds, and only the most frequent sequences that fit the capacity are kept.
+ * @param {Object} a - Sketch
+ * @param {Object} b - Sketch
+ * @param {number} capacity - Capacity of the merged sketch
+ * @returns {Object} - Merged sketch
+ */
+function mergeSketches(a, b, capacity = Math.max(a.capacity, b.capacity)) {
+    const thresholdA = getSketchThreshold(a)
+    const thresholdB = getSketchThreshold(b)
+    const merged = []
+    a.counters.forEach(({ count, error }, key) => {
+        const other = b.counters.get(key)
+        merged.push(other ? [key, count + other.count, error + other.error] : [key, count + thresholdB, error + thresholdB])
+    })
+    b.counters.forEach(({ count, error }, key) => {
+        if (!a.counters.has(key)) {
+            merged.push([key, count + thresholdA, error + thresholdA])
+        }
+    })
+    merged.sort((x, y) => y[1] - x[1] || (x[0] < y[0] ? -1 : x[0] > y[0] ? 1 : 0))
+
+    const sketch = createSketch(capacity)
+    sketch.total = a.total + b.total
+    // Sequences dropped here and sequences neither sketch monitored occur at most this often
+    sketch.floor = Math.max(thresholdA + thresholdB, merged.length > capacity ? merged[capacity][1] : 0)
+    merged.slice(0, capacity).reverse().forEach(([key, count, error]) => {
+        // Added in ascending order of count, which is already a valid min-heap
+        const counter = { key, count, error, index: sketch.heap.length }
+        sketch.counters.set(key, counter)
+        sketch.heap.push(counter)
+    })
+    return sketch
+}
+
+/**
+ * Gives an upper bound on the frequency of any sequence a sketch does not monitor
+ * @param {Object} sketch - Sketch
+ * @returns {number} - Count of the least frequent counter of a full sketch, or the floor otherwise
+ */
+function getSketchThreshold(sketch) {
+    return sketch.heap.length < sketch.capacity ? sketch.floor : sketch.heap[0].count
+}
+
+/**
+ * Checks whether frequencies are held in a sketch rather than an exact Map
+ * @param {*} value - Map, matrix or sketch of sequences and their frequencies
+ * @returns {boolean} - Whether the value is a sketch
+ */
+function isSketch(value) {
+    // Maps posted by workers come from another realm, so instanceof Map is not checked
+    return !!value && typeof value.capacity === 'number' && Array.isArray(value.heap)
+}
+
+/**
+ * Works out how many sequences fit a memory budget
+ * @param {number} bytes - Memory budget in bytes
+ * @param {number} sketchCount - Number of sketches sharing the budget
+ * @returns {number} - Capacity of each sketch, at least 1
+ */
+function getSketchCapacity(bytes, sketchCount = 1) {
+    return Math.max(1, Math.floor(bytes / (BYTES_PER_COUNTER * sketchCount)))
+}
+
+/**
+ * Moves a counter up the min-heap until its parent has a lower count
+ * @param {Array} heap - Heap of counters with the least frequent at the root
+ * @param {number} index - Index of the counter to move
+ */
+function siftUp(heap, index) {
+    while (index > 0) {
+        const parent = (index - 1) >> 1
+        if (heap[parent].count <= heap[index].count) {
+            return
+        }
+        swap(heap, index, parent)
+        index = parent
+    }
+}
+
+/**
+ * Moves a counter down the min-heap until both children have a higher count
+ * @param {Array} heap - Heap of counters with the least frequent at the root
+ * @param {number} index - Index of the counter to move
+ */
+function siftDown(heap, index) {
+    while (true) {
+        const left = 2 * index + 1
+        const right = left + 1
+        let lowest = index
+        if (left < heap.length && heap[left].count < heap[lowest].count) {
+            lowest = left
+        }
+        if (right < heap.length && heap[right].count < heap[lowest].count) {
+            lowest = right
+        }
+        if (lowest === index) {
+            return
+        }
+        swap(heap, index, lowest)
+        index = lowest
+    }
+}
+
+/**
+ * Swaps two counters of the heap, keeping their indexes up to date
+ * @param {Array} heap - Heap of counters
+ * @param {number} i - Index of a counter
+ * @param {number} j - Index of another counter
+ */
+function swap(heap, i, j) {
+    [heap[i], heap[j]] = [heap[j], heap[i]]
+    heap[i].index = i
+    heap[j].index = j
+}
+
+module.exports = {
+    addToSketch,
+    createSketch,
+    getSketchCapacity,
+    getSketchThreshold,
+    isSketch,
+    mergeSketches
+}
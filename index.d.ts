@@ -0,0 +1,344 @@
+/// <reference types="node" />
+
+import { Readable } from 'stream'
+
+/** Text to analyze: a string, UTF-8 encoded Buffer, readable stream or async iterable of strings. */
+export type TextSource = string | Buffer | Readable | AsyncIterable<string>
+
+/**
+ * An input of analyze. Strings, Buffers and streams are read as text. Objects with a path are files,
+ * directories or glob patterns, and objects with text, buffer or stream are named in the results.
+ */
+export type AnalyzeInput =
+    | TextSource
+    | { path: string }
+    | { name?: string; text: string }
+    | { name?: string; buffer: Buffer }
+    | { name?: string; stream: Readable | AsyncIterable<string> }
+
+export interface AnalyzeOptions {
+    /** Number of words per sequence, or a range such as "2-5". Defaults to 3, or to the lengths of the match patterns. */
+    size?: number | string
+    /** Number of sequences to list, or "all". Defaults to 100. */
+    top?: number | 'all'
+    /** Only list sequences that occur at least this many times. Defaults to 1. */
+    minCount?: number
+    /** Built-in stopword lists (en, de) or paths of files of custom stopwords. */
+    stopwords?: string[]
+    /** How stopwords are filtered. Defaults to all. */
+    stopwordMode?: 'all' | 'edge' | 'remove'
+    /** Count inflected variants of English words together. */
+    stem?: boolean
+    /** Count sequences regardless of case, listing each under its most frequent original form. */
+    preserveCase?: boolean
+    /** Count sequences that differ in case separately. Cannot be combined with preserveCase or stem. */
+    caseSensitive?: boolean
+    /** With preserveCase or stem, list the forms counted under each sequence with their counts. */
+    variants?: boolean
+    /** Only list sequences matching any of these patterns of words, * for any single word and alternatives such as (white|sperm), or re: followed by a regular expression matched anywhere in the sequence, in lowercase unless caseSensitive is set. */
+    match?: string | string[]
+    /** Also count sequences whose words are up to this many words apart in total, at most 4. Cannot be combined with context or concordance. Defaults to 0. */
+    skip?: number
+    /** Do not form sequences across sentence or paragraph boundaries. Defaults to none. */
+    boundary?: 'none' | 'sentence' | 'paragraph'
+    /** Language of the text as a BCP 47 tag such as th, ja or tr, used to split text written without spaces into words and to lowercase words. Defaults to auto, which picks the language of each run of text from its script. */
+    locale?: string
+    /** Keep numbers such as 22 or 3.14 as words instead of dropping digits. */
+    numbers?: boolean
+    /** Keep hyphenated words together or split them at the hyphens. Defaults to join. */
+    hyphens?: 'join' | 'split'
+    /** Keep words with apostrophes together or split them at the apostrophes. Defaults to join. */
+    apostrophes?: 'join' | 'split'
+    /** Format of every input, detected from file extensions and content by default. Text held in memory is read by the extension of its name, or as plain text. */
+    inputFormat?: 'auto' | 'text' | 'md' | 'html' | string
+    /** Encoding of files, Buffers and byte streams, detected from a byte order mark or the bytes by default. Strings are read as they are. */
+    encoding?: 'auto' | 'utf-8' | 'utf-16le' | 'utf-16be' | 'latin1' | 'windows-1252'
+    /** Number of worker threads to count files, strings and Buffers with, at most the number of CPU cores. */
+    threads?: number
+    /** List each input separately instead of a single list per sequence length. Applies when threads are used or text is given in memory. */
+    multiple?: boolean
+    /** Include files in subdirectories of the given directories. */
+    recursive?: boolean
+    /** Glob patterns of files to skip. */
+    exclude?: string[]
+    /** List the sequences most over-represented in each file compared to the other files or to reference. */
+    compare?: boolean
+    /** Files, directories or glob patterns of a reference corpus for compare. */
+    reference?: string[]
+    /** Keyness statistic used by compare. Defaults to log-likelihood. */
+    measure?: 'log-likelihood' | 'tf-idf'
+    /** Directory in which the sequences of each file are kept and reused while the file and counting options are unchanged. Files are then counted separately. */
+    cacheDir?: string
+    /** Add where each listed sequence occurs, with this many words of surrounding text, as occurrences. Cannot be rendered as csv. */
+    context?: number
+    /** Split each input into segments: "file" for one segment per input, a number of words, or a regular expression matching the headings segments start at, such as "^\\s*CHAPTER \\d+". Adds segments to each list and range, dispersion, adjustedCount and distribution to each sequence. Cannot be combined with compare, watch or approximate. */
+    segmentBy?: string | number
+    /** Rank sequences by count, or by count times Juilland's D with segmentBy. Defaults to count. */
+    rankBy?: 'count' | 'adjusted'
+    /** Stop a worker thread that runs longer than this many seconds, failing the files it was counting. */
+    timeout?: number
+    /** Report inputs that fail to be read or counted as failures and warnings instead of rejecting, unless every input fails. */
+    continueOnError?: boolean
+    /** Count the most frequent sequences in a fixed amount of memory. Counts may be too high by their error. Cannot be combined with compare, stem, cacheDir or segmentBy. */
+    approximate?: boolean
+    /** Rough memory budget of approximate, such as "512MB" or "2GB", or a number of megabytes. Defaults to 256MB. */
+    memory?: string | number
+    /** Also write the count of every sequence to this file as gzip compressed NDJSON, to be combined with other runs by merge. Cannot be combined with approximate, compare or watch. */
+    emitCounts?: string
+    /** Add statistics of each input, of all inputs together and of each worker thread as stats. Cannot be combined with watch. */
+    stats?: boolean
+    /** Also render the results in this output format as rendered. */
+    format?: 'text' | 'json' | 'ndjson' | 'csv' | 'md'
+    /** Called with each warning as it is raised, in addition to returning it. */
+    onWarning?: (message: string) => void
+    /** Called at most every 100 milliseconds while inputs are counted, and once more when the last input is done. */
+    onProgress?: (progress: Progress) => void
+}
+
+/** How far a run is, passed to onProgress. */
+export interface Progress {
+    /** Inputs counted so far and in total. */
+    files: number
+    totalFiles: number
+    /** Bytes read so far, and the size of every input, or null when some inputs are streams. */
+    bytes: number
+    totalBytes: number | null
+    /** Seconds since counting started. */
+    seconds: number
+}
+
+/** Statistics of the sequences of one length. Approximate lists only hold the sequences they monitor, so their unique sequences are counted among those. */
+export interface ListStats {
+    size: number
+    /** Number of sequences counted, and of distinct sequences among them. */
+    total: number
+    unique: number
+    /** Share of the distinct sequences that occur only once. */
+    singletonShare: number
+    /** Distinct sequences per sequence counted. */
+    uniqueSequenceRatio: number
+}
+
+export interface InputStats {
+    /** File path or input name. */
+    file: string
+    /** Bytes read and words found before stopwords are removed. Files taken from cacheDir report those of the run that cached them. */
+    bytes: number
+    tokens: number
+    seconds: number
+    cached?: boolean
+    lists: ListStats[]
+}
+
+export interface WorkerStats {
+    /** Number of the worker thread, from 1. */
+    worker: number
+    /** Files or parts of files the worker counted. */
+    tasks: number
+    bytes: number
+    tokens: number
+    seconds: number
+}
+
+export interface Stats {
+    inputs: InputStats[]
+    overall: {
+        inputs: number
+        bytes: number
+        tokens: number
+        /** Seconds the whole run took. */
+        seconds: number
+        bytesPerSecond: number
+        tokensPerSecond: number
+        /** Statistics of the lists of every input together. */
+        lists: ListStats[]
+    }
+    /** Worker threads, when inputs are counted with threads, sources or cacheDir. */
+    workers: WorkerStats[]
+}
+
+export interface SequenceResult {
+    rank: number
+    sequence: string
+    count: number
+    /** Count divided by the total number of sequences of this length. */
+    frequency: number
+    /** Keyness score, with compare only. */
+    score?: number
+    /** Count in the reference, with compare only. */
+    referenceCount?: number
+    /** Forms counted under this sequence with their counts, most frequent first, with variants only. */
+    variants?: Array<{ form: string; count: number }>
+    /** How far the count may be too high, with approximate only. The true count is at least count minus error. */
+    error?: number
+    /** Places the sequence occurs, with context only. Sequences spanning two files are counted but not listed. */
+    occurrences?: Array<Omit<Occurrence, 'sequence'>>
+    /** Number of segments the sequence occurs in, with segmentBy only. A sequence spanning two segments is counted in the one it ends in. */
+    range?: number
+    /** Juilland's D, from 0 for a sequence found in a single segment to 1 for one equally frequent in every segment, with segmentBy only. Null with a single segment. */
+    dispersion?: number | null
+    /** Count times dispersion, or the count with a single segment, with segmentBy only. */
+    adjustedCount?: number
+    /** Count of the sequence in each segment, in the order the inputs were read, with segmentBy only. */
+    distribution?: number[]
+}
+
+export interface Occurrence {
+    /** File path or input name. */
+    file: string
+    /** Line number, starting at 1. */
+    line: number
+    /** Column in characters, starting at 1. */
+    column: number
+    /** Sequence searched for. */
+    sequence: string
+    /** Raw text of the words before the match, with the whitespace separating it from the match. */
+    before: string
+    /** Raw text matched, with line breaks replaced by spaces. */
+    match: string
+    /** Raw text of the words after the match, with the whitespace separating it from the match. */
+    after: string
+}
+
+export interface Concordance {
+    occurrences: Occurrence[]
+    /** Warnings such as files that were not found or not supported. */
+    warnings: string[]
+    /** Inputs left out of the occurrences, with continueOnError. */
+    failures: Failure[]
+    /** The occurrences rendered in the requested format, when a format is given. */
+    rendered?: string
+}
+
+export interface AnalyzeResult {
+    /** Files and input names counted in this list. */
+    sources: string[]
+    /** Number of words per sequence. */
+    size: number
+    /** Total number of sequences of this length. */
+    total: number
+    /** Keyness statistic, with compare only. */
+    measure?: string
+    /** What the sequences were compared to, with compare only. */
+    reference?: string
+    /** Most times any unlisted sequence may occur, with approximate only. */
+    errorBound?: number
+    /** Number of segments the inputs were split into, with segmentBy only. */
+    segments?: number
+    found: boolean
+    sequences: SequenceResult[]
+}
+
+/** An input that could not be read or counted, with continueOnError. */
+export interface Failure {
+    /** File path or input name. */
+    file: string
+    message: string
+}
+
+/** How a sequence changed since the last update of watch. */
+export interface SequenceChange {
+    sequence: string
+    rank: number
+    count: number
+    /** Rank and count at the last update, null for sequences that were not listed. */
+    previousRank: number | null
+    previousCount: number | null
+}
+
+/** How a list changed since the last update of watch. Lists of removed files have a total of 0. */
+export interface ListDelta {
+    sources: string[]
+    size: number
+    total: number
+    /** Sequences that are new or whose rank or count changed. */
+    changes: SequenceChange[]
+    /** Sequences no longer listed, with their last rank and count. */
+    removed: Array<{ sequence: string; previousRank: number; previousCount: number }>
+}
+
+export interface WatchUpdate {
+    results: AnalyzeResult[]
+    /** Changes of the lists since the last update, listing every sequence as new in the first update. */
+    deltas: ListDelta[]
+    /** Files being watched. */
+    files: string[]
+    /** Files added or changed since the last update, which were counted again. */
+    changedFiles: string[]
+    removedFiles: string[]
+    /** Warnings raised during this update. */
+    warnings: string[]
+    /** Files that failed in this update, with continueOnError. */
+    failures: Failure[]
+    /** The lists with their changes highlighted as text, or the update as a line of NDJSON, when a format is given. */
+    rendered?: string
+}
+
+export interface WatchOptions extends Omit<AnalyzeOptions, 'format' | 'stats' | 'emitCounts' | 'segmentBy' | 'rankBy'> {
+    /** Render each update as text with the changes highlighted, or as a line of NDJSON. */
+    format?: 'text' | 'ndjson'
+    /** Milliseconds to wait for more changes before counting. Defaults to 100. */
+    debounce?: number
+}
+
+export interface Watcher {
+    /** Stops watching. */
+    close(): void
+}
+
+export interface Analysis {
+    results: AnalyzeResult[]
+    /** Warnings such as files that were not found or not supported. */
+    warnings: string[]
+    /** Inputs left out of the results, with continueOnError. */
+    failures: Failure[]
+    /** The results rendered in the requested format, when a format is given. */
+    rendered?: string
+    /** Statistics of the run, with stats. */
+    stats?: Stats
+}
+
+/**
+ * Analyzes text from strings, Buffers, readable streams and files without printing anything.
+ * Rejects with an Error for invalid options, when no input files are found, or when an input fails to be counted
+ * (unless continueOnError is set and another input was counted), in which case the Error has the failures.
+ */
+export function analyze(inputs: AnalyzeInput | AnalyzeInput[], options?: AnalyzeOptions): Promise<Analysis>
+
+/**
+ * Lists each occurrence of a sequence in the inputs with its position and surrounding text. Takes the input,
+ * counting and format options of analyze, and context words on each side (5 by default). For Markdown and HTML,
+ * positions are in the extracted text.
+ */
+export function concordance(inputs: AnalyzeInput | AnalyzeInput[], sequence: string, options?: AnalyzeOptions): Promise<Concordance>
+
+export interface MergeOptions extends Pick<AnalyzeOptions, 'top' | 'minCount' | 'stem' | 'preserveCase' | 'variants' | 'match' | 'format' | 'onWarning'> {
+    /** Sequence lengths to list, each of which must have been counted. Defaults to every counted length. */
+    size?: number | string
+    /** Also write the combined counts to this file, to be merged again. */
+    emitCounts?: string
+}
+
+/**
+ * Combines the counts files written with emitCounts and ranks the combined counts. Rejects when a file cannot be read
+ * or was counted with other sequence lengths or options that change how sequences are counted.
+ */
+export function merge(countFiles: string | string[], options?: MergeOptions): Promise<Analysis>
+
+/**
+ * Analyzes files, then keeps watching them and calls onUpdate whenever they change, counting only the changed files
+ * again. Takes file inputs only and the options of analyze except compare and context. Resolves after the first update.
+ */
+export function watch(inputs: AnalyzeInput | AnalyzeInput[], options?: WatchOptions, onUpdate?: (update: WatchUpdate) => void | Promise<void>): Promise<Watcher>
+
+/** Runs the command line interface on process.argv. */
+export function main(): Promise<void>
+
+/** Formats text to be lowercase and without punctuation or extra white space, splitting text written without spaces into words. */
+export function formatText(text: string, options?: Pick<AnalyzeOptions, 'locale' | 'numbers' | 'hyphens' | 'apostrophes'>): string
+
+/** Generates a frequency map of sequences of formatted text. */
+export function generateSequenceMap(text: string, size?: number, options?: { stopwords?: string[]; stopwordMode?: string }): Map<string, number>
+
+/** Returns the most frequent sequences sorted by frequency in descending order and then alphabetically. */
+export function getTopSequences(sequenceMap: Map<string, number> | Array<[string, number]>, top?: number, minCount?: number): Array<[string, number]>
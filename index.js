@@ -2,20 +2,114 @@
 
 const fs = require('fs');
 const yargs = require('yargs');
-const readline = require('readline');
-const { Worker, isMainThread } = require("worker_threads");
+const { Worker } = require("worker_threads");
 const path = require('path');
 const os = require('os');
+const {
+    OUTPUT_FORMATS, WATCH_FORMATS, renderConcordance, renderProgress, renderSequences, renderStats, renderWatchUpdate, toConcordanceResult, toResult
+} = require('./format_output');
+const { STOPWORD_MODES, createStopwordFilter, loadStopwords } = require('./stopwords');
+const { stemSequence } = require('./stemmer');
+const { INPUT_EXTRACTORS, createInputStream, createSourceStream, getSupportedExtensions, resolveInput, resolveSourceFormat } = require('./input_extractors');
+const { expandFiles } = require('./expand_files');
+const { KEYNESS_MEASURES, scoreKeyness } = require('./keyness');
+const { BOUNDARY_MODES, splitAtBoundaries } = require('./boundaries');
+const { clearCache, hashFile, listCacheEntries, pruneCache, readCachedSequences, writeCachedSequences } = require('./sequence_cache');
+const { DEFAULT_CONTEXT, findOccurrences } = require('./concordance');
+const { addToSketch, createSketch, getSketchCapacity, getSketchThreshold, isSketch, mergeSketches } = require('./frequency_sketch');
+const { diffRankings, watchFiles } = require('./watch_files');
+const { APOSTROPHE_MODES, HYPHEN_MODES, createTokenizer, foldCase } = require('./tokenizer');
+const { ENCODINGS, detectFileEncoding, isAsciiCompatible } = require('./detect_encoding');
+const { createProgressTracker, createRunStats, getListStats, summarizeStats } = require('./run_stats');
+const { parseMatchPatterns } = require('./match_pattern');
+const { mergeCountsFiles, writeCountsFile } = require('./sequence_counts');
+const { RANK_MODES, getDispersion, parseSegmentOption, splitIntoSegments } = require('./dispersion');
+
+const DEFAULT_SIZE = 3
+const DEFAULT_TOP = 100
+// Memory budget of --approximate when --memory is not given
+const DEFAULT_MEMORY = '256MB'
+const defaultTokenizer = createTokenizer()
+// Moves the cursor to the top left of the terminal and clears it, so --watch redraws the lists in place
+const CLEAR_SCREEN = '\x1b[H\x1b[2J'
+// Moves the cursor to the start of the line and clears it, so the progress line is redrawn in place
+const CLEAR_LINE = '\r\x1b[K'
+// Milliseconds a run takes before its progress is drawn on a terminal, so quick runs print nothing
+const PROGRESS_DELAY = 1000
+// Milliseconds between the progress lines written when stderr is not a terminal
+const PROGRESS_LINE_INTERVAL = 1000
+// Smallest byte range worth handing to a separate worker when splitting a single file
+const MIN_RANGE_BYTES = 64 * 1024
+// Bytes read at a time while searching for a whitespace boundary to split a file at
+const CUT_SEARCH_BYTES = 4 * 1024
+// Most words that may be skipped with --skip, as the number of skip-grams grows combinatorially with it
+const MAX_SKIP = 4
+// Characters of text held back without a safe cut before a chunk is cut at a word boundary instead
+const MAX_PENDING_LENGTH = 64 * 1024
+// Characters at the end of such text searched for the word boundary
+const WORD_BOUNDARY_SEARCH = 256
+// Sentence-ending punctuation and the closing quotes and brackets after it, which end a sentence depending on what follows
+const SENTENCE_PUNCTUATION = /[\p{Sentence_Terminal}…\p{Pe}\p{Pf}"»]/u
+// Whitespace and opening quotes or brackets before the next letter, as looked at by the sentence boundaries
+const NEXT_LETTER = /[\s\p{Ps}\p{Pi}"'«]*(\p{Letter})/uy
 
 /**
  * Processes command line arguments handling file or stdin input
  */
 async function main() {
     const argv = yargs
+        .command('serve', 'Start a local HTTP server exposing the analyzer as a REST service', command => command
+            .option('port', {
+                type: 'number',
+                description: 'Port to listen on.',
+                default: 3000
+            })
+            .option('host', {
+                type: 'string',
+                description: 'Address to listen on. Use 0.0.0.0 to accept connections from other hosts, such as outside a container.',
+                default: '127.0.0.1'
+            })
+            .option('max-body-size', {
+                type: 'number',
+                description: 'Largest request body accepted, in bytes. Defaults to 10 MB.',
+            })
+            .option('max-concurrency', {
+                type: 'number',
+                description: 'Number of requests analyzed at the same time before the server answers 503. Defaults to the number of CPU cores.',
+            }))
+        .command('cache <action>', 'Inspect, prune or clear the cache given with --cache-dir', command => command
+            .positional('action', {
+                choices: ['inspect', 'prune', 'clear'],
+                description: 'List the cached files, remove the entries of changed and deleted files, or remove every entry'
+            })
+            .option('older-than', {
+                type: 'number',
+                description: 'With prune, also remove entries not used for this many days.',
+            }))
+        .command('merge <counts..>', 'Combine counts files written by --emit-counts, such as those of shards counted on several machines, and list the combined ranking', command => command
+            .positional('counts', {
+                type: 'string',
+                description: 'Counts files to combine'
+            }))
+        .command('concordance <sequence>', 'List each occurrence of a sequence with its file, line, column and surrounding text', command => command
+            .positional('sequence', {
+                type: 'string',
+                description: 'Sequence to find, formatted like the listed sequences'
+            }))
         .option('files', {
             alias: 'f',
             type: 'array',
-            description: 'List of files to process',
+            description: 'List of files, directories or glob patterns to process',
+        })
+        .option('recursive', {
+            alias: 'r',
+            type: 'boolean',
+            description: 'Include files in subdirectories of the given directories.',
+            default: false
+        })
+        .option('exclude', {
+            type: 'array',
+            description: 'Glob patterns of files to skip, matched against the end of each path.',
         })
         .option('threads', {
             alias: 't',
@@ -28,265 +122,2557 @@ async function main() {
             description: 'List each file separately.',
             default: false
         })
+        .option('size', {
+            alias: 'n',
+            type: 'string',
+            description: 'Number of words per sequence, or a range such as 2-5. Defaults to 3, or to the lengths of the --match patterns.'
+        })
+        .option('top', {
+            type: 'string',
+            description: 'Number of sequences to list, or "all".',
+            default: String(DEFAULT_TOP)
+        })
+        .option('min-count', {
+            type: 'number',
+            description: 'Only list sequences that occur at least this many times.',
+            default: 1
+        })
+        .option('boundary', {
+            type: 'string',
+            choices: BOUNDARY_MODES,
+            description: 'Do not form sequences across sentence ends and blank lines (sentence) or across blank lines only (paragraph).',
+            default: 'none'
+        })
+        .option('input-format', {
+            type: 'string',
+            choices: ['auto', ...INPUT_EXTRACTORS.keys()],
+            description: 'Read every file as this format instead of detecting it from the extension or content.',
+            default: 'auto'
+        })
+        .option('encoding', {
+            type: 'string',
+            choices: ['auto', ...ENCODINGS],
+            description: 'Read every file and standard input in this encoding instead of detecting it from a byte order mark or the bytes.',
+            default: 'auto'
+        })
+        .option('locale', {
+            type: 'string',
+            description: 'Language of the text, such as th, ja or tr, used to split Chinese, Japanese, Thai, Lao, Khmer and Burmese text into words and to lowercase words. auto picks the language of each run of text from its script.',
+            default: 'auto'
+        })
+        .option('numbers', {
+            type: 'boolean',
+            description: 'Keep numbers such as 22 or 3.14 as words instead of dropping digits.',
+            default: false
+        })
+        .option('hyphens', {
+            type: 'string',
+            choices: HYPHEN_MODES,
+            description: 'Keep hyphenated words such as state-of-the-art together (join) or split them at the hyphens (split).',
+            default: 'join'
+        })
+        .option('apostrophes', {
+            type: 'string',
+            choices: APOSTROPHE_MODES,
+            description: "Keep words with apostrophes such as isn't together (join) or split them at the apostrophes (split).",
+            default: 'join'
+        })
+        .option('stopwords', {
+            type: 'array',
+            description: 'Built-in stopword lists (en, de) or files of custom stopwords.',
+        })
+        .option('stopword-mode', {
+            type: 'string',
+            choices: STOPWORD_MODES,
+            description: 'Drop sequences made up entirely of stopwords (all), drop sequences that start or end with a stopword (edge), or remove stopwords before forming sequences (remove).',
+            default: 'all'
+        })
+        .option('stem', {
+            type: 'boolean',
+            description: 'Count inflected variants of English words together, listing each sequence under its most frequent form.',
+            default: false
+        })
+        .option('preserve-case', {
+            type: 'boolean',
+            description: 'Count sequences regardless of case, listing each under its most frequent original form.',
+            default: false
+        })
+        .option('case-sensitive', {
+            type: 'boolean',
+            description: 'Count sequences that differ in case separately.',
+            default: false
+        })
+        .option('variants', {
+            type: 'boolean',
+            description: 'With --preserve-case or --stem, list the forms counted under each sequence with their counts.',
+            default: false
+        })
+        .option('compare', {
+            type: 'boolean',
+            description: 'List the sequences most over-represented in each file compared to the other files or to --reference.',
+            default: false
+        })
+        .option('reference', {
+            type: 'array',
+            description: 'Files, directories or glob patterns of a reference corpus for --compare.',
+        })
+        .option('measure', {
+            type: 'string',
+            choices: KEYNESS_MEASURES,
+            description: 'Keyness statistic used by --compare.',
+            default: 'log-likelihood'
+        })
+        .option('approximate', {
+            type: 'boolean',
+            description: 'Count the most frequent sequences in a fixed amount of memory, reporting how far each count may be too high.',
+            default: false
+        })
+        .option('memory', {
+            type: 'string',
+            description: `Rough memory budget of --approximate, such as 512MB or 2GB. Defaults to ${DEFAULT_MEMORY}.`,
+        })
+        .option('cache-dir', {
+            type: 'string',
+            description: 'Keep the sequences counted from each file in this directory and only count new or changed files on later runs.',
+        })
+        .option('match', {
+            type: 'array',
+            description: 'Only list sequences matching any of these patterns: words, * for any single word and alternatives such as (white|sperm), or re: followed by a regular expression matched anywhere in the lowercase sequence.',
+        })
+        .option('skip', {
+            type: 'number',
+            description: 'Also count sequences whose words are up to this many words apart in total (skip-grams), at most 4.',
+            default: 0
+        })
+        .option('context', {
+            type: 'number',
+            description: `Show where each listed sequence occurs with this many words of surrounding text. The concordance command shows ${DEFAULT_CONTEXT} by default.`,
+        })
+        .option('segment-by', {
+            type: 'string',
+            description: "Split each input into segments starting at the headings matched by a regular expression such as '^\\s*CHAPTER \\d+', every this many words or by file, and show how many segments each listed sequence occurs in, how evenly it is spread over them (Juilland's D) and its count in each segment.",
+        })
+        .option('rank-by', {
+            type: 'string',
+            choices: RANK_MODES,
+            description: "Rank sequences by count, or with --segment-by by their count times Juilland's D (adjusted), so sequences found in only a few segments rank lower.",
+            default: 'count'
+        })
+        .option('timeout', {
+            type: 'number',
+            description: 'Stop a worker thread that takes longer than this many seconds, failing the files it was counting.',
+        })
+        .option('continue-on-error', {
+            type: 'boolean',
+            description: 'Warn about files that fail to be read or counted and list the results of the other files, exiting with code 2.',
+            default: false
+        })
+        .option('watch', {
+            alias: 'w',
+            type: 'boolean',
+            description: 'Keep watching the files and redraw the lists whenever they change, counting only the changed files again. Writes each update as a line of NDJSON when stdout is not a terminal.',
+            default: false
+        })
+        .option('stats', {
+            type: 'boolean',
+            description: 'Write statistics of each file, of all files together and of each worker to stderr: tokens, unique sequences, share of sequences occurring once, unique sequences per sequence, bytes read, throughput and timing.',
+            default: false
+        })
+        .option('progress', {
+            type: 'boolean',
+            description: 'Show how many inputs and bytes have been counted on stderr. Shown by default when stderr is a terminal and the run takes longer than a second.'
+        })
+        .option('format', {
+            type: 'string',
+            choices: OUTPUT_FORMATS,
+            description: 'Output format.',
+            default: 'text'
+        })
+        .option('output', {
+            alias: 'o',
+            type: 'string',
+            description: 'Write the results to a file instead of stdout.',
+        })
+        .option('emit-counts', {
+            type: 'string',
+            description: 'Also write the count of every sequence to this file as gzip compressed NDJSON, to be combined with other runs by the merge command.',
+        })
         .example('$0 -f file1.txt file2.txt', 'Process text from file1.txt and file2.txt')
         .example('$0 -f file1.txt file2.txt', 'Process text from file1.txt and file2.txt outputting a single list')
         .example('$0 -f file1.txt file2.txt -t 2', 'Process text from file1.txt and file2.txt using 2 threads ouputting list for each file')
+        .example('$0 -f file1.txt -n 2-5', 'Process text from file1.txt outputting a list for each sequence length from 2 to 5')
+        .example("$0 -f corpus/ -r --exclude '*.md'", 'Process the files in corpus and its subdirectories except Markdown files')
+        .example("$0 -f 'books/**/*.txt'", 'Process the .txt files below books without relying on the shell to expand the pattern')
+        .example('$0 -f notes.md page.html archive.txt.gz', 'Process the visible text of Markdown, HTML and gzip compressed files')
+        .example("$0 -f moby_dick.txt --match 'the * whale' '(white|sperm) whale *' --top all", 'List every sequence of moby_dick.txt matching either pattern')
+        .example("$0 -f moby_dick.txt --match 're:\\bahab\\b' -n 2 --skip 2", 'List the pairs of words containing ahab, counting pairs up to 2 words apart')
+        .example('$0 -f file1.txt --boundary sentence', 'Process text from file1.txt without forming sequences that span two sentences')
+        .example('$0 -f archive/ -r --encoding windows-1252', 'Process old files written on Windows, whose quotes and dashes are not valid UTF-8')
+        .example('$0 -f novel_th.txt --locale th', 'Process Thai text, splitting it into words with the Thai word segmentation rules')
+        .example('$0 -f file1.txt --numbers --hyphens split', 'Process text from file1.txt keeping numbers and splitting hyphenated words')
+        .example('$0 -f file1.txt --top 20 --min-count 3', 'Process text from file1.txt listing the 20 most frequent sequences that occur at least 3 times')
+        .example('$0 -f file1.txt --stopwords en --stopword-mode edge', 'Process text from file1.txt dropping sequences that start or end with an English stopword')
+        .example('$0 -f file1.txt --preserve-case --variants', 'List sequences such as "New York City" in their most frequent case, with the count of each form')
+        .example('$0 -f file1.txt file2.txt --compare', 'List the sequences most characteristic of each file compared to the other file')
+        .example('$0 -f file1.txt --compare --reference corpus/ --measure tf-idf', 'Score the sequences of file1.txt against the files in corpus with TF-IDF')
+        .example('$0 -f file1.txt --format csv -o results.csv', 'Process text from file1.txt writing the results to results.csv as CSV')
+        .example('$0 -f corpus/ -r --cache-dir .sequence-cache', 'Process the files in corpus, counting only the files that changed since the last run')
+        .example('$0 cache prune --cache-dir .sequence-cache', 'Remove the cached sequences of files that changed or were deleted')
+        .example('$0 concordance "the white whale" -f moby_dick.txt --context 8', 'List where "the white whale" occurs in moby_dick.txt with 8 words on each side')
+        .example('$0 -f file1.txt --top 10 --context 3', 'List the 10 most frequent sequences of file1.txt, each with the places it occurs')
+        .example("$0 -f moby_dick.txt --segment-by '^\\s*CHAPTER \\d+' --rank-by adjusted", 'List the sequences of moby_dick.txt used throughout the book rather than in a few chapters')
+        .example('$0 -f corpus/ -r -t 4 --timeout 60 --continue-on-error', 'Process the files in corpus, skipping files that cannot be read and workers that take longer than a minute')
+        .example('$0 -f dump/ -r -t 4 --approximate --memory 1GB', 'Process a corpus too large to count exactly, using about 1 GB for the counts')
+        .example('$0 -f corpus/ -r -t 4 --stats', 'Process the files in corpus, then write the tokens, unique sequences, throughput and worker timings to stderr')
+        .example('$0 -f draft.txt --watch --top 20', 'Redraw the 20 most frequent sequences of draft.txt every time it is saved')
+        .example('$0 -f shard1/ -r --emit-counts shard1.counts.gz', 'Process the files in shard1 and also write the count of every sequence to shard1.counts.gz')
+        .example('$0 merge shard1.counts.gz shard2.counts.gz --top 20', 'List the 20 most frequent sequences of both shards together')
         .example('cat file1.txt | $0', 'Process text from standard input')
+        .example('$0 serve --port 3000', 'Serve POST /analyze, POST /analyze/batch and GET /health on http://127.0.0.1:3000')
         .help('help')
         .alias('help', 'h')
         .argv;
 
-    const MAX_THREADS = os.cpus().length
-
-    if (argv.threads > MAX_THREADS) {
-        console.log(`WARNING: Maximum of ${MAX_THREADS} allowed. The program will run using ${MAX_THREADS} instead of ${argv.threads}`)
+    if (argv._[0] === 'serve') {
+        // Required here rather than at the top since the server requires this module
+        const { startServer } = require('./server')
+        const server = await startServer({
+            port: argv.port,
+            host: argv.host,
+            maxBodySize: argv.maxBodySize,
+            maxConcurrency: argv.maxConcurrency,
+            threads: argv.threads
+        })
+        const { address, port } = server.address()
+        console.log(`Listening on http://${address}:${port}`)
+        return
     }
 
-    if (Number.isNaN(argv.threads)) {
-        console.log(`Invalid argument for -t. Using default number of threads.`)
+    if (argv._[0] === 'cache') {
+        await runCacheCommand(argv.action, argv.cacheDir, argv.olderThan)
+        return
     }
 
-    const THREAD_COUNT = !!argv.threads && !Number.isNaN(argv.threads) ? Math.min(Math.round(argv.threads), MAX_THREADS) : 1
+    if (argv._[0] === 'merge') {
+        // Only the ranking and output options apply, since the sequences were counted already
+        const { rendered } = await merge(argv.counts, {
+            size: argv.size,
+            top: argv.top,
+            minCount: argv.minCount,
+            stem: argv.stem,
+            preserveCase: argv.preserveCase,
+            variants: argv.variants,
+            match: argv.match,
+            emitCounts: argv.emitCounts,
+            format: argv.format,
+            onWarning: message => console.error(message)
+        })
+        await writeOutput(rendered, argv.output)
+        return
+    }
 
-    if (!!argv._.length && !argv.files) {
+    const isConcordance = argv._[0] === 'concordance'
+    if (argv._.length > (isConcordance ? 1 : 0) && !argv.files) {
         // User specified file path without providing -f or --files
         throw new Error('Input given without specifying --files (-f) option.')
     }
-    let topSequences = []
-    if (argv.files && argv.files.length > 0) {
-        // Read from arguments
-        topSequences = !!argv.threads ? await processFilesInParallel(argv.files, THREAD_COUNT, argv.multiple) : await processFilesAsOne(argv.files)
+
+    // Read from arguments, expanding directories and glob patterns, or from stdin
+    const inputs = argv.files && argv.files.length > 0 ? argv.files.map(file => ({ path: String(file) })) : [{ name: 'stdin', stream: process.stdin }]
+    const options = {
+        size: argv.size,
+        top: argv.top,
+        minCount: argv.minCount,
+        stopwords: argv.stopwords,
+        stopwordMode: argv.stopwordMode,
+        stem: argv.stem,
+        preserveCase: argv.preserveCase,
+        caseSensitive: argv.caseSensitive,
+        variants: argv.variants,
+        boundary: argv.boundary,
+        inputFormat: argv.inputFormat,
+        encoding: argv.encoding,
+        locale: argv.locale,
+        numbers: argv.numbers,
+        hyphens: argv.hyphens,
+        apostrophes: argv.apostrophes,
+        match: argv.match,
+        skip: argv.skip,
+        threads: argv.threads,
+        multiple: argv.multiple,
+        recursive: argv.recursive,
+        exclude: argv.exclude,
+        compare: argv.compare,
+        reference: argv.reference,
+        measure: argv.measure,
+        cacheDir: argv.cacheDir,
+        context: argv.context,
+        segmentBy: argv.segmentBy,
+        rankBy: argv.rankBy,
+        timeout: argv.timeout,
+        continueOnError: argv.continueOnError,
+        approximate: argv.approximate,
+        memory: argv.memory,
+        emitCounts: argv.emitCounts,
+        stats: argv.stats,
+        format: argv.format,
+        onWarning: message => console.error(message)
+    }
+
+    if (argv.watch) {
+        if (isConcordance || argv.output) {
+            throw new Error(`--watch cannot be combined with ${isConcordance ? 'the concordance command' : '--output'}.`)
+        }
+        // A terminal shows the lists redrawn in place, anything else gets the changes of each update
+        const interactive = !!process.stdout.isTTY
+        await watch(inputs, { ...options, format: interactive ? 'text' : 'ndjson' }, ({ files, rendered }) => {
+            const status = `Watching ${files.length} file${files.length === 1 ? '' : 's'}, updated at ${new Date().toLocaleTimeString()}. Press Ctrl+C to stop.\n`
+            process.stdout.write(interactive ? `${CLEAR_SCREEN}${status}${rendered}` : rendered)
+        })
+        return
+    }
+
+    let analysis
+    if (isConcordance) {
+        analysis = await concordance(inputs, argv.sequence, options)
     } else {
-        // Read from stdin
-        const text = await processStdIn()
-        topSequences.push({ file: 'stdin', sequences: analyzeText(text) })
+        const progress = (argv.progress === undefined ? process.stderr.isTTY : argv.progress) ? createProgressReporter(process.stderr) : null
+        try {
+            analysis = await analyze(inputs, progress ? {
+                ...options,
+                onProgress: progress.update,
+                // Warnings are written on a line of their own rather than after the progress line
+                onWarning: message => {
+                    progress.clear()
+                    console.error(message)
+                }
+            } : options)
+        } finally {
+            if (progress) {
+                progress.clear()
+            }
+        }
     }
+    const { rendered, failures, stats } = analysis
 
     // Log the results
-    logSequences(topSequences)
+    await writeOutput(rendered, argv.output)
+    if (stats) {
+        process.stderr.write(renderStats(stats))
+    }
+
+    // Results of only some of the inputs are a partial failure, told apart from a total failure with exit code 1
+    if (failures.length) {
+        process.exitCode = 2
+    }
 }
 
 /**
- * Logs the top sequences
- * @param {Array} topSequences - Array of objects containing file and sequences
+ * Analyzes text from strings, Buffers, readable streams and files without printing anything.
+ * Strings, Buffers and streams are read as text, and objects with a path are files, directories or glob patterns.
+ * @param {*} inputs - Input or array of inputs: a string, Buffer, readable stream, { path } or { name, text|buffer|stream }
+ * @param {Object} options - Options named like the command line options, such as size, top, minCount, stopwords,
+ * stopwordMode, stem, boundary, threads, multiple, compare, context, segmentBy, rankBy, timeout, continueOnError,
+ * approximate, memory and stats, an optional output format, an optional onWarning(message) callback and an optional onProgress(progress)
+ * callback, called with the inputs done as files and totalFiles and the bytes read as bytes and totalBytes
+ * @returns {Promise<Object>} - Object with the results as written by the json format, the warnings raised, the inputs
+ * that failed with continueOnError, with stats the statistics of the run and, when a format is given, the results
+ * rendered in that format
  */
-function logSequences(topSequences) {
-    topSequences.forEach((ts, index) => {
-        if (ts.sequences.length) {
-            console.log(`\n******************* TOP SEQUENCES: ${ts.file} *****************\n`)
-
-            ts.sequences.slice(0, 100).forEach(([sequence, frequency], index) => {
-                console.log(`${index + 1}. ${sequence} - ${frequency}`);
-            })
-        } else {
-            console.log('\n******************* NO SEQUENCES FOUND *****************\n')
-        }
-    });
+async function analyze(inputs, options = {}) {
+    if (options.context !== undefined && options.format === 'csv') {
+        const error = new Error('--context cannot be written as csv. Use the concordance command to list the occurrences of a sequence as csv.')
+        error.invalidOption = true
+        throw error
+    }
+    const { topSequences, warnings, failures, stats } = await collectSequences(inputs, options)
+    const analysis = { results: topSequences.map(toResult), warnings, failures }
+    if (stats) {
+        analysis.stats = stats
+    }
+    if (options.format) {
+        analysis.rendered = renderSequences(topSequences, options.format)
+    }
+    return analysis
 }
 
-
 /**
- * Creates a worker for processing files in parallel
- * @param {Array} fileChunk - Chunk of files to process
- * @returns {Promise} - Promise resolving with the worker's result
+ * Counts and ranks the sequences of the inputs given to analyze, collecting warnings instead of printing them
+ * @param {*} inputs - Input or array of inputs accepted by analyze
+ * @param {Object} options - Options accepted by analyze
+ * @returns {Promise<Object>} - Object with the top sequences of each list, the warnings raised, the failed inputs and
+ * the statistics of the run when stats is set
  */
-function createWorker(fileChunk) {
-    return new Promise(function (resolve, reject) {
-        const worker = new Worker(path.resolve(__dirname, 'process_analyze_files.js'), { workerData: { files: fileChunk } });
+async function collectSequences(inputs, options = {}) {
+    const { warnings, warn } = createWarningCollector(options)
+    const settings = await resolveOptions(options, warn)
+    // Checked before any input is read, as streams would otherwise be held in memory for --context first
+    if (settings.compare && classifyInputs(inputs).sources.length) {
+        const error = new Error('--compare needs input files given with --files (-f).')
+        error.invalidOption = true
+        throw error
+    }
+    const { files, sources } = await resolveInputs(inputs, settings)
 
-        worker.on("message", (data) => {
-            resolve(data);
-        });
-        worker.on("error", (msg) => {
-            reject(`An error ocurred: ${msg}`);
-        });
-    });
+    // Streams can only be read once, so they are held in memory to be read again for the occurrences or segments
+    if (settings.context !== undefined || settings.segmentBy) {
+        for (const source of sources) {
+            source.source = await readSourceData(source.source)
+        }
+    }
+
+    const referenceFiles = settings.compare ? await expandReferenceFiles(settings.reference, settings) : []
+    if (options.onProgress) {
+        settings.progress = createProgressTracker(await getInputTotals(files.concat(referenceFiles), sources), options.onProgress)
+    }
+
+    // Ranking by adjusted count needs the dispersion of every sequence, so the top is only taken after adding it
+    const counting = settings.rankBy === 'adjusted' ? { ...settings, top: Infinity } : settings
+    // Inputs counted separately have no sequences spanning two of them
+    const separately = settings.threads || sources.length || settings.cacheDir
+    let topSequences = []
+    if (settings.compare) {
+        topSequences = await compareFiles(files, referenceFiles, settings.threadCount, settings)
+    } else if (separately) {
+        topSequences = await processInputs(files, sources, settings.threadCount, settings.multiple, counting)
+    } else {
+        topSequences = await processFilesAsOne(files, counting)
+    }
+
+    if (settings.segmentBy) {
+        await addDispersion(topSequences, sources, settings, !separately)
+    }
+    if (settings.context !== undefined) {
+        await addOccurrences(topSequences, sources, settings)
+    }
+
+    checkFailures(settings.failures, files.length + sources.length)
+    return { topSequences, warnings, failures: settings.failures, stats: settings.stats && summarizeStats(settings.stats) }
 }
 
 /**
- * Analyzes text and return the top sequences
- * @param {string} text - Text to analyze
- * @returns {Array} - Array of top sequences with their frequencies
+ * Works out how many inputs a run reads and how many bytes they hold, for reporting progress
+ * @param {Array} files - Array of file paths
+ * @param {Array} sources - Array of sources with a name and a string, Buffer or stream
+ * @returns {Promise<Object>} - Number of inputs as files, and bytes, or null when a source is a stream of unknown length
  */
-function analyzeText(text) {
-    const sequenceMap = generateSequenceMap(text);
-    return getTopSequences(sequenceMap);
+async function getInputTotals(files, sources) {
+    let bytes = 0
+    for (const file of files) {
+        // Files that cannot be read are reported when they are counted
+        bytes += await fs.promises.stat(file).then(stats => stats.size, () => 0)
+    }
+    for (const { source } of sources) {
+        if (isReadable(source)) {
+            return { files: files.length + sources.length, bytes: null }
+        }
+        bytes += Buffer.byteLength(source)
+    }
+    return { files: files.length + sources.length, bytes }
 }
 
 /**
- * Processes text input from stdin
- * @returns {Promise<string>} - Promise resolving with the processed text
+ * Lists each occurrence of a sequence in the inputs with its file, line, column and surrounding text.
+ * Sequences are formed the same way they are counted, so stopwords, stem and boundary apply, but not across inputs.
+ * @param {*} inputs - Input or array of inputs accepted by analyze
+ * @param {string} sequence - Sequence to find, formatted with formatText
+ * @param {Object} options - context words to show on each side, the counting options stopwords, stopwordMode, stem,
+ * boundary, inputFormat and encoding, recursive, exclude and continueOnError, an optional output format and an
+ * optional onWarning(message) callback
+ * @returns {Promise<Object>} - Object with the occurrences, the warnings raised, the inputs that failed with
+ * continueOnError and, when a format is given, the occurrences rendered in that format
  */
-async function processStdIn() {
-    let text = ''
+async function concordance(inputs, sequence, options = {}) {
+    const { warnings, warn } = createWarningCollector(options)
+    const settings = await resolveOptions(options, warn)
+    if (settings.skip) {
+        throw new Error('The concordance command cannot be combined with --skip.')
+    }
+    const filter = createStopwordFilter(settings.stopwords, settings.stopwordMode, settings.lowercase === false)
+    const words = createTokenizer(settings).words(String(sequence === undefined ? '' : sequence))
+    const target = (filter ? filter.removeWords(words) : words).join(' ')
+    if (!target) {
+        throw new Error(`Invalid sequence: "${sequence}". Expected at least one word${filter ? ' that is not a stopword' : ''}.`)
+    }
 
-    const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout,
-        terminal: false
-    });
+    const { files, sources } = await resolveInputs(inputs, settings)
+    const occurrences = []
+    await forEachInputText(files, sources, settings, (name, text) => {
+        findOccurrences(text, [target], settings).forEach(occurrence => occurrences.push({ file: name, ...occurrence }))
+    })
 
-    for await (const line of rl) {
-        text += ` ${formatText(line)}`;
+    checkFailures(settings.failures, files.length + sources.length)
+    const result = { occurrences: occurrences.map(toConcordanceResult), warnings, failures: settings.failures }
+    if (options.format) {
+        result.rendered = renderConcordance(occurrences, options.format)
     }
-
-    return text.trim()
+    return result
 }
 
-
 /**
- * Processes files using N threads
- * @param {Array} files - Array of file paths
- * @returns {Array} - Top sequences from all files
+ * Combines the counts files written with emitCounts, such as those of shards of a corpus counted on several machines,
+ * and ranks the combined counts. Every file must have been counted with the same sequence lengths and options that
+ * change how sequences are counted.
+ * @param {Array|string} countFiles - Paths of counts files
+ * @param {Object} options - Ranking options top, minCount, stem, preserveCase, variants and match, size to list only
+ * some of the counted lengths, emitCounts to write the combined counts, an optional output format and an optional
+ * onWarning(message) callback
+ * @returns {Promise<Object>} - Object with the results as written by the json format, the warnings raised, no
+ * failures and, when a format is given, the results rendered in that format
  */
-async function processFilesAsOne(files) {
-    let text = '';
-    let invalidFiles = []
-    for (const file of files) {
-        if (!file.endsWith('.txt')) {
-            invalidFiles.push(file)
-            continue
-        }
-        const data = await fs.promises.readFile(file, 'utf8');
-        text += ` ${formatText(data)}`;
+async function merge(countFiles, options = {}) {
+    const files = [].concat(countFiles || []).map(String)
+    if (!files.length) {
+        throw new Error('merge needs at least one counts file written by --emit-counts.')
     }
-    const analyzedText = analyzeText(text.trim())
-    if (invalidFiles.length) {
-        console.log(`Invalid input: ${invalidFiles.join(', ')}\nThis program only accepts .txt files.`)
+    const { countingOptions, inputs, sequenceMaps } = await mergeCountsFiles(files)
+    const counted = countingOptions.sizes
+    const { warnings, warn } = createWarningCollector(options)
+    const settings = await resolveOptions({ ...options, size: options.size === undefined ? `${counted[0]}-${counted[counted.length - 1]}` : options.size }, warn)
+    const missing = settings.sizes.filter(size => !counted.includes(size))
+    if (options.size !== undefined && missing.length) {
+        throw new Error(`Invalid argument for --size (-n): ${options.size}. The counts files hold sequences of ${counted.join(', ')} words.`)
     }
-    const topSequences = [{ file: files, sequences: analyzedText }]
 
-    return topSequences
-}
+    const name = files.join(', ')
+    const topSequences = counted.filter(size => settings.sizes.includes(size)).map(size => {
+        const sequenceMap = sequenceMaps.get(size)
+        return { file: name, sources: inputs, size, total: getTotalFrequency(sequenceMap), sequences: rankSequences(sequenceMap, settings) }
+    })
+    if (settings.emitCounts) {
+        await writeCountsFile(settings.emitCounts, sequenceMaps, countingOptions, inputs)
+    }
 
+    const analysis = { results: topSequences.map(toResult), warnings, failures: [] }
+    if (options.format) {
+        analysis.rendered = renderSequences(topSequences, options.format)
+    }
+    return analysis
+}
 
 /**
- * Processes files using N threads
- * @param {Array} files - Array of file paths
- * @param {number} threadCount - Number of threads to use
- * @returns {Array} - Top sequences from all files
+ * Analyzes files like analyze, then keeps watching them and analyzes them again whenever they change. Only the files
+ * that were added or changed are counted again, and the sequences of the other files are kept in memory.
+ * @param {*} inputs - Input or array of inputs accepted by analyze, which must all be files given as { path }
+ * @param {Object} options - Options accepted by analyze except compare and context, text or ndjson as format,
+ * and debounce, the milliseconds to wait for more changes before counting
+ * @param {Function} onUpdate - Called after the first analysis and after each change with an object with the results,
+ * the deltas of the lists that changed since the last update, the files watched, the changed and removed files,
+ * the warnings and failures of the update and, when a format is given, the update rendered in that format
+ * @returns {Promise<Object>} - Watcher with a close() function, resolved after the first update
  */
-async function processFilesInParallel(files, threadCount, multiple) {
-    const fileChunks = splitArrayToNChunks(files, threadCount)
-    let topSequencesPromises = fileChunks.map(chunk => createWorker(chunk));
-    const fileOutput = await Promise.all(topSequencesPromises)
+async function watch(inputs, options = {}, onUpdate = () => { }) {
+    const { warnings, warn } = createWarningCollector(options)
+    const settings = await resolveOptions(options, warn)
+    const conflict = [
+        ['compare', settings.compare], ['context', settings.context !== undefined], ['stats', settings.stats], ['emit-counts', settings.emitCounts],
+        ['segment-by', settings.segmentBy]
+    ].find(([, value]) => value)
+    if (conflict) {
+        throw new Error(`--watch cannot be combined with --${conflict[0]}.`)
+    }
+    if (options.format && !WATCH_FORMATS.includes(options.format)) {
+        throw new Error(`Invalid argument for --format: ${options.format}. --watch writes ${WATCH_FORMATS.join(' or ')}.`)
+    }
+    const { patterns, sources } = classifyInputs(inputs)
+    if (sources.length || !patterns.length) {
+        throw new Error('--watch needs input files given with --files (-f).')
+    }
 
-    const invalidFiles = []
-    const topSequencesSeparate = []
-    fileOutput.forEach(ts => {
-        invalidFiles.push(...ts.invalidFiles);
-        ts.sequences.forEach(s => topSequencesSeparate.push({ file: s.file, sequences: s.sequences }))
-    });
+    // Lists are named after the patterns rather than the files they expand to, so they keep their name as files come and go
+    const name = patterns.join(', ')
+    const counted = new Map()
+    let previous = []
+    let isFirst = true
 
-    if (invalidFiles.length) {
-        console.log(`Invalid input: ${invalidFiles.join(', ')}\nThis program only accepts .txt files.`)
+    return watchFiles(patterns, {
+        recursive: settings.recursive,
+        exclude: settings.exclude,
+        supportedExtensions: getSupportedExtensions(),
+        debounce: options.debounce,
+        warn
+    }, async ({ files, changed, removed, expansion }) => {
+        const warningCount = warnings.length
+        settings.failures = []
+        if (isFirst) {
+            logFileSummary(expansion, warn)
+        }
+
+        removed.forEach(file => counted.delete(file))
+        try {
+            const topSequencesSeparate = await countFilesSeparately(changed, settings.threadCount, settings)
+            changed.forEach(file => counted.delete(file))
+            topSequencesSeparate.forEach(ts => counted.set(ts.file, (counted.get(ts.file) || []).concat(ts)))
+        } catch (err) {
+            // Files saved halfway keep their last counts until they change again
+            warn(err.message)
+        }
+
+        const topSequences = listSeparateSequences(files.flatMap(file => counted.get(file) || []), name, settings.multiple, settings)
+        const update = {
+            results: topSequences.map(toResult),
+            deltas: diffRankings(previous, topSequences),
+            files,
+            changedFiles: changed,
+            removedFiles: removed,
+            warnings: warnings.slice(warningCount),
+            failures: settings.failures
+        }
+        if (options.format) {
+            update.rendered = renderWatchUpdate(topSequences, update, options.format)
+        }
+        previous = topSequences
+        isFirst = false
+        await onUpdate(update)
+    })
+}
+
+/**
+ * Handles an input that could not be read or counted. The error is raised again unless continueOnError is set,
+ * in which case the input is added to the failures and reported as a warning.
+ * @param {string} file - File path or input name
+ * @param {Error} err - Error raised while reading or counting the input
+ * @param {Object} options - Analysis options with continueOnError, failures and warn
+ */
+function handleFailure(file, err, options = {}) {
+    const message = `Could not count ${file}: ${err.message}`
+    if (!options.continueOnError) {
+        const error = new Error(`${message}\nUse --continue-on-error to list the results of the other inputs.`)
+        error.failures = [{ file, message: err.message }]
+        throw error
     }
+    if (options.failures) {
+        options.failures.push({ file, message: err.message })
+    }
+    (options.warn || console.error)(message)
+}
 
-    if (multiple) {
-        return topSequencesSeparate.map(ts => {
-            return {
-                file: ts.file,
-                sequences: getTopSequences(ts.sequences)
+/**
+ * Picks how an input is read, warning about the invalid byte sequences replaced while reading it. Given an object to
+ * count into, the bytes read are also added to its bytes and reported to the progress tracker.
+ * @param {string} name - File path or input name
+ * @param {Object} options - Analysis options with encoding, warn and an optional progress tracker
+ * @param {Object} read - Optional object whose bytes are set to the number of bytes read
+ * @returns {Object} - Reading options taken by createInputStream and createSourceStream
+ */
+function getReadingOptions(name, options = {}, read) {
+    const reading = { encoding: options.encoding, onInvalid: invalid => warnInvalidBytes(name, invalid, options.warn) }
+    if (read) {
+        read.bytes = 0
+        reading.onRead = bytes => {
+            read.bytes += bytes
+            if (options.progress) {
+                options.progress.read(bytes)
             }
-        })
-    } else {
-        return [{ file: files.join(', '), sequences: mapSeparateSequences(topSequencesSeparate) }]
+        }
     }
+    return reading
 }
 
-function mapSeparateSequences(topSequences) {
-    const sequenceMaps = new Map()
-
-    for (let { sequences } of topSequences) {
-        sequences.forEach((value, key) => {
-            sequenceMaps.set(key, (sequenceMaps.get(key) || 0) + value)
-        })
+/**
+ * Adds the statistics of a counted input to the statistics of the run, when they are collected
+ * @param {Object} options - Analysis options with the statistics of the run as stats
+ * @param {Object} input - Statistics of the input with file, bytes, tokens, seconds and whether it was cached
+ * @param {Map} sequenceMaps - Map of sequence length to the frequency map or sketch of the input
+ */
+function recordInputStats(options, input, sequenceMaps) {
+    if (options.stats) {
+        options.stats.inputs.push({ ...input, lists: Array.from(sequenceMaps, ([size, sequences]) => getListStats(size, sequences)) })
     }
-    return getTopSequences(sequenceMaps)
 }
 
 /**
- * Splits an array into N chunks
- * @param {Array} array - Array to split
- * @param {number} n - Number of chunks
- * @returns {Array} - Array of N chunks
+ * Sets the statistics of the lists of every input together, when they are collected, merging the sequences counted
+ * from each input separately
+ * @param {Array} topSequencesSeparate - Array of objects with size and a sequences frequency map or sketch
+ * @param {Object} options - Analysis options with sizes and the statistics of the run as stats
  */
-function splitArrayToNChunks(array = [], n) {
-    const splitArray = [];
-    let arrPos = 0;
-    for (let i = 0; i < n; i++) {
-        const splitArrayLength = Math.ceil((array.length - arrPos) / (n - i));
-        splitArray.push([]);
-        splitArray[i] = array.slice(arrPos, splitArrayLength + arrPos);
-        arrPos += splitArrayLength;
+function recordOverallStats(topSequencesSeparate, options = {}) {
+    const { sizes = [DEFAULT_SIZE] } = options
+    if (options.stats) {
+        options.stats.lists = sizes.map(size => {
+            const separate = topSequencesSeparate.filter(ts => ts.size === size)
+            const merged = separate.length && isSketch(separate[0].sequences) ? mergeSeparateSketches(separate) : mergeSeparateMaps(separate)
+            return getListStats(size, merged)
+        })
     }
-    return splitArray
 }
 
 /**
- * Formats text to be lowercase and without punctuation or extra white space. Preserves apostrophes and hyphens. Replaces new lines with a spaces. Supports unicode.
- * @param {string} text - Text to format
- * @returns {string} - Formatted text
+ * Warns that invalid byte sequences of an input were replaced with U+FFFD, which formatText drops
+ * @param {string} name - File path or input name
+ * @param {Object} invalid - Encoding the input was read in and count of invalid byte sequences
+ * @param {Function} warn - Function logging the warning
  */
-function formatText(text) {
-    return text.toLowerCase()                           // Convert to lowercase
-        .replace(/[\n]/g, ' ')                          // Replace new lines with spaces
-        .replace(/[^\p{Letter}\p{Mark}\s ' -]/gu, " ")  // Remove characters that are not letters, marks, apostrophes, or hyphens with support for unicode
-        .replace(/\s+'\s+/g, ' ')                       // Remove unnecessary apostrophes surrounded by whitespace
-        .replace(/\s+/g, ' ')                           // Replace multiple spaces with a single space
-        .trim();
+function warnInvalidBytes(name, { encoding, count }, warn = console.error) {
+    warn(`WARNING: Replaced ${count} invalid byte sequence(s) in ${name}, read as ${encoding}. Use --encoding to read it in another encoding.`)
 }
 
 /**
- * Generates frequency map of three-word sequences
- * @param {string} text - Text to analyze
- * @returns {Map} - Map of sequences and their frequencies
+ * Raises an error when every input failed, since there are no results left to list
+ * @param {Array} failures - Inputs that failed, with file and message
+ * @param {number} inputCount - Number of files and in-memory sources
  */
-function generateSequenceMap(text) {
-    const sequenceMap = new Map();
-    const textArray = text.split(" ")
-
-    for (let leftIndex = 0; leftIndex < textArray.length; leftIndex++) {
-        const sequenceArray = textArray.slice(leftIndex, leftIndex + 3)
+function checkFailures(failures, inputCount) {
+    if (failures.length && failures.length >= inputCount) {
+        const error = new Error(`Every input failed to be counted.`)
+        error.failures = failures
+        throw error
+    }
+}
 
-        if (sequenceArray.length < 3) {
-            break
+/**
+ * Creates the warning function of analyze, which collects warnings and passes them to the onWarning callback
+ * @param {Object} options - Options with an optional onWarning(message) callback
+ * @returns {Object} - Object with the array of warnings raised and the warn function
+ */
+function createWarningCollector(options = {}) {
+    const warnings = []
+    const warn = message => {
+        warnings.push(message)
+        if (options.onWarning) {
+            options.onWarning(message)
         }
+    }
+    return { warnings, warn }
+}
 
-        const sequenceText = sequenceArray.join(' ')
-        if (sequenceMap.has(sequenceText)) {
-            sequenceMap.set(sequenceText, sequenceMap.get(sequenceText) + 1)
-        } else {
-            sequenceMap.set(sequenceText, 1)
+/**
+ * Expands the file patterns among the inputs given to analyze and picks out the in-memory sources
+ * @param {*} inputs - Input or array of inputs accepted by analyze
+ * @param {Object} options - Analysis options with recursive, exclude and warn
+ * @returns {Promise<Object>} - Object with the file paths and the sources with a name and a string, Buffer or stream
+ */
+async function resolveInputs(inputs, options = {}) {
+    const { patterns, sources } = classifyInputs(inputs)
+
+    let files = []
+    if (patterns.length) {
+        const expansion = await expandFiles(patterns, {
+            recursive: options.recursive,
+            exclude: options.exclude,
+            supportedExtensions: getSupportedExtensions()
+        })
+        logFileSummary(expansion, options.warn)
+        if (!expansion.files.length && !sources.length) {
+            throw new Error('No input files found.')
         }
+        files = expansion.files
     }
 
-    return sequenceMap;
+    return { files, sources }
 }
 
 /**
- * Returns matrix of sequences and frequencies sorted by frequency in descending order
- * @param {Map} sequenceMap - Map of sequences and their frequencies
- * @returns {Array} - Array of sequences and their frequencies sorted in descending order
+ * Adds the occurrences of the listed sequences to each list, reading each input once
+ * @param {Array} topSequences - Lists with the names of the inputs they were counted from as sources
+ * @param {Array} sources - Array of sources with a name and a string or Buffer
+ * @param {Object} options - Analysis options with context and the counting options
+ * @returns {Promise<void>}
  */
-function getTopSequences(sequenceMap) {
-    return Array.from(sequenceMap, ([key, value]) => ([key, value])).sort((a, b) => b[1] - a[1])
+async function addOccurrences(topSequences, sources, options = {}) {
+    const lists = topSequences.filter(ts => ts.sequences.length)
+    lists.forEach(ts => {
+        ts.occurrences = new Map(ts.sequences.map(([sequence]) => [sequence, []]))
+    })
+    await forEachListedInputText(lists, sources, options, (name, text) => {
+        lists.filter(ts => ts.sources.includes(name)).forEach(ts => {
+            findOccurrences(text, Array.from(ts.occurrences.keys()), options).forEach(({ sequence, ...occurrence }) => {
+                ts.occurrences.get(sequence).push({ file: name, ...occurrence })
+            })
+        })
+    })
 }
 
-// Main thread execution
-if (isMainThread) {
-    main().catch(err => {
-        console.error(err);
-        process.exit(1);
-    });
+/**
+ * Adds how evenly the listed sequences are spread over the segments of their inputs to each list, reading each input
+ * once. Inputs are counted again the way the lists were counted, with the counts of each segment kept apart, so the
+ * counts of a sequence in the segments add up to its count. A sequence spanning two segments is counted in the
+ * segment it ends in. With rankBy adjusted, the lists are then ranked by count times Juilland's D and cut to the top
+ * sequences.
+ * @param {Array} topSequences - Lists with the names of the inputs they were counted from as sources
+ * @param {Array} sources - Array of sources with a name and a string or Buffer
+ * @param {Object} options - Analysis options with segmentBy, rankBy, top and the counting options
+ * @param {boolean} together - Whether the inputs were counted as one text, with sequences spanning two inputs
+ * @returns {Promise<void>}
+ */
+async function addDispersion(topSequences, sources, options = {}, together = false) {
+    const { sizes = [DEFAULT_SIZE], segmentBy, rankBy = 'count', top = DEFAULT_TOP } = options
+    const getKey = getGroupKey(options) || (key => key)
+    const tokenizer = createTokenizer(options)
+    const countingOptions = getCountingOptions(options)
+    // Each listed sequence keeps the index and count of the segments it occurs in, which are few for most sequences
+    const lists = topSequences.map(ts => ({
+        ts,
+        listed: new Map(ts.sequences.map(([sequence]) => [getKey(sequence), sequence])),
+        lengths: [],
+        found: new Map(ts.sequences.map(([sequence]) => [sequence, []]))
+    }))
+    let counter = null
+
+    await forEachListedInputText(topSequences, sources, options, (name, text) => {
+        const segments = splitIntoSegments(text, segmentBy, tokenizer)
+        if (segmentBy.type === 'heading' && text.search(segmentBy.regex) === -1) {
+            options.warn(`WARNING: No heading matching --segment-by found in ${name}, which is a single segment.`)
+        }
+        const containing = lists.filter(list => list.ts.sources.includes(name))
+        if (!counter || !together) {
+            counter = createSequenceCounter(sizes, countingOptions)
+        }
+        segments.forEach(segment => {
+            // The counter carries the last words over from the previous segment, but counts into new maps
+            sizes.forEach(size => counter.sequenceMaps.set(size, new Map()))
+            const tokensBefore = counter.tokens
+            counter.write(segment)
+            counter.flush()
+            const tokens = counter.tokens - tokensBefore
+            if (!tokens) {
+                return
+            }
+            containing.forEach(({ ts, listed, lengths, found }) => {
+                const index = lengths.push(tokens) - 1
+                counter.sequenceMaps.get(ts.size).forEach((count, key) => {
+                    const sequence = listed.get(getKey(key))
+                    if (sequence === undefined) {
+                        return
+                    }
+                    // Forms grouped under the same sequence add up within a segment
+                    const segmentCounts = found.get(sequence)
+                    const last = segmentCounts[segmentCounts.length - 1]
+                    if (last && last[0] === index) {
+                        last[1] += count
+                    } else {
+                        segmentCounts.push([index, count])
+                    }
+                })
+            })
+        })
+    })
+
+    lists.forEach(({ ts, lengths, found }) => {
+        const getDistribution = sequence => {
+            const distribution = new Array(lengths.length).fill(0)
+            found.get(sequence).forEach(([index, count]) => {
+                distribution[index] = count
+            })
+            return distribution
+        }
+        ts.segments = lengths.length
+        ts.dispersion = new Map(ts.sequences.map(([sequence, count]) => {
+            const { range, dispersion } = getDispersion(getDistribution(sequence), lengths)
+            // Without a second segment there is nothing to spread over, so the count is kept
+            return [sequence, { range, dispersion, adjustedCount: dispersion === null ? count : count * dispersion }]
+        }))
+        if (rankBy === 'adjusted') {
+            ts.sequences = ts.sequences.sort((a, b) => ts.dispersion.get(b[0]).adjustedCount - ts.dispersion.get(a[0]).adjustedCount || compareSequences(a, b)).slice(0, top)
+            ts.dispersion = new Map(ts.sequences.map(([sequence]) => [sequence, ts.dispersion.get(sequence)]))
+        }
+        // Only the listed sequences keep a count for every segment
+        ts.dispersion.forEach((entry, sequence) => {
+            entry.distribution = getDistribution(sequence)
+        })
+    })
 }
 
-module.exports = {
-    main,
-    formatText,
-    generateSequenceMap,
-    getTopSequences,
-    analyzeText,
-    splitArrayToNChunks
-};
+/**
+ * Reads the text of the inputs some list was counted from again, once the lists are counted
+ * @param {Array} lists - Lists with the names of the inputs they were counted from as sources
+ * @param {Array} sources - Array of sources with a name and a string or Buffer
+ * @param {Object} options - Analysis options with inputFormat, encoding, continueOnError and warn
+ * @param {Function} callback - Called with the name and text of each input that could be read
+ * @returns {Promise<void>}
+ */
+function forEachListedInputText(lists, sources, options, callback) {
+    const names = new Set(lists.flatMap(ts => ts.sources))
+    const files = Array.from(names).filter(name => !sources.some(source => source.name === name))
+    // Invalid bytes were already reported when the inputs were counted
+    return forEachInputText(files, sources.filter(({ name }) => names.has(name)), { ...options, warnInvalid: false }, callback)
+}
 
+/**
+ * Reads the text of each file and in-memory source in turn, logging the files that could not be read
+ * @param {Array} files - Array of file paths
+ * @param {Array} sources - Array of sources with a name and a string, Buffer or stream
+ * @param {Object} options - Analysis options with inputFormat, encoding, continueOnError and warn, and warnInvalid
+ * false to not warn about invalid byte sequences
+ * @param {Function} callback - Called with the name and text of each input that could be read
+ * @returns {Promise<void>}
+ */
+async function forEachInputText(files, sources, options, callback) {
+    const { inputFormat = 'auto', warnInvalid = true } = options
+    const getReading = name => warnInvalid ? getReadingOptions(name, options) : { encoding: options.encoding }
+    const invalidFiles = []
+    for (const file of files) {
+        const input = await resolveInput(file, inputFormat)
+        if (!input) {
+            invalidFiles.push(file)
+            continue
+        }
+        const text = await readText(createInputStream(input, {}, getReading(file))).catch(err => handleFailure(file, err, options))
+        if (text !== undefined) {
+            callback(file, text)
+        }
+    }
+    for (const { name, source } of sources) {
+        const stream = createSourceStream(source, resolveSourceFormat(name, inputFormat), getReading(name))
+        const text = await readText(stream).catch(err => handleFailure(name, err, options))
+        if (text !== undefined) {
+            callback(name, text)
+        }
+    }
+    logInvalidFiles(invalidFiles, options.warn)
+}
+
+/**
+ * Reads a stream of text to its end
+ * @param {Readable} stream - Readable stream or async iterable of text
+ * @returns {Promise<string>} - Text
+ */
+async function readText(stream) {
+    if (stream.setEncoding && !stream.readableObjectMode) {
+        stream.setEncoding('utf8')
+    }
+    let text = ''
+    for await (const chunk of stream) {
+        text += chunk
+    }
+    return text
+}
+
+/**
+ * Reads a stream source into a Buffer so it can be read more than once. Strings and Buffers are returned as they are.
+ * @param {*} source - String, Buffer, readable stream or async iterable of text
+ * @returns {Promise<string|Buffer>} - The string or Buffer
+ */
+async function readSourceData(source) {
+    if (!isReadable(source)) {
+        return source
+    }
+    const chunks = []
+    for await (const chunk of source) {
+        chunks.push(Buffer.isBuffer(chunk) ? chunk : Buffer.from(String(chunk)))
+    }
+    return Buffer.concat(chunks)
+}
+
+/**
+ * Validates the options given to analyze and fills in their defaults. The errors raised for invalid options have
+ * invalidOption set, telling them apart from the errors raised while reading and counting the inputs.
+ * @param {Object} options - Options accepted by analyze
+ * @param {Function} warn - Function called with each warning
+ * @returns {Promise<Object>} - Analysis options with sizes, the loaded stopwords, the number of threads to use,
+ * an empty list of failed inputs and, with stats, empty statistics of the run
+ */
+async function resolveOptions(options, warn) {
+    try {
+        return await readOptions(options, warn)
+    } catch (err) {
+        err.invalidOption = true
+        throw err
+    }
+}
+
+/**
+ * Checks the options given to analyze and fills in their defaults, for resolveOptions
+ * @param {Object} options - Options accepted by analyze
+ * @param {Function} warn - Function called with each warning
+ * @returns {Promise<Object>} - Analysis options
+ */
+async function readOptions(options, warn) {
+    const {
+        size, top = DEFAULT_TOP, minCount = 1, stopwords = [], stopwordMode = 'all', stem = false,
+        boundary = 'none', inputFormat = 'auto', encoding = 'auto', threads, multiple = false, recursive = false, exclude = [],
+        compare = false, reference = [], measure = 'log-likelihood', cacheDir, context, timeout, continueOnError = false,
+        approximate = false, memory = DEFAULT_MEMORY, locale = 'auto', numbers = false, hyphens = 'join', apostrophes = 'join',
+        caseSensitive = false, preserveCase = false, variants = false, stats = false, match = [], skip = 0, emitCounts,
+        segmentBy, rankBy = 'count'
+    } = options
+    const maxThreads = os.cpus().length
+    const threadCount = !!threads && !Number.isNaN(threads) ? Math.min(Math.round(threads), maxThreads) : 1
+    const matcher = [].concat(match || []).length ? parseMatchPatterns(match, { caseSensitive, stem, locale }) : undefined
+    // Without a size, the lengths of the patterns are counted
+    const sizes = size === undefined && matcher && matcher.sizes.length ? matcher.sizes : parseSizeOption(size)
+    const unmatched = matcher && matcher.patterns.find(({ size: patternSize }) => patternSize && !sizes.includes(patternSize))
+    if (unmatched) {
+        throw new Error(`--match pattern "${unmatched.pattern}" has ${unmatched.size} words, but sequences of ${sizes.join(', ')} words are counted. Use --size (-n) ${unmatched.size}.`)
+    }
+    if (skip && context !== undefined) {
+        // Occurrences are found as adjacent words, which the words of a gapped sequence are not
+        throw new Error('--skip cannot be combined with --context.')
+    }
+
+    if (approximate) {
+        // Approximate counts can neither be scored against each other, combined by stem or case, reused exactly nor
+        // split into segments within the memory budget
+        const conflict = [
+            ['compare', compare], ['stem', stem], ['preserve-case', preserveCase], ['cache-dir', cacheDir], ['emit-counts', emitCounts],
+            ['segment-by', segmentBy !== undefined]
+        ].find(([, value]) => value)
+        if (conflict) {
+            throw new Error(`--approximate cannot be combined with --${conflict[0]}.`)
+        }
+    }
+    if (!RANK_MODES.includes(rankBy)) {
+        throw new Error(`Invalid argument for --rank-by: ${rankBy}. Expected one of ${RANK_MODES.join(', ')}.`)
+    }
+    if (rankBy === 'adjusted' && segmentBy === undefined) {
+        throw new Error('--rank-by adjusted needs --segment-by, which the dispersion of each sequence is measured over.')
+    }
+    if (segmentBy !== undefined && compare) {
+        // Keyness scores are not counts to be spread over segments
+        throw new Error('--segment-by cannot be combined with --compare.')
+    }
+    if (emitCounts && compare) {
+        // Keyness scores of separate files cannot be added up
+        throw new Error('--emit-counts cannot be combined with --compare.')
+    }
+
+    if (caseSensitive) {
+        // Both count the forms of a sequence together
+        const conflict = [['preserve-case', preserveCase], ['stem', stem]].find(([, value]) => value)
+        if (conflict) {
+            throw new Error(`--case-sensitive cannot be combined with --${conflict[0]}.`)
+        }
+    }
+
+    if (variants && !preserveCase && !stem) {
+        throw new Error('--variants needs --preserve-case or --stem, which count several forms of a sequence together.')
+    }
+    if (variants && compare) {
+        throw new Error('--variants cannot be combined with --compare.')
+    }
+
+    if (encoding !== 'auto' && !ENCODINGS.includes(encoding)) {
+        throw new Error(`Invalid argument for --encoding: ${encoding}. Expected auto or one of ${ENCODINGS.join(', ')}.`)
+    }
+
+    // Checks the tokenizer options before any input is read
+    createTokenizer({ locale, numbers, hyphens, apostrophes })
+    if (locale !== 'auto' && !Intl.Segmenter.supportedLocalesOf(locale).length) {
+        warn(`WARNING: No word segmentation rules for locale ${locale}. Words are split with the default rules.`)
+    }
+
+    if (threads > maxThreads) {
+        warn(`WARNING: Maximum of ${maxThreads} allowed. The program will run using ${maxThreads} instead of ${threads}`)
+    }
+
+    if (Number.isNaN(threads)) {
+        warn(`Invalid argument for -t. Using default number of threads.`)
+    }
+
+    return {
+        sizes,
+        top: parseTopOption(top),
+        minCount: parseMinCountOption(minCount),
+        stopwords: await loadStopwords(stopwords),
+        stopwordMode,
+        stem,
+        boundary,
+        inputFormat,
+        encoding,
+        locale,
+        numbers,
+        hyphens,
+        apostrophes,
+        caseSensitive,
+        preserveCase,
+        variants,
+        match: matcher,
+        skip: parseSkipOption(skip),
+        // Both case options count the original forms, which preserveCase lists together
+        lowercase: !caseSensitive && !preserveCase,
+        threads,
+        threadCount,
+        multiple,
+        recursive,
+        exclude: exclude || [],
+        compare,
+        reference: reference || [],
+        measure,
+        cacheDir,
+        context: context === undefined ? undefined : parseContextOption(context),
+        timeout: timeout === undefined ? undefined : parseTimeoutOption(timeout),
+        continueOnError,
+        // The budget is shared by a sketch per sequence length in each worker and in the main thread, which merges them
+        capacity: approximate ? getSketchCapacity(parseMemoryOption(memory), sizes.length * (threadCount + 1)) : undefined,
+        emitCounts,
+        segmentBy: segmentBy === undefined ? undefined : parseSegmentOption(segmentBy),
+        rankBy,
+        // Filled in by the counting functions as they read each input
+        stats: stats ? createRunStats() : undefined,
+        failures: [],
+        warn
+    }
+}
+
+/**
+ * Sorts the inputs given to analyze into file patterns and in-memory sources
+ * @param {*} inputs - Input or array of inputs accepted by analyze
+ * @returns {Object} - Object with the file patterns and the sources with a name and a string, Buffer or stream
+ */
+function classifyInputs(inputs) {
+    const patterns = []
+    const sources = []
+
+    ;[].concat(inputs === undefined ? [] : inputs).forEach((input, index) => {
+        const name = `input ${index + 1}`
+        if (typeof input === 'string' || Buffer.isBuffer(input) || isReadable(input)) {
+            sources.push({ name, source: input })
+        } else if (input && typeof input.path === 'string') {
+            patterns.push(input.path)
+        } else if (input && (typeof input.text === 'string' || Buffer.isBuffer(input.buffer) || isReadable(input.stream))) {
+            sources.push({ name: input.name || name, source: input.text !== undefined ? input.text : input.buffer || input.stream })
+        } else {
+            throw new TypeError(`Invalid input at index ${index}. Expected a string, Buffer, readable stream, { path } or { text }, { buffer } or { stream }.`)
+        }
+    })
+
+    return { patterns, sources }
+}
+
+/**
+ * Checks whether a value can be read as a stream of text
+ * @param {*} value - Value to check
+ * @returns {boolean} - Whether the value is a readable stream or another async iterable
+ */
+function isReadable(value) {
+    return !!value && typeof value[Symbol.asyncIterator] === 'function'
+}
+
+/**
+ * Runs the inspect, prune and clear commands of the cache, printing what was found or removed
+ * @param {string} action - inspect, prune or clear
+ * @param {string} cacheDir - Cache directory
+ * @param {number} olderThanDays - With prune, also remove entries not used for this many days
+ * @returns {Promise<void>}
+ */
+async function runCacheCommand(action, cacheDir, olderThanDays) {
+    if (!cacheDir) {
+        throw new Error(`The cache ${action} command needs the cache directory given with --cache-dir.`)
+    }
+
+    if (action === 'inspect') {
+        const entries = await listCacheEntries(cacheDir)
+        const bytes = entries.reduce((total, entry) => total + entry.bytes, 0)
+        console.log(`${cacheDir}: ${countEntries(entries.length)}, ${bytes} bytes`)
+        entries.forEach(({ files, sizes, bytes, lastUsedAt, status }) => {
+            console.log(`${status.padEnd(8)} ${files.join(', ')} (n=${sizes.join(',')}, ${bytes} bytes, last used ${lastUsedAt})`)
+        })
+    } else if (action === 'prune') {
+        const { removed, kept } = await pruneCache(cacheDir, { olderThanDays })
+        const bytes = removed.reduce((total, entry) => total + entry.bytes, 0)
+        console.log(`Removed ${countEntries(removed.length)} (${bytes} bytes), kept ${kept}.`)
+    } else {
+        console.log(`Removed ${countEntries(await clearCache(cacheDir))}.`)
+    }
+}
+
+/**
+ * Describes a number of cache entries
+ * @param {number} count - Number of entries
+ * @returns {string} - Count with the singular or plural noun
+ */
+function countEntries(count) {
+    return `${count} ${count === 1 ? 'entry' : 'entries'}`
+}
+
+/**
+ * Expands the reference corpus of --compare the same way as the input files
+ * @param {Array} patterns - Files, directories or glob patterns
+ * @param {Object} options - Analysis options with recursive, exclude and warn
+ * @returns {Promise<Array>} - Reference file paths, empty without patterns
+ */
+async function expandReferenceFiles(patterns, options = {}) {
+    if (!patterns || !patterns.length) {
+        return []
+    }
+    const expansion = await expandFiles(patterns, {
+        recursive: options.recursive,
+        exclude: options.exclude,
+        supportedExtensions: getSupportedExtensions()
+    })
+    logFileSummary(expansion, options.warn)
+    if (!expansion.files.length) {
+        throw new Error('No reference files found.')
+    }
+    return expansion.files
+}
+
+/**
+ * Creates the progress reporter of the command line. On a terminal, a line is redrawn in place once the run takes
+ * longer than PROGRESS_DELAY. Otherwise a line is written every PROGRESS_LINE_INTERVAL and once every input is done.
+ * @param {Writable} stream - Stream to write to, usually stderr
+ * @returns {Object} - Reporter with update(progress) to pass as onProgress and clear() to remove the line before
+ * writing anything else to the stream
+ */
+function createProgressReporter(stream) {
+    const interactive = !!stream.isTTY
+    const started = Date.now()
+    let written = started
+    let shown = false
+
+    return {
+        update(progress) {
+            const now = Date.now()
+            if (interactive && now - started >= PROGRESS_DELAY) {
+                stream.write(`${CLEAR_LINE}${renderProgress(progress)}`)
+                shown = true
+            } else if (!interactive && (now - written >= PROGRESS_LINE_INTERVAL || progress.files >= progress.totalFiles)) {
+                written = now
+                stream.write(`${renderProgress(progress)}\n`)
+            }
+        },
+        clear() {
+            if (shown) {
+                stream.write(CLEAR_LINE)
+                shown = false
+            }
+        }
+    }
+}
+
+/**
+ * Logs rendered results to stdout or writes them to a file
+ * @param {string} rendered - Results rendered in an output format
+ * @param {string} output - Optional path of the file to write to
+ * @returns {Promise<void>}
+ */
+async function writeOutput(rendered, output) {
+    if (output) {
+        await fs.promises.writeFile(output, rendered)
+    } else {
+        process.stdout.write(rendered)
+    }
+}
+
+
+/**
+ * Creates a worker for processing files in parallel. The promise rejects when the worker fails, stops without
+ * posting its result or runs longer than the timeout, in which case the worker is stopped.
+ * @param {Array} fileChunk - Chunk of files to process
+ * @param {Object} options - Analysis options passed through to the worker
+ * @param {number} timeout - Optional number of seconds the worker may run
+ * @param {Function} onProgress - Optional function called with the bytes the worker read and the file indexes of
+ * the tasks it finished since its last report
+ * @returns {Promise} - Promise resolving with the worker's result
+ */
+function createWorker(fileChunk, options = {}, timeout, onProgress) {
+    return new Promise(function (resolve, reject) {
+        const worker = new Worker(path.resolve(__dirname, 'process_analyze_files.js'), { workerData: { files: fileChunk, options, progress: !!onProgress } });
+        let timer
+        let settled = false
+        const settle = (callback, value) => {
+            if (!settled) {
+                settled = true
+                clearTimeout(timer)
+                callback(value)
+            }
+        }
+
+        if (timeout !== undefined) {
+            timer = setTimeout(() => {
+                settle(reject, new Error(`The worker timed out after ${timeout} seconds.`))
+                worker.terminate()
+            }, timeout * 1000)
+        }
+        worker.on("message", (data) => {
+            if (data.progress) {
+                onProgress(data.progress)
+                return
+            }
+            settle(resolve, data);
+        });
+        worker.on("error", (err) => {
+            settle(reject, new Error(`The worker failed: ${err.message}`));
+        });
+        worker.on("exit", (code) => {
+            settle(reject, new Error(`The worker stopped with exit code ${code} before posting its result.`));
+        });
+    });
+}
+
+/**
+ * Analyzes text and return the top sequences
+ * @param {string} text - Text to analyze
+ * @param {number} size - Number of words per sequence
+ * @param {Object} options - Counting options such as stopwords and stopwordMode
+ * @returns {Array} - Array of top sequences with their frequencies
+ */
+function analyzeText(text, size = DEFAULT_SIZE, options = {}) {
+    const sequenceMap = generateSequenceMap(text, size, options);
+    return getTopSequences(sequenceMap);
+}
+
+/**
+ * Reads a stream chunk by chunk into a sequence counter, treating the end of the stream as the end of a document
+ * @param {Readable} stream - Readable stream or async iterable of text
+ * @param {Object} counter - Counter created by createSequenceCounter
+ * @returns {Promise<Object>} - Promise resolving with the counter
+ */
+async function countStream(stream, counter) {
+    // Streams in object mode and other async iterables are expected to yield strings
+    if (stream.setEncoding && !stream.readableObjectMode) {
+        stream.setEncoding('utf8')
+    }
+    for await (const chunk of stream) {
+        counter.write(String(chunk))
+    }
+    counter.flush()
+
+    return counter
+}
+
+
+/**
+ * Processes files on the main thread outputting a single list per sequence length
+ * @param {Array} files - Array of file paths
+ * @param {Object} options - Analysis options
+ * @returns {Array} - Top sequences from all files
+ */
+async function processFilesAsOne(files, options = {}) {
+    const { sizes = [DEFAULT_SIZE] } = options
+    // Each file is counted on its own and stitched to the previous ones, so a file that fails midway leaves no counts
+    const stitcher = createRangeStitcher(sizes, options)
+    const progress = options.progress || createProgressTracker()
+    let invalidFiles = []
+    const sources = []
+    for (const file of files) {
+        try {
+            const input = await resolveInput(file, options.inputFormat)
+            if (!input) {
+                invalidFiles.push(file)
+                continue
+            }
+            const read = { started: Date.now() }
+            let counter
+            try {
+                counter = await countStream(createInputStream(input, {}, getReadingOptions(file, options, read)), createSequenceCounter(sizes, options))
+            } catch (err) {
+                handleFailure(file, err, options)
+                continue
+            }
+            // Recorded before the stitcher takes over the maps of the first file
+            recordInputStats(options, { file, bytes: read.bytes, tokens: counter.tokens, seconds: (Date.now() - read.started) / 1000 }, counter.sequenceMaps)
+            stitcher.add(counter)
+            sources.push(file)
+        } finally {
+            progress.done()
+        }
+    }
+    logInvalidFiles(invalidFiles, options.warn)
+    if (options.stats) {
+        options.stats.lists = sizes.map(size => getListStats(size, stitcher.sequenceMaps.get(size)))
+    }
+    if (options.emitCounts) {
+        await writeCountsFile(options.emitCounts, stitcher.sequenceMaps, getCountingOptions(options), sources)
+    }
+    const topSequences = sizes.map(size => {
+        const sequenceMap = stitcher.sequenceMaps.get(size)
+        return { file: files, sources, size, total: getTotalFrequency(sequenceMap), ...getErrorBound(sequenceMap), sequences: rankSequences(sequenceMap, options) }
+    })
+
+    return topSequences
+}
+
+
+/**
+ * Processes files using N threads. When there are fewer files than threads, files are split into byte ranges
+ * processed by separate workers and the sequences spanning range boundaries are stitched back together.
+ * @param {Array} files - Array of file paths
+ * @param {number} threadCount - Number of threads to use
+ * @param {boolean} multiple - Whether to output a list for each file
+ * @param {Object} options - Analysis options
+ * @returns {Array} - Top sequences from all files
+ */
+async function processFilesInParallel(files, threadCount, multiple, options = {}) {
+    return processInputs(files, [], threadCount, multiple, options)
+}
+
+/**
+ * Processes files using N threads and in-memory sources on the main thread, or also with the threads when the
+ * threads option is set and the source is a string or Buffer, counting each input separately
+ * @param {Array} files - Array of file paths
+ * @param {Array} sources - Array of sources with a name and a string, Buffer or stream
+ * @param {number} threadCount - Number of threads to use for the files
+ * @param {boolean} multiple - Whether to output a list for each input
+ * @param {Object} options - Analysis options
+ * @returns {Array} - Top sequences from all inputs
+ */
+async function processInputs(files, sources, threadCount, multiple, options = {}) {
+    const { sizes = [DEFAULT_SIZE] } = options
+    // With threads, text held in memory is counted by the workers along with the files
+    const workerSources = options.threads ? sources.filter(({ source }) => typeof source === 'string' || Buffer.isBuffer(source)) : []
+    const mainSources = sources.filter(source => !workerSources.includes(source))
+    // Buffers are posted as they are, to be decoded by the workers
+    const sourceTasks = workerSources.map(({ name, source }, i) => ({ file: name, fileIndex: files.length + i, text: source }))
+    const topSequencesSeparate = [
+        ...await countFilesSeparately(files, threadCount, options),
+        ...await countTasks(sourceTasks, threadCount, options),
+        ...await countSourcesSeparately(mainSources, options)
+    ]
+    recordOverallStats(topSequencesSeparate, options)
+    if (options.emitCounts) {
+        const sequenceMaps = new Map(sizes.map(size => [size, mergeSeparateMaps(topSequencesSeparate.filter(ts => ts.size === size))]))
+        await writeCountsFile(options.emitCounts, sequenceMaps, getCountingOptions(options), Array.from(new Set(topSequencesSeparate.map(ts => ts.file))))
+    }
+
+    return listSeparateSequences(topSequencesSeparate, files.concat(sources.map(({ name }) => name)).join(', '), multiple, options)
+}
+
+/**
+ * Ranks the sequences counted from each input separately, as a list for each input or merged into a list per length
+ * @param {Array} topSequencesSeparate - Array of objects with file, size and a sequences frequency map or sketch
+ * @param {string} name - Name of the merged lists
+ * @param {boolean} multiple - Whether to output a list for each input
+ * @param {Object} options - Analysis options
+ * @returns {Array} - Top sequences of each list
+ */
+function listSeparateSequences(topSequencesSeparate, name, multiple, options = {}) {
+    const { sizes = [DEFAULT_SIZE] } = options
+    if (multiple) {
+        return topSequencesSeparate.map(ts => {
+            return {
+                file: ts.file,
+                sources: [ts.file],
+                size: ts.size,
+                total: getTotalFrequency(ts.sequences),
+                ...getErrorBound(ts.sequences),
+                sequences: rankSequences(ts.sequences, options)
+            }
+        })
+    } else {
+        return sizes.map(size => {
+            const separate = topSequencesSeparate.filter(ts => ts.size === size)
+            const merged = separate.length && isSketch(separate[0].sequences) ? mergeSeparateSketches(separate) : null
+            return {
+                file: name,
+                sources: separate.map(ts => ts.file),
+                size,
+                total: separate.reduce((total, ts) => total + getTotalFrequency(ts.sequences), 0),
+                ...(merged ? getErrorBound(merged) : {}),
+                sequences: merged ? rankSequences(merged, options) : mapSeparateSequences(separate, options)
+            }
+        })
+    }
+}
+
+/**
+ * Counts the sequences of each in-memory source separately on the main thread
+ * @param {Array} sources - Array of sources with a name and a string, Buffer or stream
+ * @param {Object} options - Analysis options
+ * @returns {Promise<Array>} - Array of objects with the source name as file, size and a sequences frequency map
+ */
+async function countSourcesSeparately(sources, options = {}) {
+    const { sizes = [DEFAULT_SIZE], inputFormat = 'auto' } = options
+    const topSequencesSeparate = []
+
+    const progress = options.progress || createProgressTracker()
+
+    for (const { name, source } of sources) {
+        const counter = createSequenceCounter(sizes, options)
+        const read = { started: Date.now() }
+        try {
+            await countStream(createSourceStream(source, resolveSourceFormat(name, inputFormat), getReadingOptions(name, options, read)), counter)
+        } catch (err) {
+            handleFailure(name, err, options)
+            continue
+        } finally {
+            progress.done()
+        }
+        recordInputStats(options, { file: name, bytes: read.bytes, tokens: counter.tokens, seconds: (Date.now() - read.started) / 1000 }, counter.sequenceMaps)
+        counter.sequenceMaps.forEach((sequences, size) => topSequencesSeparate.push({ file: name, size, sequences }))
+    }
+
+    return topSequencesSeparate
+}
+
+/**
+ * Counts the sequences of each file separately using N threads, logging the files that could not be read
+ * @param {Array} files - Array of file paths
+ * @param {number} threadCount - Number of threads to use
+ * @param {Object} options - Analysis options
+ * @returns {Promise<Array>} - Array of objects with file, fileIndex, size and a sequences frequency map, in file order
+ */
+async function countFilesSeparately(files, threadCount, options = {}) {
+    if (options.cacheDir) {
+        return countFilesWithCache(files, threadCount, options)
+    }
+    return countTasks(await splitFilesToRanges(files, threadCount, options), threadCount, options)
+}
+
+/**
+ * Counts the sequences of each file separately, reading the files whose content was counted with the same options
+ * and read in the same format before from the cache and writing the sequences of the other files to it
+ * @param {Array} files - Array of file paths
+ * @param {number} threadCount - Number of threads to use
+ * @param {Object} options - Analysis options with cacheDir
+ * @returns {Promise<Array>} - Array of objects with file, fileIndex, size and a sequences frequency map, in file order
+ */
+async function countFilesWithCache(files, threadCount, options = {}) {
+    const countingOptions = getCountingOptions(options)
+    const cached = []
+    const uncached = []
+
+    for (const [fileIndex, file] of files.entries()) {
+        // Unreadable and unsupported files are left to the workers, which report them
+        const input = await resolveInput(file, options.inputFormat).catch(() => null)
+        const hash = input && await hashFile(file).catch(() => null)
+        // The same bytes give other text read with another extractor or decompressed
+        const fileOptions = input && { ...countingOptions, inputFormat: input.format, gzip: input.gzip }
+        const entry = hash && await readCachedSequences(options.cacheDir, file, hash, fileOptions).catch(() => null)
+        if (entry) {
+            const { sequenceMaps, bytes, tokens } = entry
+            recordInputStats(options, { file, bytes, tokens, seconds: 0, cached: true }, sequenceMaps)
+            if (options.progress) {
+                options.progress.read((await fs.promises.stat(file)).size)
+                options.progress.done()
+            }
+            sequenceMaps.forEach((sequences, size) => cached.push({ file, fileIndex, size, sequences }))
+        } else {
+            uncached.push({ file, fileIndex, hash, fileOptions })
+        }
+    }
+
+    const tasks = await splitFilesToRanges(uncached.map(({ file }) => file), threadCount, options)
+    tasks.forEach(task => {
+        task.fileIndex = uncached[task.fileIndex].fileIndex
+    })
+    const counted = await countTasks(tasks, threadCount, options)
+
+    for (const { file, fileIndex, hash, fileOptions } of uncached) {
+        const lists = counted.filter(ts => ts.fileIndex === fileIndex)
+        const sequenceMaps = new Map(lists.map(ts => [ts.size, ts.sequences]))
+        if (hash && sequenceMaps.size) {
+            await writeCachedSequences(options.cacheDir, file, hash, fileOptions, sequenceMaps, { bytes: lists[0].bytes, tokens: lists[0].tokens })
+                .catch(err => (options.warn || console.error)(`Could not write to the cache: ${err.message}`))
+        }
+    }
+
+    return cached.concat(counted).sort((a, b) => a.fileIndex - b.fileIndex || a.size - b.size)
+}
+
+/**
+ * Counts worker tasks using N threads, stitching the ranges of each file back together. Files that fail to be read
+ * or whose worker fails raise an error, or with continueOnError are left out and reported.
+ * @param {Array} tasks - Tasks with file and fileIndex, and either start and end byte offsets or the text to count
+ * @param {number} threadCount - Number of threads to use
+ * @param {Object} options - Analysis options
+ * @returns {Promise<Array>} - Array of objects with file, fileIndex, size, a sequences frequency map and the bytes and
+ * tokens read from the file, in file order
+ */
+async function countTasks(tasks, threadCount, options = {}) {
+    const { sizes = [DEFAULT_SIZE] } = options
+    const taskChunks = splitArrayToNChunks(tasks, threadCount).filter(chunk => chunk.length)
+    const progress = options.progress || createProgressTracker()
+    // A file split into ranges is done once its last range is
+    const remainingTasks = new Map()
+    tasks.forEach(({ fileIndex }) => remainingTasks.set(fileIndex, (remainingTasks.get(fileIndex) || 0) + 1))
+    const finishTask = fileIndex => {
+        remainingTasks.set(fileIndex, remainingTasks.get(fileIndex) - 1)
+        if (!remainingTasks.get(fileIndex)) {
+            remainingTasks.delete(fileIndex)
+            progress.done()
+        }
+    }
+    const onProgress = options.progress ? ({ bytes, finished }) => {
+        progress.read(bytes)
+        finished.forEach(finishTask)
+    } : undefined
+
+    const workerSeconds = []
+    let topSequencesPromises = taskChunks.map((chunk, i) => {
+        const started = Date.now()
+        return createWorker(chunk, getCountingOptions(options), options.timeout, onProgress).finally(() => {
+            workerSeconds[i] = (Date.now() - started) / 1000
+        })
+    });
+    const fileOutput = await Promise.allSettled(topSequencesPromises)
+    // The files of workers that failed are done too
+    remainingTasks.forEach(() => progress.done())
+
+    const invalidFiles = []
+    const failedFiles = new Map()
+    const invalidBytes = new Map()
+    const fileRanges = []
+    fileOutput.forEach((result, i) => {
+        if (options.stats) {
+            const ranges = result.status === 'fulfilled' ? result.value.sequences : []
+            options.stats.workers.push({
+                worker: options.stats.workers.length + 1,
+                tasks: taskChunks[i].length,
+                bytes: ranges.reduce((sum, range) => sum + range.bytes, 0),
+                tokens: ranges.reduce((sum, range) => sum + range.tokens, 0),
+                seconds: workerSeconds[i]
+            })
+        }
+        // Every file of a chunk whose worker failed is failed, as are files with a range that failed
+        if (result.status === 'rejected') {
+            taskChunks[i].forEach(({ file, fileIndex }) => failedFiles.set(fileIndex, { file, message: result.reason.message }))
+            return
+        }
+        const ts = result.value
+        invalidFiles.push(...ts.invalidFiles);
+        ts.failedFiles.forEach(({ file, fileIndex, message }) => failedFiles.set(fileIndex, { file, message }))
+        // The ranges of a file add up to a single warning
+        ts.invalidBytes.forEach(({ file, fileIndex, encoding, count }) => {
+            const previous = invalidBytes.get(fileIndex)
+            invalidBytes.set(fileIndex, { file, encoding, count: count + (previous ? previous.count : 0) })
+        })
+        ts.sequences.forEach(range => {
+            fileRanges[range.fileIndex] = fileRanges[range.fileIndex] || []
+            fileRanges[range.fileIndex].push(range)
+        })
+    });
+    failedFiles.forEach(({ file, message }) => handleFailure(file, new Error(message), options))
+    invalidBytes.forEach(({ file, ...invalid }, fileIndex) => {
+        if (!failedFiles.has(fileIndex)) {
+            warnInvalidBytes(file, invalid, options.warn)
+        }
+    })
+
+    const topSequencesSeparate = []
+    fileRanges.forEach((ranges, fileIndex) => {
+        if (!ranges || failedFiles.has(fileIndex)) {
+            return
+        }
+        const sequenceMaps = stitchRanges(ranges.sort((a, b) => a.start - b.start), sizes, options)
+        const sum = key => ranges.reduce((total, range) => total + range[key], 0)
+        const [bytes, tokens] = [sum('bytes'), sum('tokens')]
+        recordInputStats(options, { file: ranges[0].file, bytes, tokens, seconds: sum('seconds') }, sequenceMaps)
+        sequenceMaps.forEach((sequences, size) => topSequencesSeparate.push({ file: ranges[0].file, fileIndex, size, sequences, bytes, tokens }))
+    })
+
+    logInvalidFiles(invalidFiles, options.warn)
+
+    return topSequencesSeparate
+}
+
+/**
+ * Lists the sequences most over-represented in each file compared to the other files, or to a reference corpus
+ * @param {Array} files - Array of file paths
+ * @param {Array} referenceFiles - Optional array of reference corpus file paths
+ * @param {number} threadCount - Number of threads to use
+ * @param {Object} options - Analysis options including the keyness measure
+ * @returns {Promise<Array>} - Key sequences of each file for each sequence length, with their scores
+ */
+async function compareFiles(files, referenceFiles = [], threadCount = 1, options = {}) {
+    const { sizes = [DEFAULT_SIZE], top = DEFAULT_TOP, minCount = 1, measure = 'log-likelihood', match } = options
+    const getKey = getGroupKey(options)
+    const hasReference = referenceFiles.length > 0
+    if (!hasReference && files.length < 2) {
+        throw new Error('--compare needs at least two input files or a --reference corpus.')
+    }
+
+    const separate = await countFilesSeparately(files, threadCount, options)
+    recordOverallStats(separate, options)
+    const referenceSeparate = hasReference ? await countFilesSeparately(referenceFiles, threadCount, options) : []
+
+    const topSequences = []
+    sizes.forEach(size => {
+        // Stemmed sequences are compared by their stems, and with preserveCase by their lowercase form, and listed
+        // under their most frequent form in each file
+        const documents = separate.filter(ts => ts.size === size).map(ts => {
+            if (!getKey) {
+                return { file: ts.file, sequences: ts.sequences }
+            }
+            const groups = groupByKey(ts.sequences, getKey)
+            return {
+                file: ts.file,
+                sequences: new Map(Array.from(groups, ([key, group]) => [key, group.total])),
+                labels: new Map(Array.from(groups, ([key, group]) => [key, group.sequence]))
+            }
+        })
+        let reference
+        if (hasReference) {
+            reference = new Map()
+            referenceSeparate.filter(ts => ts.size === size).forEach(({ sequences }) => {
+                sequences.forEach((value, key) => {
+                    const referenceKey = getKey ? getKey(key) : key
+                    reference.set(referenceKey, (reference.get(referenceKey) || 0) + value)
+                })
+            })
+        }
+
+        scoreKeyness(documents, reference, measure).forEach((scores, i) => {
+            const { file, sequences, labels } = documents[i]
+            const scoreMap = new Map()
+            scores.forEach(({ score }, key) => {
+                if (sequences.get(key) >= minCount && (!match || match.test(labels ? labels.get(key) : key))) {
+                    scoreMap.set(key, score)
+                }
+            })
+            topSequences.push({
+                file,
+                sources: [file],
+                size,
+                total: getTotalFrequency(sequences),
+                measure,
+                reference: hasReference ? referenceFiles.join(', ') : 'other inputs',
+                // Scores can be below 1, minCount already applied to the counts above
+                sequences: getTopSequences(scoreMap, top, 0).map(([key, score]) => {
+                    return [labels ? labels.get(key) : key, sequences.get(key), { score, referenceCount: scores.get(key).referenceCount }]
+                })
+            })
+        })
+    })
+
+    return topSequences
+}
+
+/**
+ * Logs the paths that could not be read and, when directories or globs were expanded or paths failed,
+ * how many files were found, skipped and failed
+ * @param {Object} expansion - Result of expandFiles
+ * @param {Function} warn - Function called with each warning
+ */
+function logFileSummary({ files, excluded, unsupported, missing, unreadable, expanded }, warn = console.error) {
+    if (missing.length) {
+        warn(`Not found: ${missing.join(', ')}`)
+    }
+    if (unreadable.length) {
+        warn(`Not readable: ${unreadable.join(', ')}`)
+    }
+    if (expanded || missing.length || unreadable.length) {
+        const skipped = excluded.length + unsupported.length
+        warn(`Found ${files.length} file(s), skipped ${skipped} (${excluded.length} excluded, ${unsupported.length} unsupported), failed ${missing.length + unreadable.length}.`)
+    }
+}
+
+/**
+ * Logs the files that were skipped because their format is not supported
+ * @param {Array} invalidFiles - Array of file paths
+ * @param {Function} warn - Function called with each warning
+ */
+function logInvalidFiles(invalidFiles, warn = console.error) {
+    if (invalidFiles.length) {
+        const extensions = getSupportedExtensions()
+        warn(`Invalid input: ${invalidFiles.join(', ')}\nThis program only accepts ${extensions.slice(0, -1).join(', ')} and ${extensions[extensions.length - 1]} files.`)
+    }
+}
+
+/**
+ * Builds the worker tasks for a list of files. Each file is a single task unless there are fewer files than threads,
+ * in which case large plain text files are split into byte ranges that end on whitespace following a letter.
+ * The encoding of a split file is detected once, since ranges after the first do not start with its first bytes.
+ * @param {Array} files - Array of file paths
+ * @param {number} threadCount - Number of threads to use
+ * @param {Object} options - Analysis options
+ * @returns {Promise<Array>} - Array of tasks with file, fileIndex, and for split files the start and end (exclusive)
+ * byte offsets and the encoding of each range
+ */
+async function splitFilesToRanges(files, threadCount, options = {}) {
+    const rangesPerFile = Math.max(1, Math.floor(threadCount / files.length))
+    const tasks = []
+
+    for (const [fileIndex, file] of files.entries()) {
+        if (rangesPerFile === 1) {
+            tasks.push({ file, fileIndex })
+            continue
+        }
+        // Markup and compressed data cannot be cut at arbitrary byte offsets
+        const input = await resolveInput(file, options.inputFormat)
+        if (!input || input.format !== 'text' || input.gzip) {
+            tasks.push({ file, fileIndex })
+            continue
+        }
+
+        // Whitespace is only a single byte in encodings that keep ASCII as it is
+        const encoding = options.encoding && options.encoding !== 'auto' ? options.encoding : (await detectFileEncoding(file)).encoding
+        if (!isAsciiCompatible(encoding)) {
+            tasks.push({ file, fileIndex })
+            continue
+        }
+
+        const { size: fileSize } = await fs.promises.stat(file)
+        const cuts = await findRangeCuts(file, fileSize, Math.min(rangesPerFile, Math.ceil(fileSize / MIN_RANGE_BYTES)))
+        const starts = [0, ...cuts]
+        starts.forEach((start, i) => tasks.push({ file, fileIndex, start, end: i < cuts.length ? cuts[i] : fileSize, encoding }))
+    }
+
+    return tasks
+}
+
+/**
+ * Finds the byte offsets that split a file into roughly N equal ranges
+ * @param {string} file - File path
+ * @param {number} fileSize - Size of the file in bytes
+ * @param {number} n - Number of ranges
+ * @returns {Promise<Array>} - Ascending byte offsets of the whitespace each range after the first starts at
+ */
+async function findRangeCuts(file, fileSize, n) {
+    const cuts = []
+    if (n < 2) {
+        return cuts
+    }
+
+    const handle = await fs.promises.open(file, 'r')
+    try {
+        for (let i = 1; i < n; i++) {
+            const offset = Math.max(Math.floor(fileSize * i / n), cuts.length ? cuts[cuts.length - 1] + 1 : 1)
+            const cut = await findByteCut(handle, offset, fileSize)
+            if (cut === -1) {
+                break
+            }
+            cuts.push(cut)
+        }
+    } finally {
+        await handle.close()
+    }
+
+    return cuts
+}
+
+/**
+ * Finds the first ASCII whitespace byte at or after an offset that directly follows a letter, mark or hyphen.
+ * Cutting there keeps multi-byte characters whole and is one of the cuts findChunkCut makes.
+ * @param {FileHandle} handle - Open file handle
+ * @param {number} offset - Byte offset to start searching at
+ * @param {number} fileSize - Size of the file in bytes
+ * @returns {Promise<number>} - Byte offset of the whitespace, or -1 if there is none
+ */
+async function findByteCut(handle, offset, fileSize) {
+    const buffer = Buffer.alloc(CUT_SEARCH_BYTES)
+    // Each read overlaps the previous one by the longest UTF-8 character so the character before a whitespace can be decoded
+    for (let position = Math.max(0, offset - 4); position < fileSize; position += CUT_SEARCH_BYTES - 4) {
+        const { bytesRead } = await handle.read(buffer, 0, CUT_SEARCH_BYTES, position)
+        for (let i = Math.max(offset - position, 1); i < bytesRead; i++) {
+            const isWhitespace = buffer[i] === 0x20 || (buffer[i] >= 0x09 && buffer[i] <= 0x0d)
+            if (isWhitespace && /[\p{Letter}\p{Mark}-]$/u.test(buffer.toString('utf8', Math.max(0, i - 4), i))) {
+                return position + i
+            }
+        }
+    }
+    return -1
+}
+
+/**
+ * Combines the sequence maps of consecutive ranges of a file, counting the sequences that span range boundaries
+ * from the words at the end of each range and the start of the next
+ * @param {Array} ranges - Ranges in file order with sequenceMaps, headWords, tailWords and hasBoundary
+ * @param {Array} sizes - Sequence lengths counted
+ * @param {Object} options - Counting options the ranges were counted with
+ * @returns {Map} - Map of sequence length to frequency map for the whole file
+ */
+function stitchRanges(ranges, sizes = [DEFAULT_SIZE], options = {}) {
+    const stitcher = createRangeStitcher(sizes, options)
+    ranges.forEach(range => stitcher.add(range))
+    return stitcher.sequenceMaps
+}
+
+/**
+ * Creates a stitcher adding up the counts of consecutive ranges one at a time, along with the sequences spanning
+ * the end of the ranges added so far and the start of the next one
+ * @param {Array} sizes - Sequence lengths counted
+ * @param {Object} options - Counting options such as stopwords, stopwordMode and skip
+ * @returns {Object} - Stitcher with add(range), taking a range or counter with sequenceMaps, headWords, tailWords and
+ * hasBoundary, and the sequenceMaps counted so far
+ */
+function createRangeStitcher(sizes = [DEFAULT_SIZE], options = {}) {
+    const filter = createStopwordFilter(options.stopwords, options.stopwordMode, options.lowercase === false)
+    const skip = options.skip || 0
+    const carrySize = Math.max(...sizes) - 1 + skip
+    let sequenceMaps = null
+    let carriedWords = []
+
+    return {
+        get sequenceMaps() {
+            return sequenceMaps || new Map(sizes.map(size => [size, new Map()]))
+        },
+
+        /**
+         * Adds the counts of the next range
+         * @param {Object} range - Range or counter with sequenceMaps, headWords, tailWords and hasBoundary
+         */
+        add(range) {
+            if (!sequenceMaps) {
+                // The maps of the first range are taken over rather than copied, which matters for a single large file
+                sequenceMaps = new Map(sizes.map(size => [size, range.sequenceMaps.get(size)]))
+            } else {
+                const words = carriedWords.concat(range.headWords)
+
+                sequenceMaps.forEach((sequenceMap, size) => {
+                    if (isSketch(sequenceMap)) {
+                        sequenceMap = mergeSketches(sequenceMap, range.sequenceMaps.get(size))
+                        sequenceMaps.set(size, sequenceMap)
+                    } else {
+                        range.sequenceMaps.get(size).forEach((value, key) => {
+                            sequenceMap.set(key, (sequenceMap.get(key) || 0) + value)
+                        })
+                    }
+
+                    // Only sequences that start in the carried words and end in this range
+                    addSequences(sequenceMap, words, size, Math.max(0, carriedWords.length - size + 1 - skip), carriedWords.length, filter, skip, carriedWords.length)
+                })
+            }
+
+            // Words before a boundary in the range cannot be part of a sequence with words after it
+            carriedWords = carrySize > 0 ? (range.hasBoundary ? range.tailWords : carriedWords.concat(range.tailWords)).slice(-carrySize) : []
+        }
+    }
+}
+
+/**
+ * Merges the sequence maps of separate files into a single sorted list
+ * @param {Array} topSequences - Array of objects containing file and sequence map
+ * @param {Object} options - Ranking options passed to rankSequences
+ * @returns {Array} - Array of sequences and their frequencies sorted in descending order
+ */
+function mapSeparateSequences(topSequences, options = {}) {
+    return rankSequences(mergeSeparateMaps(topSequences), options)
+}
+
+/**
+ * Adds up the frequency maps of the same sequence length counted separately
+ * @param {Array} topSequences - Array of objects with a sequences frequency map
+ * @returns {Map} - Map of each sequence to its total frequency
+ */
+function mergeSeparateMaps(topSequences) {
+    const sequenceMaps = new Map()
+
+    for (let { sequences } of topSequences) {
+        sequences.forEach((value, key) => {
+            sequenceMaps.set(key, (sequenceMaps.get(key) || 0) + value)
+        })
+    }
+    return sequenceMaps
+}
+
+/**
+ * Merges the sketches of separate files one at a time, so only two are held in memory at once
+ * @param {Array} topSequences - Array of objects containing a sequences sketch
+ * @returns {Object} - Merged sketch
+ */
+function mergeSeparateSketches(topSequences) {
+    return topSequences.map(ts => ts.sequences).reduce((merged, sketch) => mergeSketches(merged, sketch))
+}
+
+/**
+ * Ranks a frequency map using the top, minCount, match, stem, preserveCase and variants options. The sequences of a
+ * sketch are ranked by their approximate counts and carry how far each count may be too high.
+ * @param {Map|Object} sequenceMap - Map of sequences and their frequencies, or a sketch
+ * @param {Object} options - Analysis options
+ * @returns {Array} - Array of the top sequences and their frequencies sorted in descending order, with the forms
+ * counted under each sequence when variants is set
+ */
+function rankSequences(sequenceMap, options = {}) {
+    const { top = DEFAULT_TOP, minCount = 1, match, variants = false } = options
+    if (isSketch(sequenceMap)) {
+        const counts = Array.from(sequenceMap.counters, ([key, { count }]) => [key, count])
+        return getTopSequences(filterMatches(counts, match), top, minCount).map(([key, count]) => [key, count, { error: sequenceMap.counters.get(key).error }])
+    }
+    const getKey = getGroupKey(options)
+    if (!getKey) {
+        return getTopSequences(filterMatches(sequenceMap, match), top, minCount)
+    }
+
+    const groups = Array.from(groupByKey(sequenceMap, getKey, variants).values())
+    const ranked = getTopSequences(filterMatches(groups.map(({ sequence, total }) => [sequence, total]), match), top, minCount)
+    if (!variants) {
+        return ranked
+    }
+    const forms = new Map(groups.map(group => [group.sequence, group.forms]))
+    return ranked.map(([sequence, count]) => [sequence, count, { variants: forms.get(sequence).sort(compareSequences) }])
+}
+
+/**
+ * Keeps the sequences matching the --match patterns. Totals are still those of every sequence counted.
+ * @param {Map|Array} sequences - Map or matrix of sequences and their frequencies or scores
+ * @param {Object} match - Optional matcher from parseMatchPatterns
+ * @returns {Map|Array} - The sequences without a matcher, otherwise a matrix of the matching sequences
+ */
+function filterMatches(sequences, match) {
+    if (!match) {
+        return sequences
+    }
+    const matching = []
+    for (const entry of sequences) {
+        if (match.test(entry[0])) {
+            matching.push(entry)
+        }
+    }
+    return matching
+}
+
+/**
+ * Picks how the forms of a sequence counted separately are listed together
+ * @param {Object} options - Analysis options with stem, preserveCase and locale
+ * @returns {Function|null} - Function giving the key a counted sequence is grouped under, or null when every counted
+ * sequence is listed on its own
+ */
+function getGroupKey(options = {}) {
+    const { stem = false, preserveCase = false, locale = 'auto' } = options
+    if (preserveCase) {
+        return stem ? key => stemSequence(foldCase(key, locale)) : key => foldCase(key, locale)
+    }
+    return stem ? stemSequence : null
+}
+
+/**
+ * Describes how accurate the counts of a list are
+ * @param {Map|Object} sequenceMap - Map of sequences and their frequencies, or a sketch
+ * @returns {Object} - The errorBound of approximate counts, which no unlisted sequence occurs more often than,
+ * or nothing for exact counts
+ */
+function getErrorBound(sequenceMap) {
+    return isSketch(sequenceMap) ? { errorBound: getSketchThreshold(sequenceMap) } : {}
+}
+
+/**
+ * Combines the frequencies of sequences whose words share the same stems. Stemming works word by word,
+ * so this gives the same counts as stemming the text before forming sequences.
+ * @param {Map} sequenceMap - Map of sequences and their frequencies
+ * @returns {Map} - Map of the most frequent form of each stemmed sequence and the combined frequency
+ */
+function groupSequencesByStem(sequenceMap) {
+    return new Map(Array.from(groupByKey(sequenceMap, stemSequence).values(), ({ sequence, total }) => [sequence, total]))
+}
+
+/**
+ * Groups sequences by a key, such as their stemmed or lowercase form
+ * @param {Map} sequenceMap - Map of sequences and their frequencies
+ * @param {Function} getKey - Function giving the key of a sequence
+ * @param {boolean} keepForms - Whether to keep every sequence of a group with its frequency
+ * @returns {Map} - Map of key to its most frequent sequence, that sequence's frequency, the combined frequency and,
+ * with keepForms, the forms
+ */
+function groupByKey(sequenceMap, getKey, keepForms = false) {
+    const groups = new Map()
+    sequenceMap.forEach((value, key) => {
+        const groupKey = getKey(key)
+        const group = groups.get(groupKey)
+        if (!group) {
+            groups.set(groupKey, { sequence: key, frequency: value, total: value, forms: keepForms ? [[key, value]] : undefined })
+            return
+        }
+        group.total += value
+        if (keepForms) {
+            group.forms.push([key, value])
+        }
+        if (compareSequences([key, value], [group.sequence, group.frequency]) < 0) {
+            group.sequence = key
+            group.frequency = value
+        }
+    })
+
+    return groups
+}
+
+/**
+ * Splits an array into N chunks
+ * @param {Array} array - Array to split
+ * @param {number} n - Number of chunks
+ * @returns {Array} - Array of N chunks
+ */
+function splitArrayToNChunks(array = [], n) {
+    const splitArray = [];
+    let arrPos = 0;
+    for (let i = 0; i < n; i++) {
+        const splitArrayLength = Math.ceil((array.length - arrPos) / (n - i));
+        splitArray.push([]);
+        splitArray[i] = array.slice(arrPos, splitArrayLength + arrPos);
+        arrPos += splitArrayLength;
+    }
+    return splitArray
+}
+
+/**
+ * Parses the sequence length option into a list of lengths
+ * @param {string|number} value - Single length such as 3 or an inclusive range such as 2-5
+ * @returns {Array} - Array of sequence lengths in ascending order
+ */
+function parseSizeOption(value = DEFAULT_SIZE) {
+    const match = String(value).trim().match(/^(\d+)(?:\s*-\s*(\d+))?$/)
+    if (!match) {
+        throw new Error(`Invalid argument for --size (-n): ${value}. Expected a number such as 3 or a range such as 2-5.`)
+    }
+
+    const min = Number(match[1])
+    const max = match[2] === undefined ? min : Number(match[2])
+    if (min < 1 || max < min) {
+        throw new Error(`Invalid argument for --size (-n): ${value}. Lengths must be at least 1 and ranges must be ascending.`)
+    }
+
+    const sizes = []
+    for (let size = min; size <= max; size++) {
+        sizes.push(size)
+    }
+    return sizes
+}
+
+/**
+ * Parses the number of sequences to list
+ * @param {string|number} value - Positive number or "all"
+ * @returns {number} - Number of sequences, Infinity for all
+ */
+function parseTopOption(value = DEFAULT_TOP) {
+    if (String(value).trim().toLowerCase() === 'all') {
+        return Infinity
+    }
+    const top = Number(value)
+    if (!Number.isInteger(top) || top < 1) {
+        throw new Error(`Invalid argument for --top: ${value}. Expected a positive number or "all".`)
+    }
+    return top
+}
+
+/**
+ * Parses the minimum frequency of listed sequences
+ * @param {number} value - Positive number
+ * @returns {number} - Minimum frequency
+ */
+function parseMinCountOption(value = 1) {
+    if (!Number.isInteger(value) || value < 1) {
+        throw new Error(`Invalid argument for --min-count: ${value}. Expected a positive number.`)
+    }
+    return value
+}
+
+/**
+ * Parses the number of words of surrounding text shown with each occurrence
+ * @param {number} value - Non-negative number
+ * @returns {number} - Number of words on each side
+ */
+function parseContextOption(value) {
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`Invalid argument for --context: ${value}. Expected a number of words such as 5.`)
+    }
+    return value
+}
+
+/**
+ * Parses the number of words that may be skipped between the words of a sequence
+ * @param {number} value - Number from 0 to MAX_SKIP
+ * @returns {number} - Number of words skipped in total
+ */
+function parseSkipOption(value) {
+    if (!Number.isInteger(value) || value < 0 || value > MAX_SKIP) {
+        throw new Error(`Invalid argument for --skip: ${value}. Expected a number of words from 0 to ${MAX_SKIP}.`)
+    }
+    return value
+}
+
+/**
+ * Parses the number of seconds a worker may run
+ * @param {number} value - Positive number of seconds
+ * @returns {number} - Number of seconds
+ */
+function parseTimeoutOption(value) {
+    if (typeof value !== 'number' || !(value > 0) || value === Infinity) {
+        throw new Error(`Invalid argument for --timeout: ${value}. Expected a positive number of seconds.`)
+    }
+    return value
+}
+
+/**
+ * Parses a memory budget
+ * @param {string|number} value - Size such as 512MB, 2GB or 64KB, in megabytes without a unit
+ * @returns {number} - Number of bytes
+ */
+function parseMemoryOption(value) {
+    const units = { b: 1, kb: 1024, mb: 1024 ** 2, gb: 1024 ** 3 }
+    const match = String(value).trim().toLowerCase().match(/^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/)
+    if (!match || Number(match[1]) <= 0) {
+        throw new Error(`Invalid argument for --memory: ${value}. Expected a size such as 512MB or 2GB.`)
+    }
+    return Number(match[1]) * units[match[2] || 'mb']
+}
+
+/**
+ * Formats text to be lowercase and without punctuation or extra white space. Preserves apostrophes and hyphens. Replaces new lines with a spaces. Supports unicode,
+ * splitting Chinese, Japanese, Thai and other text written without spaces into words.
+ * @param {string} text - Text to format
+ * @param {Object} options - Optional tokenizer options locale, numbers, hyphens and apostrophes
+ * @returns {string} - Formatted text
+ */
+function formatText(text, options) {
+    return (options ? createTokenizer(options) : defaultTokenizer).words(text).join(' ')
+}
+
+/**
+ * Generates frequency map of N-word sequences
+ * @param {string} text - Text to analyze
+ * @param {number} size - Number of words per sequence
+ * @param {Object} options - Counting options such as stopwords, stopwordMode and skip
+ * @returns {Map} - Map of sequences and their frequencies
+ */
+function generateSequenceMap(text, size = DEFAULT_SIZE, options = {}) {
+    const sequenceMap = new Map();
+    const filter = createStopwordFilter(options.stopwords, options.stopwordMode, options.lowercase === false)
+    let textArray = text.split(" ").filter(Boolean)
+    if (filter) {
+        textArray = filter.removeWords(textArray)
+    }
+
+    addSequences(sequenceMap, textArray, size, 0, textArray.length, filter, options.skip)
+
+    return sequenceMap;
+}
+
+/**
+ * Adds the sequences of a list of words that start between two indexes to a frequency map. With skip, the words of a
+ * sequence may be up to skip words apart in total, and only sequences whose last word is at minEnd or later are added.
+ * @param {Map|Object} sequenceMap - Map of sequences and their frequencies, or a sketch
+ * @param {Array} words - Formatted words
+ * @param {number} size - Number of words per sequence
+ * @param {number} startIndex - Index of the first sequence start
+ * @param {number} endIndex - Index after the last sequence start
+ * @param {Object} filter - Optional stopword filter deciding which sequences are kept
+ * @param {number} skip - Number of words that may be skipped within a sequence, 0 for adjacent words
+ * @param {number} minEnd - Index of the first word a sequence with skipped words may end at
+ */
+function addSequences(sequenceMap, words, size, startIndex, endIndex, filter, skip = 0, minEnd = 0) {
+    if (skip) {
+        for (let leftIndex = startIndex; leftIndex < endIndex && leftIndex < words.length; leftIndex++) {
+            addSkipGrams(sequenceMap, words, size, [leftIndex], skip, minEnd, filter)
+        }
+        return
+    }
+    for (let leftIndex = startIndex; leftIndex < endIndex && leftIndex + size <= words.length; leftIndex++) {
+        addSequence(sequenceMap, words.slice(leftIndex, leftIndex + size), filter)
+    }
+}
+
+/**
+ * Adds every sequence continuing the given word positions with words at most the remaining skip apart
+ * @param {Map|Object} sequenceMap - Map of sequences and their frequencies, or a sketch
+ * @param {Array} words - Formatted words
+ * @param {number} size - Number of words per sequence
+ * @param {Array} positions - Indexes of the words of the sequence so far
+ * @param {number} skip - Number of words that may still be skipped
+ * @param {number} minEnd - Index of the first word a sequence may end at
+ * @param {Object} filter - Optional stopword filter deciding which sequences are kept
+ */
+function addSkipGrams(sequenceMap, words, size, positions, skip, minEnd, filter) {
+    const last = positions[positions.length - 1]
+    if (positions.length === size) {
+        if (last >= minEnd) {
+            addSequence(sequenceMap, positions.map(index => words[index]), filter)
+        }
+        return
+    }
+    for (let next = last + 1; next <= last + 1 + skip && next < words.length; next++) {
+        addSkipGrams(sequenceMap, words, size, positions.concat(next), skip - (next - last - 1), minEnd, filter)
+    }
+}
+
+/**
+ * Adds one sequence to a frequency map unless the stopword filter drops it
+ * @param {Map|Object} sequenceMap - Map of sequences and their frequencies, or a sketch
+ * @param {Array} sequenceArray - Words of the sequence
+ * @param {Object} filter - Optional stopword filter deciding which sequences are kept
+ */
+function addSequence(sequenceMap, sequenceArray, filter) {
+    if (filter && !filter.keepSequence(sequenceArray)) {
+        return
+    }
+
+    const sequenceText = sequenceArray.join(' ')
+    if (isSketch(sequenceMap)) {
+        addToSketch(sequenceMap, sequenceText)
+    } else {
+        sequenceMap.set(sequenceText, (sequenceMap.get(sequenceText) || 0) + 1)
+    }
+}
+
+/**
+ * Picks the options that change how sequences are counted, which workers need and which results depend on
+ * @param {Object} options - Analysis options
+ * @returns {Object} - Counting options
+ */
+function getCountingOptions(options = {}) {
+    const {
+        sizes = [DEFAULT_SIZE], stopwords = [], stopwordMode = 'all', inputFormat = 'auto', encoding = 'auto', boundary = 'none',
+        capacity, locale = 'auto', numbers = false, hyphens = 'join', apostrophes = 'join', lowercase = true, skip = 0
+    } = options
+    return { sizes, stopwords, stopwordMode, inputFormat, encoding, boundary, capacity, locale, numbers, hyphens, apostrophes, lowercase, skip }
+}
+
+/**
+ * Creates an incremental counter of sequences for text that arrives in chunks.
+ * Chunks are cut at whitespace following a letter so formatText sees whole words, and the last N-1 words
+ * are carried across chunks so the counts match generateSequenceMap on the whole formatted text.
+ * Memory use is bounded by the unique sequences and the size of a single chunk.
+ * With a boundary option, the carried words are dropped at each sentence or paragraph boundary.
+ * @param {Array} sizes - Sequence lengths to count
+ * @param {Object} options - Counting options such as stopwords, stopwordMode, boundary, skip and the capacity of approximate counts
+ * @returns {Object} - Counter with write(chunk), flush(), a sequenceMaps Map of sequence length to frequency map or sketch,
+ * the first N-1+skip words before any boundary and the last N-1+skip words after any boundary as headWords and tailWords,
+ * whether a boundary was seen as hasBoundary and the number of words read, stopwords included, as tokens
+ */
+function createSequenceCounter(sizes = [DEFAULT_SIZE], options = {}) {
+    const filter = createStopwordFilter(options.stopwords, options.stopwordMode, options.lowercase === false)
+    const tokenizer = createTokenizer(options)
+    const boundary = options.boundary || 'none'
+    // With a capacity, only the most frequent sequences are counted, in sketches
+    const sequenceMaps = new Map(sizes.map(size => [size, options.capacity ? createSketch(options.capacity) : new Map()]))
+    const skip = options.skip || 0
+    // Sequences with skipped words reach further back
+    const carrySize = Math.max(...sizes) - 1 + skip
+    const headWords = []
+    // Cuts text without any other safe cut, such as long runs of Chinese without punctuation
+    const segmenter = new Intl.Segmenter(options.locale && options.locale !== 'auto' ? options.locale : undefined, { granularity: 'word' })
+    let carriedWords = []
+    let pending = ''
+    let hasBoundary = false
+    let tokens = 0
+
+    function countSegments(text) {
+        splitAtBoundaries(text, boundary).forEach((segment, index) => {
+            if (index > 0) {
+                carriedWords = []
+                hasBoundary = true
+            }
+            count(tokenizer.words(segment))
+        })
+    }
+
+    function count(newWords) {
+        tokens += newWords.length
+        if (filter) {
+            newWords = filter.removeWords(newWords)
+        }
+        if (!hasBoundary && headWords.length < carrySize) {
+            headWords.push(...newWords.slice(0, carrySize - headWords.length))
+        }
+        const words = carriedWords.concat(newWords)
+
+        sequenceMaps.forEach((sequenceMap, size) => {
+            // Windows ending in the carried words were already counted with the previous chunk
+            addSequences(sequenceMap, words, size, Math.max(0, carriedWords.length - size + 1 - skip), words.length, filter, skip, carriedWords.length)
+        })
+
+        carriedWords = carrySize > 0 ? words.slice(-carrySize) : []
+    }
+
+    return {
+        sequenceMaps,
+        headWords,
+
+        get tailWords() {
+            return carriedWords
+        },
+
+        get hasBoundary() {
+            return hasBoundary
+        },
+
+        get tokens() {
+            return tokens
+        },
+
+        /**
+         * Adds a chunk of raw text, holding back the trailing partial word
+         * @param {string} chunk - Raw text
+         */
+        write(chunk) {
+            const text = pending + chunk
+            // The held back text has no cut, so only the new chunk is searched
+            let cutIndex = findChunkCut(text, pending.length)
+            if (cutIndex === -1 && text.length > MAX_PENDING_LENGTH) {
+                cutIndex = findWordBoundary(text, segmenter)
+            }
+            if (cutIndex === -1) {
+                pending = text
+                return
+            }
+            countSegments(text.slice(0, cutIndex))
+            pending = text.slice(cutIndex)
+        },
+
+        /**
+         * Counts the held back text at the end of a document. Sequences still continue into the next document.
+         */
+        flush() {
+            countSegments(pending)
+            pending = ''
+        }
+    }
+}
+
+/**
+ * Finds the last position where raw text can be cut without changing the result of formatText or of the sentence
+ * boundaries. The cut is on whitespace directly after a letter, mark or hyphen, or failing that on whitespace after
+ * any character but an apostrophe, which could be a stray apostrophe, or directly after full-width sentence
+ * punctuation such as 。, which Chinese and Japanese text is often only broken at. After sentence punctuation, the
+ * next letter must be in the text and not lowercase, since a lowercase letter means the sentence goes on.
+ * @param {string} text - Raw text
+ * @param {number} from - Index to search from, as the text before it is known to have no cut
+ * @returns {number} - Index to cut at, or -1 if there is none
+ */
+function findChunkCut(text, from = 1) {
+    for (let i = text.length - 1; i >= Math.max(1, from); i--) {
+        const previous = text[i - 1]
+        if (/\s/.test(text[i]) && /[\p{Letter}\p{Mark}-]/u.test(previous)) {
+            return i
+        }
+        if ((/\s/.test(text[i]) && /[^\s']/.test(previous)) || /[。！？]/.test(previous)) {
+            if (!SENTENCE_PUNCTUATION.test(previous)) {
+                return i
+            }
+            NEXT_LETTER.lastIndex = i
+            const [, nextLetter] = NEXT_LETTER.exec(text) || []
+            if (nextLetter && !/\p{Lowercase_Letter}/u.test(nextLetter)) {
+                return i
+            }
+        }
+    }
+    return -1
+}
+
+/**
+ * Finds the last word boundary near the end of text that has no safe cut. Words of scripts written without spaces
+ * may then be split a little differently than in the whole text, which is only done to keep the held back text short.
+ * @param {string} text - Raw text
+ * @param {Intl.Segmenter} segmenter - Word segmenter
+ * @returns {number} - Index of the last word boundary, or -1 if there is none
+ */
+function findWordBoundary(text, segmenter) {
+    const start = Math.max(0, text.length - WORD_BOUNDARY_SEARCH)
+    let cut = -1
+    for (const { index } of segmenter.segment(text.slice(start))) {
+        if (index > 0) {
+            cut = start + index
+        }
+    }
+    return cut
+}
+
+/**
+ * Sums the frequencies of all sequences, which is the number of sequences in the text
+ * @param {Map|Array} sequences - Map or matrix of sequences and their frequencies
+ * @returns {number} - Total frequency
+ */
+function getTotalFrequency(sequences) {
+    if (isSketch(sequences)) {
+        return sequences.total
+    }
+    let total = 0
+    for (const [, frequency] of sequences) {
+        total += frequency
+    }
+    return total
+}
+
+/**
+ * Returns matrix of the most frequent sequences sorted by frequency in descending order and then alphabetically.
+ * Selecting the top N uses a min-heap of N entries, so the cost grows with N log N rather than with the number of unique sequences.
+ * @param {Map|Array} sequenceMap - Map or matrix of sequences and their frequencies
+ * @param {number} top - Maximum number of sequences to return
+ * @param {number} minCount - Minimum frequency of the returned sequences
+ * @returns {Array} - Array of sequences and their frequencies sorted in descending order
+ */
+function getTopSequences(sequenceMap, top = Infinity, minCount = 1) {
+    if (top === Infinity) {
+        const sequences = []
+        for (const [key, value] of sequenceMap) {
+            if (value >= minCount) {
+                sequences.push([key, value])
+            }
+        }
+        return sequences.sort(compareSequences)
+    }
+
+    // The root of the heap is the lowest ranked of the sequences kept so far
+    const heap = []
+    for (const [key, value] of sequenceMap) {
+        if (value < minCount || top < 1) {
+            continue
+        }
+        if (heap.length < top) {
+            heap.push([key, value])
+            siftUp(heap, heap.length - 1)
+        } else if (compareSequences([key, value], heap[0]) < 0) {
+            heap[0] = [key, value]
+            siftDown(heap, 0)
+        }
+    }
+    return heap.sort(compareSequences)
+}
+
+/**
+ * Orders sequences by frequency in descending order and then alphabetically so ties are ranked deterministically
+ * @param {Array} a - Sequence and frequency
+ * @param {Array} b - Sequence and frequency
+ * @returns {number} - Negative if a ranks before b
+ */
+function compareSequences(a, b) {
+    if (a[1] !== b[1]) {
+        return b[1] - a[1]
+    }
+    return a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0
+}
+
+/**
+ * Moves a heap entry up until its parent ranks before it
+ * @param {Array} heap - Heap with the lowest ranked sequence at the root
+ * @param {number} index - Index of the entry to move
+ */
+function siftUp(heap, index) {
+    while (index > 0) {
+        const parent = (index - 1) >> 1
+        if (compareSequences(heap[index], heap[parent]) <= 0) {
+            return
+        }
+        [heap[index], heap[parent]] = [heap[parent], heap[index]]
+        index = parent
+    }
+}
+
+/**
+ * Moves a heap entry down until both children rank before it
+ * @param {Array} heap - Heap with the lowest ranked sequence at the root
+ * @param {number} index - Index of the entry to move
+ */
+function siftDown(heap, index) {
+    while (true) {
+        const left = 2 * index + 1
+        const right = left + 1
+        let lowest = index
+        if (left < heap.length && compareSequences(heap[left], heap[lowest]) > 0) {
+            lowest = left
+        }
+        if (right < heap.length && compareSequences(heap[right], heap[lowest]) > 0) {
+            lowest = right
+        }
+        if (lowest === index) {
+            return
+        }
+        [heap[index], heap[lowest]] = [heap[lowest], heap[index]]
+        index = lowest
+    }
+}
+
+module.exports = {
+    main,
+    analyze,
+    concordance,
+    merge,
+    watch,
+    formatText,
+    generateSequenceMap,
+    getTopSequences,
+    getTotalFrequency,
+    groupSequencesByStem,
+    analyzeText,
+    createSequenceCounter,
+    countStream,
+    getCountingOptions,
+    compareFiles,
+    countFilesSeparately,
+    parseMinCountOption,
+    parseSizeOption,
+    parseTopOption,
+    processFilesAsOne,
+    processFilesInParallel,
+    splitArrayToNChunks,
+    splitFilesToRanges,
+    stitchRanges
+};
+
+// Command line execution, but not when required as a library or by a worker
+if (require.main === module) {
+    main().catch(err => {
+        console.error(err);
+        process.exit(1);
+    });
+}
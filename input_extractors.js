@@ -0,0 +1,403 @@
+const fs = require('fs');
+const zlib = require('zlib');
+const { Readable, Transform, pipeline } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { createDecodeTransform } = require('./detect_encoding');
+
+// Bytes read from the start of a file to sniff its format
+const SNIFF_BYTES = 512
+
+// Tags whose start or end separates words when the markup is removed
+const BLOCK_TAGS = new Set([
+    'address', 'article', 'aside', 'blockquote', 'br', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure', 'footer',
+    'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p', 'pre', 'section', 'table',
+    'td', 'th', 'title', 'tr', 'ul'
+])
+
+// Tags whose content is not visible text
+const HIDDEN_TAGS = new Set(['script', 'style', 'template', 'noscript'])
+
+const NAMED_ENTITIES = {
+    amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ', ndash: '–', mdash: '—', hellip: '…',
+    lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', copy: '©', reg: '®', shy: ''
+}
+
+/**
+ * Registered extractors keyed by input format. Each extractor lists the extensions it handles, can recognize its
+ * format from the first bytes of a file and creates a transform from raw text to visible text.
+ */
+const INPUT_EXTRACTORS = new Map()
+
+/**
+ * Adds an extractor for an input format
+ * @param {string} format - Name of the format used by --input-format
+ * @param {Object} extractor - Extractor with extensions, an optional sniff(head) function and an optional
+ * createTransform() function returning a text Transform stream. Without createTransform the text is read as is.
+ */
+function registerExtractor(format, extractor) {
+    INPUT_EXTRACTORS.set(format, { extensions: [], ...extractor })
+}
+
+registerExtractor('text', {
+    extensions: ['.txt', '.text']
+})
+
+registerExtractor('md', {
+    extensions: ['.md', '.markdown'],
+    createTransform: () => createLineTransform(createMarkdownLineStripper())
+})
+
+registerExtractor('html', {
+    extensions: ['.html', '.htm', '.xhtml'],
+    sniff: head => /^\s*(<!doctype html|<html[\s>])/i.test(head.toString('utf8')),
+    createTransform: createHtmlTransform
+})
+
+/**
+ * Resolves how a file should be read from its extension, or from its first bytes when the extension is unknown.
+ * A .gz extension or the gzip magic number marks compressed input whose inner format is resolved the same way.
+ * @param {string} file - File path
+ * @param {string} inputFormat - auto, or the name of an extractor to use for every file
+ * @returns {Promise<Object|null>} - Object with file, format and gzip, or null if the file is not supported
+ */
+async function resolveInput(file, inputFormat = 'auto') {
+    const lowerCaseFile = file.toLowerCase()
+    const gzipExtension = lowerCaseFile.endsWith('.gz')
+    const innerFile = gzipExtension ? lowerCaseFile.slice(0, -3) : lowerCaseFile
+
+    if (inputFormat !== 'auto') {
+        if (!INPUT_EXTRACTORS.has(inputFormat)) {
+            throw new Error(`Invalid argument for --input-format: ${inputFormat}. Expected auto or one of ${Array.from(INPUT_EXTRACTORS.keys()).join(', ')}.`)
+        }
+        return { file, format: inputFormat, gzip: gzipExtension || isGzip(await readHead(file)) }
+    }
+
+    for (const [format, { extensions }] of INPUT_EXTRACTORS) {
+        if (extensions.some(extension => innerFile.endsWith(extension))) {
+            return { file, format, gzip: gzipExtension }
+        }
+    }
+
+    let head = await readHead(file)
+    const gzip = gzipExtension || isGzip(head)
+    if (gzip) {
+        head = await readHead(file, true)
+    }
+    for (const [format, { sniff }] of INPUT_EXTRACTORS) {
+        if (sniff && sniff(head)) {
+            return { file, format, gzip }
+        }
+    }
+    // Compressed files without a recognizable inner format are read as plain text
+    return gzip ? { file, format: 'text', gzip } : null
+}
+
+/**
+ * Creates a readable stream of the visible text of a resolved input, decoded to UTF-8
+ * @param {Object} input - Input resolved by resolveInput
+ * @param {Object} range - Optional start and inclusive end byte offsets of uncompressed plain text to read
+ * @param {Object} reading - Optional encoding, auto by default, and onInvalid function as taken by
+ * createDecodeTransform, and onRead(bytes) function called with the number of bytes of each chunk read from the file
+ * @returns {Readable} - Stream of text
+ */
+function createInputStream({ file, format, gzip }, range = {}, reading = {}) {
+    const streams = [fs.createReadStream(file, range)]
+    if (gzip) {
+        streams.push(zlib.createGunzip())
+    }
+    streams.push(createDecodeTransform(reading.encoding, reading.onInvalid))
+    const { createTransform } = INPUT_EXTRACTORS.get(format)
+    if (createTransform) {
+        streams.push(createTransform())
+    }
+
+    const stream = pipeline(...streams, () => { })
+    if (reading.onRead) {
+        streams[0].on('data', chunk => reading.onRead(chunk.length))
+    }
+    return stream
+}
+
+/**
+ * Resolves how text held in memory should be read from the extension of its name. Without a known extension
+ * the text is read as plain text, since there is no file to sniff.
+ * @param {string} name - Name of the source, such as the name of an uploaded file
+ * @param {string} inputFormat - auto, or the name of an extractor to use for every source
+ * @returns {string} - Name of the extractor
+ */
+function resolveSourceFormat(name = '', inputFormat = 'auto') {
+    if (inputFormat !== 'auto') {
+        return inputFormat
+    }
+    const lowerCaseName = String(name).toLowerCase()
+    for (const [format, { extensions }] of INPUT_EXTRACTORS) {
+        if (extensions.some(extension => lowerCaseName.endsWith(extension))) {
+            return format
+        }
+    }
+    return 'text'
+}
+
+/**
+ * Creates a readable stream of the visible text of a string, Buffer or stream held in memory. Buffers and byte
+ * streams are decoded to UTF-8, while strings and streams in object mode are already text.
+ * @param {string|Buffer|Readable} source - Text, encoded text, or a readable stream or async iterable of text
+ * @param {string} format - Name of the extractor to read the source with
+ * @param {Object} reading - Optional encoding, auto by default, and onInvalid function as taken by
+ * createDecodeTransform, and onRead(bytes) function called with the number of bytes of a string or Buffer at once and
+ * of each chunk of a byte stream as it is read
+ * @returns {Readable} - Stream of text
+ */
+function createSourceStream(source, format = 'text', reading = {}) {
+    if (!INPUT_EXTRACTORS.has(format)) {
+        throw new Error(`Invalid argument for --input-format: ${format}. Expected auto or one of ${Array.from(INPUT_EXTRACTORS.keys()).join(', ')}.`)
+    }
+    const inMemory = typeof source === 'string' || Buffer.isBuffer(source)
+    const isByteStream = source instanceof Readable && !source.readableObjectMode
+    const streams = [inMemory ? Readable.from([Buffer.from(source)], { objectMode: false }) : source]
+    if (Buffer.isBuffer(source) || isByteStream) {
+        streams.push(createDecodeTransform(reading.encoding, reading.onInvalid))
+    }
+    const { createTransform } = INPUT_EXTRACTORS.get(format)
+    if (createTransform) {
+        streams.push(createTransform())
+    }
+
+    const stream = streams.length === 1 ? streams[0] : pipeline(...streams, () => { })
+    if (reading.onRead && inMemory) {
+        reading.onRead(Buffer.byteLength(source))
+    } else if (reading.onRead && isByteStream) {
+        // The byte stream is already piped, so listening to its chunks does not take them from the pipeline
+        source.on('data', chunk => reading.onRead(chunk.length))
+    }
+    return stream
+}
+
+/**
+ * Lists the extensions of the supported input formats
+ * @returns {Array} - Extensions such as .txt and .md, including .gz
+ */
+function getSupportedExtensions() {
+    const extensions = []
+    INPUT_EXTRACTORS.forEach(extractor => extensions.push(...extractor.extensions))
+    return [...extensions, '.gz']
+}
+
+/**
+ * Reads the first bytes of a file, decompressing them if requested
+ * @param {string} file - File path
+ * @param {boolean} gzip - Whether the file is gzip compressed
+ * @returns {Promise<Buffer>} - First bytes of the file
+ */
+async function readHead(file, gzip = false) {
+    const handle = await fs.promises.open(file, 'r')
+    try {
+        const buffer = Buffer.alloc(gzip ? SNIFF_BYTES * 16 : SNIFF_BYTES)
+        const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0)
+        const head = buffer.subarray(0, bytesRead)
+        if (!gzip) {
+            return head
+        }
+        try {
+            return zlib.gunzipSync(head, { finishFlush: zlib.constants.Z_SYNC_FLUSH }).subarray(0, SNIFF_BYTES)
+        } catch (err) {
+            return Buffer.alloc(0)
+        }
+    } finally {
+        await handle.close()
+    }
+}
+
+/**
+ * Checks for the gzip magic number
+ * @param {Buffer} head - First bytes of a file
+ * @returns {boolean} - Whether the bytes start a gzip stream
+ */
+function isGzip(head) {
+    return head.length >= 2 && head[0] === 0x1f && head[1] === 0x8b
+}
+
+/**
+ * Creates a transform that removes HTML tags, comments, scripts and styles and decodes entities.
+ * Tags and entities split across chunks are held back until the rest arrives.
+ * @returns {Transform} - Transform from HTML to text
+ */
+function createHtmlTransform() {
+    const decoder = new StringDecoder('utf8')
+    let pending = ''
+    let skipUntil = null
+
+    function strip(text, final) {
+        const lowerCaseText = text.toLowerCase()
+        let output = ''
+        let i = 0
+        pending = ''
+
+        while (i < text.length) {
+            if (skipUntil) {
+                const end = lowerCaseText.indexOf(skipUntil, i)
+                if (end === -1) {
+                    // Keep enough to find a closing marker split across chunks
+                    pending = final ? '' : text.slice(Math.max(i, text.length - skipUntil.length))
+                    return output
+                }
+                // A closing tag of hidden content still has to be read up to its >
+                i = skipUntil === '-->' ? end + 3 : end
+                skipUntil = null
+                continue
+            }
+
+            const tagStart = findTagStart(text, i)
+            const segment = text.slice(i, tagStart === -1 ? text.length : tagStart)
+            const entityStart = segment.lastIndexOf('&')
+            if (tagStart === -1 && !final && entityStart !== -1 && !segment.includes(';', entityStart) && segment.length - entityStart < 12) {
+                // Hold back an entity that may be split across chunks
+                output += decodeEntities(segment.slice(0, entityStart))
+                pending = segment.slice(entityStart)
+                return output
+            }
+            output += decodeEntities(segment)
+            if (tagStart === -1) {
+                return output
+            }
+
+            if (text.startsWith('<!--', tagStart)) {
+                skipUntil = '-->'
+                i = tagStart + 4
+                continue
+            }
+            const tagEnd = text.indexOf('>', tagStart)
+            if (tagEnd === -1) {
+                pending = final ? '' : text.slice(tagStart)
+                return output
+            }
+            const [, closing, name = ''] = /^<(\/?)([a-zA-Z][a-zA-Z0-9-]*)?/.exec(text.slice(tagStart, tagEnd + 1))
+            const tagName = name.toLowerCase()
+            if (!closing && HIDDEN_TAGS.has(tagName) && !/\/\s*>$/.test(text.slice(tagStart, tagEnd + 1))) {
+                skipUntil = `</${tagName}`
+            }
+            if (BLOCK_TAGS.has(tagName)) {
+                // Blocks other than line breaks are separated by a blank line like paragraphs of plain text
+                output += tagName === 'br' ? '\n' : '\n\n'
+            }
+            i = tagEnd + 1
+        }
+        return output
+    }
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            callback(null, strip(pending + decoder.write(chunk), false))
+        },
+        flush(callback) {
+            callback(null, strip(pending + decoder.end(), true))
+        }
+    })
+}
+
+/**
+ * Finds the next < that starts a tag, comment or declaration rather than a literal less-than sign
+ * @param {string} text - HTML
+ * @param {number} from - Index to search from
+ * @returns {number} - Index of the <, or -1 if there is none
+ */
+function findTagStart(text, from) {
+    let index = text.indexOf('<', from)
+    while (index !== -1 && index + 1 < text.length && !/[a-zA-Z/!?]/.test(text[index + 1])) {
+        index = text.indexOf('<', index + 1)
+    }
+    return index
+}
+
+/**
+ * Decodes named and numeric character references
+ * @param {string} text - Text with HTML entities
+ * @returns {string} - Decoded text
+ */
+function decodeEntities(text) {
+    return text.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, name) => {
+        if (name[0] === '#') {
+            const codePoint = name[1] === 'x' || name[1] === 'X' ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10)
+            return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : ' '
+        }
+        const decoded = NAMED_ENTITIES[name.toLowerCase()]
+        return decoded === undefined ? ' ' : decoded
+    })
+}
+
+/**
+ * Creates a transform that passes text through a line by line function, holding back partial lines
+ * @param {Function} transformLine - Function from a line to the text to keep, which may hold state between lines
+ * @returns {Transform} - Transform of lines
+ */
+function createLineTransform(transformLine) {
+    const decoder = new StringDecoder('utf8')
+    let pending = ''
+
+    function transformLines(text) {
+        return text.split('\n').map(transformLine).join('\n')
+    }
+
+    return new Transform({
+        transform(chunk, encoding, callback) {
+            const text = pending + decoder.write(chunk)
+            const lineEnd = text.lastIndexOf('\n')
+            pending = text.slice(lineEnd + 1)
+            callback(null, lineEnd === -1 ? '' : `${transformLines(text.slice(0, lineEnd))}\n`)
+        },
+        flush(callback) {
+            callback(null, transformLines(pending + decoder.end()))
+        }
+    })
+}
+
+/**
+ * Creates a function that removes Markdown syntax from a line, dropping fenced code blocks
+ * @returns {Function} - Function from a Markdown line to its visible text
+ */
+function createMarkdownLineStripper() {
+    let fence = null
+
+    return line => {
+        const fenceMatch = /^\s{0,3}(`{3,}|~{3,})/.exec(line)
+        if (fence) {
+            if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+                fence = null
+            }
+            return ''
+        }
+        if (fenceMatch) {
+            fence = fenceMatch[1]
+            return ''
+        }
+
+        if (/^\s*([-*_]\s*){3,}$/.test(line)                              // Horizontal rules
+            || /^\s*(=+|-+)\s*$/.test(line)                                // Setext heading underlines
+            || /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)+\|?\s*$/.test(line)    // Table alignment rows
+            || /^\s{0,3}\[[^\]]+\]:\s*\S+/.test(line)) {                   // Link reference definitions
+            return ''
+        }
+
+        return line
+            .replace(/^\s{0,3}#{1,6}\s+/, '')                    // Heading markers
+            .replace(/\s+#+\s*$/, '')                            // Closing heading markers
+            .replace(/^(\s*>)+\s?/, '')                          // Blockquote markers
+            .replace(/^\s*([-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?/, '') // List markers and task boxes
+            .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')           // Images keep their alt text
+            .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')            // Inline links keep their text
+            .replace(/\[([^\]]*)\]\[[^\]]*\]/g, '$1')           // Reference links keep their text
+            .replace(/<(https?:|mailto:)[^>]*>/g, ' ')           // Autolinks
+            .replace(/<\/?[a-zA-Z][^>]*>/g, ' ')                 // Inline HTML tags
+            .replace(/`+/g, '')                                  // Inline code keeps its content
+    }
+}
+
+module.exports = {
+    INPUT_EXTRACTORS,
+    createInputStream,
+    createSourceStream,
+    getSupportedExtensions,
+    registerExtractor,
+    resolveInput,
+    resolveSourceFormat
+}
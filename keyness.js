@@ -0,0 +1,87 @@
+const KEYNESS_MEASURES = ['log-likelihood', 'tf-idf']
+
+/**
+ * Scores how over-represented each sequence of each document is compared to a reference.
+ * Without a reference corpus every document is compared to the combined counts of the other documents.
+ * @param {Array} documents - Array of objects with a sequences Map of sequences and frequencies
+ * @param {Map} reference - Optional Map of sequences and frequencies of a reference corpus
+ * @param {string} measure - log-likelihood (Dunning's G2) or tf-idf
+ * @returns {Array} - For each document, a Map of over-represented sequences to { score, referenceCount }
+ */
+function scoreKeyness(documents, reference, measure = 'log-likelihood') {
+    if (!KEYNESS_MEASURES.includes(measure)) {
+        throw new Error(`Invalid argument for --measure: ${measure}. Expected one of ${KEYNESS_MEASURES.join(', ')}.`)
+    }
+
+    const combined = new Map()
+    if (!reference) {
+        documents.forEach(({ sequences }) => sequences.forEach((value, key) => combined.set(key, (combined.get(key) || 0) + value)))
+    }
+    const combinedTotal = sumFrequencies(combined)
+    const referenceTotal = reference ? sumFrequencies(reference) : 0
+
+    // Number of documents containing each sequence, counting a reference corpus as one more document
+    const documentFrequency = new Map()
+    if (measure === 'tf-idf') {
+        documents.concat(reference ? [{ sequences: reference }] : []).forEach(({ sequences }) => {
+            sequences.forEach((value, key) => documentFrequency.set(key, (documentFrequency.get(key) || 0) + 1))
+        })
+    }
+    const documentCount = documents.length + (reference ? 1 : 0)
+
+    return documents.map(({ sequences }) => {
+        const total = sumFrequencies(sequences)
+        const otherTotal = reference ? referenceTotal : combinedTotal - total
+        const scores = new Map()
+
+        sequences.forEach((count, key) => {
+            const referenceCount = reference ? (reference.get(key) || 0) : combined.get(key) - count
+            // Only sequences relatively more frequent in the document than in the reference are key
+            if (count * otherTotal <= referenceCount * total) {
+                return
+            }
+            const score = measure === 'tf-idf'
+                ? (count / total) * Math.log(documentCount / documentFrequency.get(key))
+                : logLikelihood(count, referenceCount, total, otherTotal)
+            if (score > 0) {
+                scores.set(key, { score, referenceCount })
+            }
+        })
+        return scores
+    })
+}
+
+/**
+ * Computes Dunning's log-likelihood G2 for a sequence observed in two corpora
+ * @param {number} a - Frequency in the document
+ * @param {number} b - Frequency in the reference
+ * @param {number} c - Total frequency of all sequences in the document
+ * @param {number} d - Total frequency of all sequences in the reference
+ * @returns {number} - G2 score
+ */
+function logLikelihood(a, b, c, d) {
+    const expectedA = c * (a + b) / (c + d)
+    const expectedB = d * (a + b) / (c + d)
+    const termA = a > 0 ? a * Math.log(a / expectedA) : 0
+    const termB = b > 0 ? b * Math.log(b / expectedB) : 0
+    return 2 * (termA + termB)
+}
+
+/**
+ * Sums the frequencies of a frequency map
+ * @param {Map} sequences - Map of sequences and frequencies
+ * @returns {number} - Total frequency
+ */
+function sumFrequencies(sequences) {
+    let total = 0
+    sequences.forEach(value => {
+        total += value
+    })
+    return total
+}
+
+module.exports = {
+    KEYNESS_MEASURES,
+    logLikelihood,
+    scoreKeyness
+}
@@ -0,0 +1,88 @@
+const { stemWord } = require('./stemmer');
+const { foldCase } = require('./tokenizer');
+
+// Prefix of a pattern that is a regular expression over the whole sequence rather than a list of words
+const REGEX_PREFIX = 're:'
+
+/**
+ * Parses --match patterns into a test of the sequences to list. A pattern is a list of words, each a literal word,
+ * * for any single word, or alternatives such as (white|sperm), and matches sequences of as many words. A pattern
+ * starting with re: is a regular expression matched anywhere in sequences of any length, in lowercase unless
+ * caseSensitive is set.
+ * @param {Array|string} patterns - Patterns, of which a sequence must match any
+ * @param {Object} options - Counting options caseSensitive, stem and locale, which words are compared by
+ * @returns {Object} - Matcher with test(sequence), the patterns with their number of words as size (0 for regular
+ * expressions) and the sizes of the word patterns in ascending order
+ */
+function parseMatchPatterns(patterns, options = {}) {
+    const { caseSensitive = false, stem = false, locale = 'auto' } = options
+    // Words are compared the way sequences are grouped when ranked, so a pattern matches every form listed together
+    const getWordKey = word => {
+        const folded = caseSensitive ? word : foldCase(word, locale)
+        return stem ? stemWord(folded) : folded
+    }
+    // Regular expressions see whole words, which stems are not, so they are only compared regardless of case
+    const getText = sequence => caseSensitive ? sequence : foldCase(sequence, locale)
+    const tests = [].concat(patterns).map(pattern => parsePattern(String(pattern), getWordKey))
+
+    return {
+        patterns: tests.map(({ pattern, size }) => ({ pattern, size })),
+        sizes: Array.from(new Set(tests.map(({ size }) => size).filter(Boolean))).sort((a, b) => a - b),
+
+        /**
+         * Checks whether a sequence matches any of the patterns
+         * @param {string} sequence - Sequence of words separated by single spaces
+         * @returns {boolean} - Whether the sequence matches
+         */
+        test(sequence) {
+            const keys = sequence.split(' ').map(getWordKey)
+            const text = getText(sequence)
+            return tests.some(({ test }) => test(text, keys))
+        }
+    }
+}
+
+/**
+ * Parses a single pattern
+ * @param {string} pattern - Pattern as given to --match
+ * @param {Function} getWordKey - Function giving the form words are compared by
+ * @returns {Object} - Object with the pattern, its number of words as size (0 for regular expressions) and a
+ * test(text, keys) function, taking the sequence as regular expressions compare it and the compared form of each of
+ * its words
+ */
+function parsePattern(pattern, getWordKey) {
+    if (pattern.startsWith(REGEX_PREFIX)) {
+        let regex
+        try {
+            regex = new RegExp(pattern.slice(REGEX_PREFIX.length), 'u')
+        } catch (err) {
+            throw new Error(`Invalid argument for --match: ${pattern}. ${err.message}.`)
+        }
+        return { pattern, size: 0, test: text => regex.test(text) }
+    }
+
+    const words = pattern.trim().split(/\s+/).filter(Boolean).map(word => {
+        if (word === '*') {
+            return null
+        }
+        const alternatives = word.match(/^\((.*)\)$/)
+        const choices = alternatives ? alternatives[1].split('|') : [word]
+        if (choices.some(choice => !choice || /[\s()|*]/.test(choice))) {
+            throw new Error(`Invalid argument for --match: ${pattern}. Expected words, * for any word, alternatives such as (white|sperm) or re: followed by a regular expression.`)
+        }
+        return new Set(choices.map(getWordKey))
+    })
+    if (!words.length) {
+        throw new Error(`Invalid argument for --match: "${pattern}". Expected at least one word or *.`)
+    }
+    return {
+        pattern,
+        size: words.length,
+        test: (text, keys) => keys.length === words.length && words.every((choices, i) => !choices || choices.has(keys[i]))
+    }
+}
+
+module.exports = {
+    REGEX_PREFIX,
+    parseMatchPatterns
+}
@@ -1,29 +1,86 @@
-const fs = require('fs');
 const { workerData, parentPort } = require("worker_threads");
-const { formatText, generateSequenceMap } = require('.')
+const { createSequenceCounter, countStream } = require('.')
+const { createInputStream, createSourceStream, resolveInput, resolveSourceFormat } = require('./input_extractors')
+const { PROGRESS_INTERVAL } = require('./run_stats')
 
 /**
- * Processes a list of files, filters out invalid files, and analyzes text content.
- * @returns {Promise<void>} - Posts a message to the parent thread with invalid files and their sequences
+ * Processes a list of files, byte ranges of files or texts, filters out invalid files, and analyzes text content.
+ * A file that fails to be read is reported with its error and the other files are still counted.
+ * @returns {Promise<void>} - Posts a message to the parent thread with invalid files, failed files with the index and
+ * error message, the ranges with invalid byte sequences with the encoding and count, and the sequences, bytes read,
+ * tokens and seconds of each range. With workerData.progress, the bytes read and the file indexes of the finished
+ * tasks are posted as progress messages along the way.
  */
 
 async function processAndAnalyzeFiles() {
+    const options = workerData.options || {}
+    const { sizes = [3] } = options
     const invalidFiles = []
+    const failedFiles = []
+    const invalidBytes = []
     const sequences = []
-    for (const file of workerData.files) {
-        if (!file.endsWith('.txt')) {
-            invalidFiles.push(file)
+    let progress = { bytes: 0, finished: [] }
+    let reported = 0
+    const reportProgress = force => {
+        if (workerData.progress && (force || Date.now() - reported >= PROGRESS_INTERVAL)) {
+            reported = Date.now()
+            parentPort.postMessage({ progress })
+            progress = { bytes: 0, finished: [] }
+        }
+    }
+
+    for (const { file, fileIndex, start = 0, end, text, encoding = options.encoding } of workerData.files) {
+        const started = Date.now()
+        let bytes = 0
+        const reading = {
+            encoding,
+            onInvalid: invalid => invalidBytes.push({ file, fileIndex, ...invalid }),
+            onRead: count => {
+                bytes += count
+                progress.bytes += count
+                reportProgress(false)
+            }
+        }
+        let counter
+        try {
+            let stream
+            if (text !== undefined) {
+                // Text held in memory is named by file but not read from it. Buffers arrive as Uint8Arrays.
+                const source = typeof text === 'string' ? text : Buffer.from(text.buffer, text.byteOffset, text.byteLength)
+                stream = createSourceStream(source, resolveSourceFormat(file, options.inputFormat), reading)
+            } else {
+                const input = await resolveInput(file, options.inputFormat)
+                if (!input) {
+                    invalidFiles.push(file)
+                    continue
+                }
+                // The end of a read stream is inclusive
+                stream = createInputStream(input, end === undefined ? { start } : { start, end: end - 1 }, reading)
+            }
+            counter = await countStream(stream, createSequenceCounter(sizes, options))
+        } catch (err) {
+            failedFiles.push({ file, fileIndex, message: err.message })
             continue
+        } finally {
+            progress.finished.push(fileIndex)
         }
-        const data = await fs.promises.readFile(file, 'utf8');
-        const formattedText = formatText(data)
 
-        sequences.push({ file, sequences: generateSequenceMap(formattedText) })
+        sequences.push({
+            file,
+            fileIndex,
+            start,
+            headWords: counter.headWords,
+            tailWords: counter.tailWords,
+            hasBoundary: counter.hasBoundary,
+            sequenceMaps: counter.sequenceMaps,
+            bytes,
+            tokens: counter.tokens,
+            seconds: (Date.now() - started) / 1000
+        })
     }
-    parentPort.postMessage({ invalidFiles, sequences });
+    reportProgress(true)
+    parentPort.postMessage({ invalidFiles, failedFiles, invalidBytes, sequences });
 }
 
-processAndAnalyzeFiles().catch(err => {
-    console.error(err);
-    process.exit(1);
-});
+// Any other error ends the worker with an error event in the main thread
+processAndAnalyzeFiles()
@@ -0,0 +1,113 @@
+const { isSketch } = require('./frequency_sketch');
+
+// Milliseconds between two progress reports
+const PROGRESS_INTERVAL = 100
+
+/**
+ * Creates the statistics of a run, which the counting functions fill in as they read each input
+ * @returns {Object} - Statistics with the time the run started, the inputs and workers counted so far and the
+ * statistics of the lists over every input
+ */
+function createRunStats() {
+    return { started: Date.now(), inputs: [], workers: [], lists: [] }
+}
+
+/**
+ * Works out the statistics of the sequences of one length. Sketches only hold the sequences they monitor, so their
+ * unique sequences and singletons are counted among those.
+ * @param {number} size - Sequence length
+ * @param {Map|Object} sequences - Map of sequences to their frequencies, or a sketch
+ * @returns {Object} - Statistics with size, total number of sequences, number of unique sequences, share of the unique
+ * sequences that occur only once and unique sequence ratio, the number of unique sequences per sequence
+ */
+function getListStats(size, sequences) {
+    let total = 0
+    let unique = 0
+    let singletons = 0
+    const counts = isSketch(sequences) ? Array.from(sequences.counters.values(), ({ count }) => count) : sequences.values()
+    for (const count of counts) {
+        total += count
+        unique++
+        singletons += count === 1 ? 1 : 0
+    }
+    if (isSketch(sequences)) {
+        total = sequences.total
+    }
+    return {
+        size,
+        total,
+        unique,
+        singletonShare: unique ? singletons / unique : 0,
+        uniqueSequenceRatio: total ? unique / total : 0
+    }
+}
+
+/**
+ * Sums up the statistics of a run
+ * @param {Object} stats - Statistics created by createRunStats and filled in by the counting functions
+ * @returns {Object} - Statistics of each input with file, bytes, tokens, seconds, cached and lists, of every input
+ * together with the number of inputs, bytes, tokens, seconds of the whole run, bytes and tokens per second and lists,
+ * and of each worker with worker number, tasks, bytes, tokens and seconds
+ */
+function summarizeStats(stats) {
+    const seconds = (Date.now() - stats.started) / 1000
+    const bytes = stats.inputs.reduce((sum, input) => sum + input.bytes, 0)
+    const tokens = stats.inputs.reduce((sum, input) => sum + input.tokens, 0)
+    return {
+        inputs: stats.inputs,
+        overall: {
+            inputs: stats.inputs.length,
+            bytes,
+            tokens,
+            seconds,
+            bytesPerSecond: seconds ? bytes / seconds : 0,
+            tokensPerSecond: seconds ? tokens / seconds : 0,
+            lists: stats.lists
+        },
+        workers: stats.workers
+    }
+}
+
+/**
+ * Creates a tracker of how far a run is, reporting at most every PROGRESS_INTERVAL milliseconds and once more when
+ * the last input is done. Without onProgress the tracker does nothing.
+ * @param {Object} totals - Number of inputs as files, and their bytes, or null when some inputs are streams
+ * @param {Function} onProgress - Optional function called with the inputs done as files, the total files, the bytes
+ * read, the total bytes and the seconds since the run started
+ * @returns {Object} - Tracker with read(bytes), called as bytes are read, and done(), called as each input is done
+ */
+function createProgressTracker(totals = {}, onProgress) {
+    if (!onProgress) {
+        return { read: () => { }, done: () => { } }
+    }
+    const started = Date.now()
+    const progress = { files: 0, totalFiles: totals.files || 0, bytes: 0, totalBytes: totals.bytes === undefined ? null : totals.bytes }
+    let reported = 0
+
+    const report = force => {
+        const now = Date.now()
+        if (force || now - reported >= PROGRESS_INTERVAL) {
+            reported = now
+            onProgress({ ...progress, seconds: (now - started) / 1000 })
+        }
+    }
+
+    return {
+        read(bytes) {
+            progress.bytes += bytes
+            report(false)
+        },
+        done() {
+            progress.files++
+            report(progress.files >= progress.totalFiles)
+        }
+    }
+}
+
+module.exports = {
+    PROGRESS_INTERVAL,
+    createProgressTracker,
+    createRunStats,
+    getListStats,
+    summarizeStats
+}
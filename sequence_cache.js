@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+
+// Bumped whenever the way sequences are counted changes, so older entries are not reused. Version 2 cuts text written
+// without spaces at punctuation or word boundaries.
+const CACHE_VERSION = 2
+
+/**
+ * Hashes the content of a file
+ * @param {string} file - File path
+ * @returns {Promise<string>} - Hex encoded SHA-256 hash
+ */
+async function hashFile(file) {
+    const hash = crypto.createHash('sha256')
+    for await (const chunk of fs.createReadStream(file)) {
+        hash.update(chunk)
+    }
+    return hash.digest('hex')
+}
+
+/**
+ * Builds the key of a cache entry from the content hash of a file and the options it was counted with
+ * @param {string} hash - Content hash of the file
+ * @param {Object} countingOptions - Options that change how sequences are counted, from getCountingOptions, with the
+ * input format the file was read in and whether it was gzip compressed
+ * @returns {string} - Hex encoded key
+ */
+function getCacheKey(hash, countingOptions) {
+    return crypto.createHash('sha256').update(JSON.stringify({ version: CACHE_VERSION, hash, countingOptions })).digest('hex')
+}
+
+/**
+ * Reads the sequence maps of a file counted with the same content and options before, and marks the entry as used,
+ * adding the file to the files of the entry if it was counted from another file with the same content
+ * @param {string} cacheDir - Cache directory
+ * @param {string} file - File path the maps are read for
+ * @param {string} hash - Content hash of the file
+ * @param {Object} countingOptions - Options that change how sequences are counted
+ * @returns {Promise<Object|null>} - Object with the map of sequence length to frequency map as sequenceMaps and the
+ * bytes and tokens read when the file was counted, or null if the file is not cached
+ */
+async function readCachedSequences(cacheDir, file, hash, countingOptions) {
+    const key = getCacheKey(hash, countingOptions)
+    let data
+    try {
+        data = await fs.promises.readFile(path.join(cacheDir, `${key}.sequences.json.gz`))
+    } catch (err) {
+        return null
+    }
+    const metaFile = path.join(cacheDir, `${key}.json`)
+    const meta = await readMeta(metaFile)
+    if (meta && !meta.files.includes(path.resolve(file))) {
+        meta.files.push(path.resolve(file))
+        await writeAtomically(metaFile, `${JSON.stringify(meta, null, 2)}\n`).catch(() => { })
+    } else {
+        const now = new Date()
+        await fs.promises.utimes(metaFile, now, now).catch(() => { })
+    }
+
+    const sequenceMaps = JSON.parse(zlib.gunzipSync(data).toString('utf8'))
+    return {
+        sequenceMaps: new Map(sequenceMaps.map(([size, sequences]) => [size, new Map(sequences)])),
+        bytes: meta ? meta.input.bytes : 0,
+        tokens: meta ? meta.input.tokens : 0
+    }
+}
+
+/**
+ * Writes the sequence maps of a file to the cache. Entries are written to temporary files and renamed
+ * so runs sharing a cache directory never read a partial entry.
+ * @param {string} cacheDir - Cache directory
+ * @param {string} file - File path the maps were counted from
+ * @param {string} hash - Content hash of the file
+ * @param {Object} countingOptions - Options that change how sequences are counted
+ * @param {Map} sequenceMaps - Map of sequence length to frequency map
+ * @param {Object} input - Bytes and tokens read from the file, reported by --stats when the entry is used
+ * @returns {Promise<void>}
+ */
+async function writeCachedSequences(cacheDir, file, hash, countingOptions, sequenceMaps, input) {
+    const key = getCacheKey(hash, countingOptions)
+    await fs.promises.mkdir(cacheDir, { recursive: true })
+
+    // Another run may have written the entry for a file with the same content in the meantime
+    const written = await readMeta(path.join(cacheDir, `${key}.json`))
+    const files = written ? written.files.filter(other => other !== path.resolve(file)) : []
+    const data = zlib.gzipSync(JSON.stringify(Array.from(sequenceMaps, ([size, sequences]) => [size, Array.from(sequences)])))
+    const meta = {
+        version: CACHE_VERSION,
+        files: files.concat(path.resolve(file)),
+        hash,
+        sizes: Array.from(sequenceMaps.keys()),
+        countingOptions,
+        input,
+        bytes: data.length,
+        createdAt: new Date().toISOString()
+    }
+
+    // The metadata is written last since entries are listed by it
+    await writeAtomically(path.join(cacheDir, `${key}.sequences.json.gz`), data)
+    await writeAtomically(path.join(cacheDir, `${key}.json`), `${JSON.stringify(meta, null, 2)}\n`)
+}
+
+/**
+ * Lists the entries of a cache directory and whether the files each was counted from are unchanged
+ * @param {string} cacheDir - Cache directory
+ * @returns {Promise<Array>} - Entries with key, files, sizes, bytes, createdAt, lastUsedAt and a status of
+ * current (a file still has the cached content), changed (the files no longer have the cached content) or missing
+ * (none of the files exists any more)
+ */
+async function listCacheEntries(cacheDir) {
+    let names
+    try {
+        names = await fs.promises.readdir(cacheDir)
+    } catch (err) {
+        if (err.code === 'ENOENT') {
+            return []
+        }
+        throw err
+    }
+
+    const hashes = new Map()
+    const entries = []
+    for (const name of names.filter(name => /^[0-9a-f]{64}\.json$/.test(name)).sort()) {
+        const metaFile = path.join(cacheDir, name)
+        const meta = await readMeta(metaFile)
+        const stats = meta && await fs.promises.stat(metaFile).catch(() => null)
+        if (!stats) {
+            continue
+        }
+        const currentHashes = []
+        for (const file of meta.files) {
+            if (!hashes.has(file)) {
+                hashes.set(file, await hashFile(file).catch(() => null))
+            }
+            currentHashes.push(hashes.get(file))
+        }
+        const current = meta.version === CACHE_VERSION && currentHashes.includes(meta.hash)
+
+        entries.push({
+            key: name.slice(0, -'.json'.length),
+            files: meta.files,
+            sizes: meta.sizes,
+            bytes: meta.bytes,
+            createdAt: meta.createdAt,
+            lastUsedAt: stats.mtime.toISOString(),
+            status: current ? 'current' : meta.version !== CACHE_VERSION || currentHashes.some(Boolean) ? 'changed' : 'missing'
+        })
+    }
+    return entries
+}
+
+/**
+ * Reads the metadata of a cache entry
+ * @param {string} metaFile - Path of the metadata file
+ * @returns {Promise<Object|null>} - Metadata with the files the entry was counted from, or null if it cannot be read
+ */
+async function readMeta(metaFile) {
+    try {
+        const meta = JSON.parse(await fs.promises.readFile(metaFile, 'utf8'))
+        // Entries written before several files could share one name a single file
+        return { ...meta, files: meta.files || [].concat(meta.file || []) }
+    } catch (err) {
+        return null
+    }
+}
+
+/**
+ * Removes the entries of files that changed or no longer exist, and optionally entries not used for a number of days
+ * @param {string} cacheDir - Cache directory
+ * @param {Object} options - olderThanDays to also remove entries not used for that many days
+ * @returns {Promise<Object>} - Object with the removed entries and the number of entries kept
+ */
+async function pruneCache(cacheDir, options = {}) {
+    const { olderThanDays } = options
+    const cutoff = olderThanDays === undefined ? -Infinity : Date.now() - olderThanDays * 24 * 60 * 60 * 1000
+    const entries = await listCacheEntries(cacheDir)
+
+    const removed = entries.filter(entry => entry.status !== 'current' || Date.parse(entry.lastUsedAt) < cutoff)
+    for (const { key } of removed) {
+        await removeEntry(cacheDir, key)
+    }
+    return { removed, kept: entries.length - removed.length }
+}
+
+/**
+ * Removes every entry of a cache directory, leaving other files alone
+ * @param {string} cacheDir - Cache directory
+ * @returns {Promise<number>} - Number of entries removed
+ */
+async function clearCache(cacheDir) {
+    const entries = await listCacheEntries(cacheDir)
+    for (const { key } of entries) {
+        await removeEntry(cacheDir, key)
+    }
+    return entries.length
+}
+
+/**
+ * Removes the metadata and sequences of a cache entry
+ * @param {string} cacheDir - Cache directory
+ * @param {string} key - Key of the entry
+ * @returns {Promise<void>}
+ */
+async function removeEntry(cacheDir, key) {
+    await fs.promises.rm(path.join(cacheDir, `${key}.json`), { force: true })
+    await fs.promises.rm(path.join(cacheDir, `${key}.sequences.json.gz`), { force: true })
+}
+
+/**
+ * Writes a file through a temporary file in the same directory
+ * @param {string} file - File path
+ * @param {string|Buffer} data - Content
+ * @returns {Promise<void>}
+ */
+async function writeAtomically(file, data) {
+    const temporaryFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`
+    await fs.promises.writeFile(temporaryFile, data)
+    await fs.promises.rename(temporaryFile, file)
+}
+
+module.exports = {
+    clearCache,
+    hashFile,
+    listCacheEntries,
+    pruneCache,
+    readCachedSequences,
+    writeCachedSequences
+}
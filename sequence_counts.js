@@ -0,0 +1,166 @@
+const fs = require('fs');
+const readline = require('readline');
+const { Readable, pipeline } = require('stream');
+const zlib = require('zlib');
+
+// Written in the header of every counts file, and bumped whenever the layout of the file changes
+const COUNTS_FORMAT = 'sequence-counts'
+const COUNTS_VERSION = 1
+
+// Counting options that only change how inputs are read, so counts read differently can still be merged
+const READING_OPTIONS = ['inputFormat', 'encoding']
+
+// Command line options named in the errors of counts that cannot be merged
+const OPTION_NAMES = {
+    sizes: '--size',
+    stopwordMode: '--stopword-mode',
+    lowercase: '--case-sensitive or --preserve-case'
+}
+
+/**
+ * Writes the counts of every sequence as gzip compressed NDJSON: a header line with the format, its version, the
+ * options the sequences were counted with and the inputs counted, then a [size, sequence, count] line per sequence
+ * @param {string} file - File path
+ * @param {Map} sequenceMaps - Map of sequence length to frequency map
+ * @param {Object} countingOptions - Options that change how sequences are counted, from getCountingOptions
+ * @param {Array} inputs - Names of the inputs counted
+ * @returns {Promise<void>}
+ */
+async function writeCountsFile(file, sequenceMaps, countingOptions, inputs) {
+    const options = { ...countingOptions }
+    READING_OPTIONS.forEach(name => delete options[name])
+    const header = { format: COUNTS_FORMAT, version: COUNTS_VERSION, countingOptions: options, inputs }
+
+    // Lines are generated as they are written, so the counts are never held as a single string
+    function* lines() {
+        yield `${JSON.stringify(header)}\n`
+        for (const [size, sequences] of sequenceMaps) {
+            for (const [sequence, count] of sequences) {
+                yield `${JSON.stringify([size, sequence, count])}\n`
+            }
+        }
+    }
+    await new Promise((resolve, reject) => {
+        pipeline(Readable.from(lines()), zlib.createGzip(), fs.createWriteStream(file), err => err ? reject(err) : resolve())
+    })
+}
+
+/**
+ * Reads counts files written by writeCountsFile one at a time and adds up their counts. Every file must have been
+ * counted with the same options as the first, apart from how its inputs were read.
+ * @param {Array} files - Paths of counts files
+ * @returns {Promise<Object>} - Object with the counting options of the files, the inputs counted in them and a Map
+ * of sequence length to the combined frequency map
+ */
+async function mergeCountsFiles(files) {
+    let first = null
+    const inputs = []
+    const sequenceMaps = new Map()
+
+    for (const file of files) {
+        // Errors reading or decompressing the file end the lines with that error
+        const input = pipeline(fs.createReadStream(file), zlib.createGunzip(), () => { })
+        const lines = readline.createInterface({ input, crlfDelay: Infinity })
+        let header = null
+        let lineNumber = 0
+        try {
+            for await (const line of lines) {
+                lineNumber++
+                if (!header) {
+                    header = parseHeader(file, line)
+                    if (first) {
+                        checkCompatible(file, header, first)
+                    } else {
+                        first = { file, header }
+                        header.countingOptions.sizes.forEach(size => sequenceMaps.set(size, new Map()))
+                    }
+                    inputs.push(...header.inputs)
+                    continue
+                }
+                const [size, sequence, count] = parseLine(file, line, lineNumber)
+                const sequenceMap = sequenceMaps.get(size)
+                if (!sequenceMap) {
+                    throw new Error(`Invalid counts file ${file}: line ${lineNumber} has sequences of ${size} words, which the header does not list.`)
+                }
+                sequenceMap.set(sequence, (sequenceMap.get(sequence) || 0) + count)
+            }
+        } catch (err) {
+            if (err.code === 'Z_DATA_ERROR' || err.code === 'Z_BUF_ERROR') {
+                throw new Error(`Invalid counts file ${file}: ${err.message}. Expected a gzip file written by --emit-counts.`)
+            }
+            throw err
+        } finally {
+            input.destroy()
+        }
+        if (!header) {
+            throw new Error(`Invalid counts file ${file}: the file is empty. Expected a gzip file written by --emit-counts.`)
+        }
+    }
+
+    return { countingOptions: first.header.countingOptions, inputs, sequenceMaps }
+}
+
+/**
+ * Parses and checks the header line of a counts file
+ * @param {string} file - File path
+ * @param {string} line - First line of the file
+ * @returns {Object} - Header with format, version, countingOptions and inputs
+ */
+function parseHeader(file, line) {
+    let header
+    try {
+        header = JSON.parse(line)
+    } catch (err) {
+        header = null
+    }
+    if (!header || header.format !== COUNTS_FORMAT || !header.countingOptions || !Array.isArray(header.inputs)) {
+        throw new Error(`Invalid counts file ${file}: the header is missing. Expected a gzip file written by --emit-counts.`)
+    }
+    if (header.version > COUNTS_VERSION) {
+        throw new Error(`Cannot read ${file}: it was written in version ${header.version} of the counts format, but this program reads up to version ${COUNTS_VERSION}.`)
+    }
+    return header
+}
+
+/**
+ * Parses and checks a sequence line of a counts file
+ * @param {string} file - File path
+ * @param {string} line - Line of the file
+ * @param {number} lineNumber - Line number, from 1
+ * @returns {Array} - Size, sequence and count
+ */
+function parseLine(file, line, lineNumber) {
+    let entry
+    try {
+        entry = JSON.parse(line)
+    } catch (err) {
+        entry = null
+    }
+    if (!Array.isArray(entry) || !Number.isInteger(entry[0]) || typeof entry[1] !== 'string' || !Number.isInteger(entry[2])) {
+        throw new Error(`Invalid counts file ${file}: line ${lineNumber} is not a [size, sequence, count] line.`)
+    }
+    return entry
+}
+
+/**
+ * Checks that a counts file was counted with the same options as the first file merged
+ * @param {string} file - File path
+ * @param {Object} header - Header of the file
+ * @param {Object} first - First file merged with its header
+ */
+function checkCompatible(file, header, first) {
+    const options = header.countingOptions
+    const firstOptions = first.header.countingOptions
+    const names = Array.from(new Set(Object.keys(options).concat(Object.keys(firstOptions))))
+    const different = names.find(name => JSON.stringify(options[name]) !== JSON.stringify(firstOptions[name]))
+    if (different) {
+        const optionName = OPTION_NAMES[different] || `--${different.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}`
+        throw new Error(`Cannot merge ${file} with ${first.file}: they were counted with different ${optionName} options.`)
+    }
+}
+
+module.exports = {
+    COUNTS_VERSION,
+    mergeCountsFiles,
+    writeCountsFile
+}
@@ -0,0 +1,390 @@
+const http = require('http');
+const os = require('os');
+const { analyze } = require('.');
+const { OUTPUT_FORMATS } = require('./format_output');
+const { REGEX_PREFIX } = require('./match_pattern');
+const { STOPWORDS } = require('./stopwords');
+
+// Largest request body accepted by default, in bytes
+const DEFAULT_MAX_BODY_SIZE = 10 * 1024 * 1024
+
+const CONTENT_TYPES = {
+    text: 'text/plain; charset=utf-8',
+    json: 'application/json; charset=utf-8',
+    ndjson: 'application/x-ndjson; charset=utf-8',
+    csv: 'text/csv; charset=utf-8',
+    md: 'text/markdown; charset=utf-8'
+}
+
+// Largest values of the query options that multiply the work done for each word. /analyze counts on the main thread,
+// so a request forming millions of sequences from a short body would hold up every other request.
+const QUERY_LIMITS = { size: 10, skip: 2, context: 50 }
+
+// Query parameters of the analyze endpoints, named like the command line options, and the analyze options they set.
+// Options that read files on the server, such as reference corpora or custom stopword lists, are not offered, and
+// regular expressions are refused in match and segment-by as a pattern that backtracks would hold up every request.
+const QUERY_OPTIONS = {
+    size: 'size',
+    top: 'top',
+    'min-count': 'minCount',
+    stopwords: 'stopwords',
+    'stopword-mode': 'stopwordMode',
+    stem: 'stem',
+    'preserve-case': 'preserveCase',
+    'case-sensitive': 'caseSensitive',
+    variants: 'variants',
+    boundary: 'boundary',
+    'input-format': 'inputFormat',
+    encoding: 'encoding',
+    locale: 'locale',
+    numbers: 'numbers',
+    hyphens: 'hyphens',
+    apostrophes: 'apostrophes',
+    match: 'match',
+    skip: 'skip',
+    multiple: 'multiple',
+    context: 'context',
+    'segment-by': 'segmentBy',
+    'rank-by': 'rankBy'
+}
+
+/**
+ * Creates an HTTP server offering POST /analyze for a raw text or multipart body, POST /analyze/batch for a JSON list
+ * of named documents counted by the worker threads, and GET /health. Errors are answered with a JSON error message.
+ * @param {Object} options - maxBodySize in bytes, maxConcurrency requests analyzed at once and threads shared by the
+ * batches analyzed at once
+ * @returns {http.Server} - Server that is not listening yet
+ */
+function createServer(options = {}) {
+    const { maxBodySize = DEFAULT_MAX_BODY_SIZE, maxConcurrency = os.cpus().length, threads = os.cpus().length } = options
+    let active = 0
+    // Worker threads not taken by a batch, so that batches analyzed at once never start more than threads workers
+    const pool = { idle: threads }
+
+    return http.createServer(async (req, res) => {
+        try {
+            const url = new URL(req.url, 'http://localhost')
+            const routes = {
+                '/health': { method: 'GET', handle: () => sendJson(res, 200, { status: 'ok', active, maxConcurrency }) },
+                '/analyze': { method: 'POST', handle: () => handleAnalyze(req, res, url, maxBodySize) },
+                '/analyze/batch': { method: 'POST', handle: () => handleBatch(req, res, url, maxBodySize, pool) }
+            }
+            const route = routes[url.pathname]
+            if (!route) {
+                throw httpError(404, `Not found: ${url.pathname}`)
+            }
+            if (req.method !== route.method) {
+                res.setHeader('Allow', route.method)
+                throw httpError(405, `Method not allowed: ${req.method}. Use ${route.method}.`)
+            }
+            if (route.method === 'GET') {
+                route.handle()
+                return
+            }
+            if (active >= maxConcurrency) {
+                res.setHeader('Retry-After', '1')
+                throw httpError(503, `The server is busy analyzing ${active} request(s). Try again later.`)
+            }
+
+            active++
+            try {
+                await route.handle()
+            } finally {
+                active--
+            }
+        } catch (err) {
+            sendError(req, res, err)
+        }
+    })
+}
+
+/**
+ * Starts a server created by createServer listening on a port
+ * @param {Object} options - port and host to listen on, and the options of createServer
+ * @returns {Promise<http.Server>} - Promise resolving with the listening server
+ */
+function startServer(options = {}) {
+    const { port = 3000, host = '127.0.0.1' } = options
+    const server = createServer(options)
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject)
+        server.listen(port, host, () => resolve(server))
+    })
+}
+
+/**
+ * Analyzes the text of a request body, or each part of a multipart/form-data body
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Request URL with the query options
+ * @param {number} maxBodySize - Largest body accepted, in bytes
+ * @returns {Promise<void>}
+ */
+async function handleAnalyze(req, res, url, maxBodySize) {
+    const { format, options } = parseQuery(url.searchParams)
+    const body = await readBody(req, maxBodySize)
+    const contentType = req.headers['content-type'] || ''
+
+    let inputs = [{ name: 'body', buffer: body }]
+    if (/^multipart\/form-data/i.test(contentType)) {
+        inputs = parseMultipart(body, contentType).map(({ name, filename, data }) => ({ name: filename || name, buffer: data }))
+        if (!inputs.length) {
+            throw httpError(400, 'The multipart body has no parts.')
+        }
+    }
+
+    sendAnalysis(res, await runAnalysis(inputs, { ...options, format }), format)
+}
+
+/**
+ * Analyzes a JSON body of the form { "documents": [{ "name": "...", "text": "..." }] } with the idle worker threads,
+ * listing each document separately unless multiple=false is given. A batch arriving while every thread is taken is
+ * counted on the main thread.
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {URL} url - Request URL with the query options
+ * @param {number} maxBodySize - Largest body accepted, in bytes
+ * @param {Object} pool - Worker threads shared by the batches, with the number not taken as idle
+ * @returns {Promise<void>}
+ */
+async function handleBatch(req, res, url, maxBodySize, pool) {
+    const { format, options } = parseQuery(url.searchParams)
+    const body = await readBody(req, maxBodySize)
+
+    let documents
+    try {
+        ({ documents } = JSON.parse(body.toString('utf8')))
+    } catch (err) {
+        throw httpError(400, `Invalid JSON body: ${err.message}`)
+    }
+    if (!Array.isArray(documents) || !documents.length) {
+        throw httpError(400, 'Expected a JSON body with a non-empty "documents" array.')
+    }
+    const inputs = documents.map((document, index) => {
+        if (!document || typeof document.text !== 'string') {
+            throw httpError(400, `Document ${index + 1} has no "text" string.`)
+        }
+        return { name: document.name ? String(document.name) : `document ${index + 1}`, text: document.text }
+    })
+
+    // No more workers than documents are taken, leaving the rest to other batches
+    const threads = Math.min(pool.idle, inputs.length)
+    pool.idle -= threads
+    try {
+        sendAnalysis(res, await runAnalysis(inputs, { multiple: true, ...options, threads: threads || undefined, format }), format)
+    } finally {
+        pool.idle += threads
+    }
+}
+
+/**
+ * Runs analyze, turning its errors into HTTP errors. Invalid options, which analyze rejects with invalidOption set,
+ * are answered with 400 and any other error, such as an input that could not be counted, with 500.
+ * @param {Array} inputs - Inputs accepted by analyze
+ * @param {Object} options - Options accepted by analyze
+ * @returns {Promise<Object>} - Result of analyze
+ */
+async function runAnalysis(inputs, options) {
+    try {
+        return await analyze(inputs, options)
+    } catch (err) {
+        throw err.invalidOption ? httpError(400, err.message) : httpError(500, 'The analysis failed.')
+    }
+}
+
+/**
+ * Parses the query options of the analyze endpoints
+ * @param {URLSearchParams} params - Query parameters
+ * @returns {Object} - Object with the output format, json by default, and the analyze options
+ */
+function parseQuery(params) {
+    const format = params.get('format') || 'json'
+    if (!OUTPUT_FORMATS.includes(format)) {
+        throw httpError(400, `Invalid argument for format: ${format}. Expected one of ${OUTPUT_FORMATS.join(', ')}.`)
+    }
+
+    const options = {}
+    for (const [key, value] of params) {
+        if (key === 'format') {
+            continue
+        }
+        const name = QUERY_OPTIONS[key]
+        if (!name) {
+            throw httpError(400, `Unknown query parameter: ${key}. Expected format or one of ${Object.keys(QUERY_OPTIONS).join(', ')}.`)
+        }
+        // Checks the largest number given, such as the end of a size range
+        if (key in QUERY_LIMITS && Math.max(...(value.match(/\d+/g) || []).map(Number)) > QUERY_LIMITS[key]) {
+            throw httpError(400, `Invalid argument for ${key}: ${value}. The server accepts at most ${QUERY_LIMITS[key]}.`)
+        }
+        if (['stem', 'preserveCase', 'caseSensitive', 'variants', 'multiple', 'numbers'].includes(name)) {
+            if (!['', 'true', '1', 'false', '0'].includes(value)) {
+                throw httpError(400, `Invalid argument for ${key}: ${value}. Expected true or false.`)
+            }
+            options[name] = value === '' || value === 'true' || value === '1'
+        } else if (name === 'minCount' || name === 'context' || name === 'skip') {
+            options[name] = Number(value)
+        } else if (name === 'match') {
+            if (value.startsWith(REGEX_PREFIX)) {
+                throw httpError(400, `Invalid argument for match: ${value}. Regular expressions are not accepted by the server.`)
+            }
+            // Repeated to match any of several patterns
+            options[name] = (options[name] || []).concat(value)
+        } else if (name === 'segmentBy') {
+            // Anything other than file or a number of words is taken as a heading regular expression
+            if (!/^(file|\d+)$/.test(value.trim())) {
+                throw httpError(400, `Invalid argument for segment-by: ${value}. Expected file or a number of words; regular expressions are not accepted by the server.`)
+            }
+            options[name] = value
+        } else if (name === 'stopwords') {
+            options[name] = value.split(',').filter(Boolean)
+            const unknown = options[name].find(list => !STOPWORDS[list.toLowerCase()])
+            if (unknown) {
+                throw httpError(400, `Invalid argument for stopwords: ${unknown}. Expected ${Object.keys(STOPWORDS).join(', ')}.`)
+            }
+        } else {
+            options[name] = value
+        }
+    }
+
+    return { format, options }
+}
+
+/**
+ * Reads a request body up to a size limit
+ * @param {http.IncomingMessage} req - Request
+ * @param {number} limit - Largest body accepted, in bytes
+ * @returns {Promise<Buffer>} - Body
+ */
+function readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const tooLarge = () => httpError(413, `The request body is larger than the limit of ${limit} bytes.`)
+        if (Number(req.headers['content-length']) > limit) {
+            reject(tooLarge())
+            return
+        }
+
+        const chunks = []
+        let size = 0
+        req.on('data', chunk => {
+            size += chunk.length
+            if (size > limit) {
+                reject(tooLarge())
+                return
+            }
+            chunks.push(chunk)
+        })
+        req.on('end', () => resolve(Buffer.concat(chunks)))
+        req.on('error', reject)
+    })
+}
+
+/**
+ * Splits a multipart/form-data body into its parts
+ * @param {Buffer} body - Request body
+ * @param {string} contentType - Content-Type header with the boundary
+ * @returns {Array} - Parts with the field name, the file name if any, and the data
+ */
+function parseMultipart(body, contentType) {
+    const match = /boundary=(?:"([^"]+)"|([^;\s]+))/i.exec(contentType)
+    if (!match) {
+        throw httpError(400, 'The multipart Content-Type has no boundary.')
+    }
+    const delimiter = Buffer.from(`--${match[1] || match[2]}`)
+    const parts = []
+
+    let position = body.indexOf(delimiter)
+    while (position !== -1) {
+        position += delimiter.length
+        // The last delimiter is followed by --
+        if (body.subarray(position, position + 2).toString() === '--') {
+            break
+        }
+        const next = body.indexOf(delimiter, position)
+        if (next === -1) {
+            throw httpError(400, 'The multipart body is not terminated.')
+        }
+        // Each part starts after the line break of its delimiter and ends before the line break of the next one
+        const part = body.subarray(position, next)
+        const headerEnd = part.indexOf('\r\n\r\n')
+        if (headerEnd === -1) {
+            throw httpError(400, 'A multipart part has no headers.')
+        }
+        const headers = part.subarray(0, headerEnd).toString('utf8')
+        const disposition = /^content-disposition:(.*)$/im.exec(headers)
+        const name = disposition && /\bname="([^"]*)"/i.exec(disposition[1])
+        const filename = disposition && /\bfilename="([^"]*)"/i.exec(disposition[1])
+        const dataEnd = part.subarray(part.length - 2).toString() === '\r\n' ? part.length - 2 : part.length
+        parts.push({
+            name: name ? name[1] : `part ${parts.length + 1}`,
+            filename: filename ? filename[1] : undefined,
+            data: part.subarray(headerEnd + 4, dataEnd)
+        })
+        position = next
+    }
+
+    return parts
+}
+
+/**
+ * Sends the result of analyze as JSON with the warnings, or rendered in another output format
+ * @param {http.ServerResponse} res - Response
+ * @param {Object} analysis - Result of analyze
+ * @param {string} format - Output format
+ */
+function sendAnalysis(res, { results, warnings, rendered }, format) {
+    if (format === 'json') {
+        sendJson(res, 200, { results, warnings })
+        return
+    }
+    res.writeHead(200, { 'Content-Type': CONTENT_TYPES[format], 'Content-Length': Buffer.byteLength(rendered) })
+    res.end(rendered)
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - Value to send as JSON
+ */
+function sendJson(res, status, body) {
+    const json = `${JSON.stringify(body)}\n`
+    res.writeHead(status, { 'Content-Type': CONTENT_TYPES.json, 'Content-Length': Buffer.byteLength(json) })
+    res.end(json)
+}
+
+/**
+ * Sends an error as a JSON response with its status, closing the connection if the request body was not read
+ * @param {http.IncomingMessage} req - Request
+ * @param {http.ServerResponse} res - Response
+ * @param {Error} err - Error with an HTTP status, or an unexpected error answered with 500
+ */
+function sendError(req, res, err) {
+    if (res.headersSent) {
+        res.destroy()
+        return
+    }
+    if (!req.complete) {
+        res.setHeader('Connection', 'close')
+    }
+    const status = err.status || 500
+    sendJson(res, status, { error: err.status ? err.message : 'Internal server error.' })
+}
+
+/**
+ * Creates an error answered with an HTTP status
+ * @param {number} status - HTTP status code
+ * @param {string} message - Error message sent to the client
+ * @returns {Error} - Error with a status
+ */
+function httpError(status, message) {
+    const err = new Error(message)
+    err.status = status
+    return err
+}
+
+module.exports = {
+    DEFAULT_MAX_BODY_SIZE,
+    createServer,
+    startServer
+}
@@ -0,0 +1,146 @@
+// Porter stemmer (M.F. Porter, "An algorithm for suffix stripping", 1980) for formatted English words.
+// A consonant is a letter other than a, e, i, o, u and other than y preceded by a consonant.
+const c = '[^aeiou]'
+const v = '[aeiouy]'
+const C = `${c}[^aeiouy]*`
+const V = `${v}[aeiou]*`
+
+const MEASURE_GREATER_THAN_0 = new RegExp(`^(${C})?${V}${C}`)
+const MEASURE_EQUALS_1 = new RegExp(`^(${C})?${V}${C}(${V})?$`)
+const MEASURE_GREATER_THAN_1 = new RegExp(`^(${C})?${V}${C}${V}${C}`)
+const HAS_VOWEL = new RegExp(`^(${C})?${v}`)
+const ENDS_CVC = new RegExp(`^${C}${v}[^aeiouwxy]$`)
+
+const STEP_2_SUFFIXES = {
+    ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al', entli: 'ent',
+    eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al', iveness: 'ive', fulness: 'ful',
+    ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+}
+
+const STEP_3_SUFFIXES = {
+    icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: ''
+}
+
+// Stems of the words seen most recently, dropping the least recently used beyond STEM_CACHE_SIZE words so that a
+// long-running process, such as the server, does not keep the stem of every word it has read
+const STEM_CACHE_SIZE = 50000
+const stemCache = new Map()
+
+/**
+ * Stems a formatted word. Possessive endings are dropped, each part of a hyphenated word is stemmed,
+ * and words with letters outside a-z are returned unchanged.
+ * @param {string} word - Lowercase word as produced by formatText
+ * @returns {string} - Stem of the word
+ */
+function stemWord(word) {
+    if (stemCache.has(word)) {
+        // Moved to the end of the insertion order as the most recently used
+        const cached = stemCache.get(word)
+        stemCache.delete(word)
+        stemCache.set(word, cached)
+        return cached
+    }
+    const stem = word.split('-').map(part => {
+        const base = part.replace(/'s?$/, '')
+        return /^[a-z]+$/.test(base) ? porterStem(base) : part
+    }).join('-')
+
+    stemCache.set(word, stem)
+    if (stemCache.size > STEM_CACHE_SIZE) {
+        stemCache.delete(stemCache.keys().next().value)
+    }
+    return stem
+}
+
+/**
+ * Stems every word of a sequence
+ * @param {string} sequence - Words separated by single spaces
+ * @returns {string} - Stemmed sequence
+ */
+function stemSequence(sequence) {
+    return sequence.split(' ').map(stemWord).join(' ')
+}
+
+/**
+ * Applies the five steps of the Porter algorithm
+ * @param {string} word - Word made of the letters a-z
+ * @returns {string} - Stem of the word
+ */
+function porterStem(word) {
+    if (word.length < 3) {
+        return word
+    }
+
+    // An initial y is a consonant, so it is marked as one while the steps run
+    const startsWithY = word[0] === 'y'
+    let w = startsWithY ? `Y${word.slice(1)}` : word
+    let match
+
+    // Step 1a: plurals
+    if ((match = /^(.+?)(ss|i)es$/.exec(w))) {
+        w = match[1] + match[2]
+    } else if ((match = /^(.+?)([^s])s$/.exec(w))) {
+        w = match[1] + match[2]
+    }
+
+    // Step 1b: past tense and gerunds
+    if ((match = /^(.+?)eed$/.exec(w))) {
+        if (MEASURE_GREATER_THAN_0.test(match[1])) {
+            w = w.slice(0, -1)
+        }
+    } else if ((match = /^(.+?)(ed|ing)$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+        w = match[1]
+        if (/(at|bl|iz)$/.test(w)) {
+            w += 'e'
+        } else if (/([^aeiouylsz])\1$/.test(w)) {
+            w = w.slice(0, -1)
+        } else if (ENDS_CVC.test(w)) {
+            w += 'e'
+        }
+    }
+
+    // Step 1c: terminal y
+    if ((match = /^(.+?)y$/.exec(w)) && HAS_VOWEL.test(match[1])) {
+        w = `${match[1]}i`
+    }
+
+    // Step 2: double suffixes
+    if ((match = /^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/.exec(w))
+        && MEASURE_GREATER_THAN_0.test(match[1])) {
+        w = match[1] + STEP_2_SUFFIXES[match[2]]
+    }
+
+    // Step 3: -ic-, -full, -ness
+    if ((match = /^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/.exec(w)) && MEASURE_GREATER_THAN_0.test(match[1])) {
+        w = match[1] + STEP_3_SUFFIXES[match[2]]
+    }
+
+    // Step 4: single suffixes
+    if ((match = /^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/.exec(w))) {
+        if (MEASURE_GREATER_THAN_1.test(match[1])) {
+            w = match[1]
+        }
+    } else if ((match = /^(.+?)(s|t)(ion)$/.exec(w)) && MEASURE_GREATER_THAN_1.test(match[1] + match[2])) {
+        w = match[1] + match[2]
+    }
+
+    // Step 5a: final e
+    if ((match = /^(.+?)e$/.exec(w))) {
+        const stem = match[1]
+        if (MEASURE_GREATER_THAN_1.test(stem) || (MEASURE_EQUALS_1.test(stem) && !ENDS_CVC.test(stem))) {
+            w = stem
+        }
+    }
+
+    // Step 5b: final double l
+    if (/ll$/.test(w) && MEASURE_GREATER_THAN_1.test(w)) {
+        w = w.slice(0, -1)
+    }
+
+    return startsWithY ? `y${w.slice(1)}` : w
+}
+
+module.exports = {
+    stemSequence,
+    stemWord
+}
@@ -0,0 +1,128 @@
+const fs = require('fs');
+
+const STOPWORD_MODES = ['all', 'edge', 'remove']
+
+// Built-in lists, keyed by language code. Words are lowercase as produced by formatText.
+const STOPWORDS = {
+    en: [
+        "a", "about", "above", "after", "again", "against", "all", "am", "an", "and", "any", "are", "aren't", "as", "at",
+        "be", "because", "been", "before", "being", "below", "between", "both", "but", "by",
+        "can", "cannot", "can't", "could", "couldn't",
+        "did", "didn't", "do", "does", "doesn't", "doing", "don't", "down", "during",
+        "each", "few", "for", "from", "further",
+        "had", "hadn't", "has", "hasn't", "have", "haven't", "having", "he", "he'd", "he'll", "her", "here", "here's",
+        "hers", "herself", "he's", "him", "himself", "his", "how", "how's",
+        "i", "i'd", "if", "i'll", "i'm", "in", "into", "is", "isn't", "it", "its", "it's", "itself", "i've",
+        "let's", "me", "more", "most", "mustn't", "my", "myself",
+        "no", "nor", "not", "of", "off", "on", "once", "one", "only", "or", "other", "ought", "our", "ours", "ourselves", "out",
+        "over", "own",
+        "same", "shan't", "she", "she'd", "she'll", "she's", "should", "shouldn't", "so", "some", "such",
+        "than", "that", "that's", "the", "their", "theirs", "them", "themselves", "then", "there", "there's", "these",
+        "they", "they'd", "they'll", "they're", "they've", "this", "those", "through", "to", "too",
+        "under", "until", "up", "upon", "very",
+        "was", "wasn't", "we", "we'd", "we'll", "were", "we're", "weren't", "we've", "what", "what's", "when", "when's",
+        "where", "where's", "which", "while", "who", "whom", "who's", "why", "why's", "will", "with", "won't", "would",
+        "wouldn't",
+        "you", "you'd", "you'll", "your", "you're", "yours", "yourself", "yourselves", "you've"
+    ],
+    de: [
+        "aber", "alle", "allem", "allen", "aller", "alles", "als", "also", "am", "an", "ander", "andere", "anderem",
+        "anderen", "anderer", "anderes", "anderm", "andern", "anderr", "anders", "auch", "auf", "aus",
+        "bei", "bin", "bis", "bist",
+        "da", "damit", "dann", "das", "dass", "daß", "dasselbe", "dazu", "dein", "deine", "deinem", "deinen", "deiner",
+        "deines", "dem", "demselben", "den", "denn", "denselben", "der", "derer", "derselbe", "derselben", "des",
+        "desselben", "dessen", "dich", "die", "dies", "diese", "dieselbe", "dieselben", "diesem", "diesen", "dieser",
+        "dieses", "dir", "doch", "dort", "du", "durch",
+        "ein", "eine", "einem", "einen", "einer", "eines", "einig", "einige", "einigem", "einigen", "einiger", "einiges",
+        "einmal", "er", "es", "etwas", "euch", "euer", "eure", "eurem", "euren", "eurer", "eures",
+        "für", "gegen", "gewesen",
+        "hab", "habe", "haben", "hat", "hatte", "hatten", "hier", "hin", "hinter",
+        "ich", "ihm", "ihn", "ihnen", "ihr", "ihre", "ihrem", "ihren", "ihrer", "ihres", "im", "in", "indem", "ins",
+        "ist",
+        "jede", "jedem", "jeden", "jeder", "jedes", "jene", "jenem", "jenen", "jener", "jenes", "jetzt",
+        "kann", "kein", "keine", "keinem", "keinen", "keiner", "keines", "können", "könnte",
+        "machen", "man", "manche", "manchem", "manchen", "mancher", "manches", "mein", "meine", "meinem", "meinen",
+        "meiner", "meines", "mich", "mir", "mit", "muss", "musste",
+        "nach", "nicht", "nichts", "noch", "nun", "nur",
+        "ob", "oder", "ohne",
+        "sehr", "sein", "seine", "seinem", "seinen", "seiner", "seines", "selbst", "sich", "sie", "sind", "so", "solche",
+        "solchem", "solchen", "solcher", "solches", "soll", "sollte", "sondern", "sonst",
+        "um", "und", "uns", "unsere", "unserem", "unseren", "unser", "unseres", "unter",
+        "viel", "vom", "von", "vor",
+        "während", "war", "waren", "warst", "was", "weg", "weil", "weiter", "welche", "welchem", "welchen", "welcher",
+        "welches", "wenn", "werde", "werden", "wie", "wieder", "will", "wir", "wird", "wirst", "wo", "wollen", "wollte",
+        "würde", "würden",
+        "zu", "zum", "zur", "zwar", "zwischen"
+    ]
+}
+
+/**
+ * Loads stopwords from built-in lists and custom list files
+ * @param {Array} lists - Language codes of built-in lists (en, de) or paths of files with one or more words per line
+ * @returns {Promise<Array>} - Unique lowercase stopwords
+ */
+async function loadStopwords(lists = []) {
+    const stopwords = new Set()
+
+    for (const list of lists) {
+        const name = String(list)
+        if (STOPWORDS[name.toLowerCase()]) {
+            STOPWORDS[name.toLowerCase()].forEach(word => stopwords.add(word))
+            continue
+        }
+        if (!fs.existsSync(name)) {
+            throw new Error(`Invalid argument for --stopwords: ${name}. Expected ${Object.keys(STOPWORDS).join(', ')} or a path to a list of words.`)
+        }
+        const data = await fs.promises.readFile(name, 'utf8')
+        data.split('\n')
+            .map(line => line.replace(/#.*/, ''))          // Allow comments in custom lists
+            .join(' ')
+            .toLowerCase()
+            .split(/\s+/)
+            .filter(Boolean)
+            .forEach(word => stopwords.add(word))
+    }
+
+    return Array.from(stopwords)
+}
+
+/**
+ * Creates a filter that removes stopwords before windowing or drops sequences made of stopwords
+ * @param {Array} stopwords - Lowercase stopwords
+ * @param {string} mode - all drops sequences made up entirely of stopwords, edge drops sequences that start or end
+ * with a stopword, and remove drops stopwords from the text before sequences are formed
+ * @param {boolean} foldCase - Whether words keep their original case, so they are lowercased before being looked up
+ * @returns {Object|null} - Filter with removeWords(words) and keepSequence(words), or null without stopwords
+ */
+function createStopwordFilter(stopwords = [], mode = 'all', foldCase = false) {
+    if (!stopwords || !stopwords.length) {
+        return null
+    }
+    if (!STOPWORD_MODES.includes(mode)) {
+        throw new Error(`Invalid argument for --stopword-mode: ${mode}. Expected one of ${STOPWORD_MODES.join(', ')}.`)
+    }
+    const stopwordSet = new Set(stopwords)
+    const isStopword = foldCase ? word => stopwordSet.has(word.toLowerCase()) : word => stopwordSet.has(word)
+
+    return {
+        removeWords(words) {
+            return mode === 'remove' ? words.filter(word => !isStopword(word)) : words
+        },
+        keepSequence(words) {
+            if (mode === 'all') {
+                return !words.every(isStopword)
+            }
+            if (mode === 'edge') {
+                return !isStopword(words[0]) && !isStopword(words[words.length - 1])
+            }
+            return true
+        }
+    }
+}
+
+module.exports = {
+    STOPWORDS,
+    STOPWORD_MODES,
+    createStopwordFilter,
+    loadStopwords
+}
@@ -1,5 +1,28 @@
-const { formatText, generateSequenceMap, getTopSequences, splitArrayToNChunks } = require('../index.js')
-const { execFile, exec } = require('child_process')
+const { analyze, concordance, merge, watch, formatText, generateSequenceMap, getTopSequences, parseSizeOption, splitArrayToNChunks, createSequenceCounter, countStream,
+    parseTopOption, parseMinCountOption, groupSequencesByStem,
+    processFilesAsOne, processFilesInParallel, splitFilesToRanges, stitchRanges } = require('../index.js')
+const { execFile, exec, spawn } = require('child_process')
+const { renderConcordance, renderSequences, renderStats, renderWatchUpdate } = require('../format_output.js')
+const { loadStopwords } = require('../stopwords.js')
+const { stemWord } = require('../stemmer.js')
+const { createInputStream, resolveInput } = require('../input_extractors.js')
+const { expandFiles, globToRegExp } = require('../expand_files.js')
+const { logLikelihood, scoreKeyness } = require('../keyness.js')
+const { splitAtBoundaries } = require('../boundaries.js')
+const { createServer } = require('../server.js')
+const { listCacheEntries, pruneCache } = require('../sequence_cache.js')
+const { findOccurrences, tokenizeWithOffsets } = require('../concordance.js')
+const { addToSketch, createSketch, getSketchThreshold, mergeSketches } = require('../frequency_sketch.js')
+const { diffRankings } = require('../watch_files.js')
+const { detectEncoding } = require('../detect_encoding.js')
+const { parseMatchPatterns } = require('../match_pattern.js')
+const { getDispersion } = require('../dispersion.js')
+const http = require('http')
+const { Readable } = require('stream')
+const zlib = require('zlib')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
 
 describe('Unit tests', () => {
     test('should normalize text by removing punctuation, handling case insensitivity, and replacing new lines with spaces', () => {
@@ -53,6 +76,151 @@ describe('Unit tests', () => {
         expect(generateSequenceMap(input)).toEqual(expectedOutput);
     });
 
+    test('should generate a frequency map of sequences of a given length', () => {
+        const input = "this is a simple example this is";
+        expect(generateSequenceMap(input, 2)).toEqual(new Map([
+            ["this is", 2],
+            ["is a", 1],
+            ["a simple", 1],
+            ["simple example", 1],
+            ["example this", 1]
+        ]));
+        expect(generateSequenceMap(input, 6)).toEqual(new Map([
+            ["this is a simple example this", 1],
+            ["is a simple example this is", 1]
+        ]));
+        expect(generateSequenceMap("", 1)).toEqual(new Map());
+    });
+
+    test('should parse single sequence lengths and ranges', () => {
+        expect(parseSizeOption('3')).toEqual([3]);
+        expect(parseSizeOption(2)).toEqual([2]);
+        expect(parseSizeOption('2-5')).toEqual([2, 3, 4, 5]);
+        expect(() => parseSizeOption('0')).toThrow('Invalid argument for --size (-n)');
+        expect(() => parseSizeOption('5-2')).toThrow('Invalid argument for --size (-n)');
+        expect(() => parseSizeOption('two')).toThrow('Invalid argument for --size (-n)');
+    });
+
+    test('should count chunked text the same as the whole formatted text', () => {
+        const input = "Call me ' ' Ishmael. Some years ago—never mind how long ' precisely '. having\nlittle or no money in my purse, 'tis shoes' ";
+        for (let cut = 0; cut <= input.length; cut++) {
+            const counter = createSequenceCounter([1, 3]);
+            counter.write(input.slice(0, cut));
+            counter.write(input.slice(cut));
+            counter.flush();
+
+            expect(counter.sequenceMaps.get(1)).toEqual(generateSequenceMap(formatText(input), 1));
+            expect(counter.sequenceMaps.get(3)).toEqual(generateSequenceMap(formatText(input), 3));
+        }
+    });
+
+    test('should count a file streamed in small chunks the same as the whole file', async () => {
+        const file = path.join(__dirname, 'inputs/the_white_whale.txt');
+        const counter = await countStream(fs.createReadStream(file, { highWaterMark: 16 }), createSequenceCounter([2, 3]));
+        const formattedText = formatText(fs.readFileSync(file, 'utf8'));
+
+        expect(counter.sequenceMaps.get(2)).toEqual(generateSequenceMap(formattedText, 2));
+        expect(counter.sequenceMaps.get(3)).toEqual(generateSequenceMap(formattedText, 3));
+    });
+
+    test('should count CJK text streamed in many chunks the same as the whole text', async () => {
+        // Lines broken only at 。, and a run with no punctuation longer than the text held back between chunks
+        for (const unit of ['我喜欢吃苹果。我喜欢吃香蕉。', '我喜欢吃苹果我喜欢吃香蕉']) {
+            const text = unit.repeat(12000);
+            const chunks = [];
+            for (let i = 0; i < text.length; i += 1000) {
+                chunks.push(text.slice(i, i + 1000));
+            }
+            const counter = await countStream(Readable.from(chunks), createSequenceCounter([2]));
+
+            expect(counter.sequenceMaps.get(2)).toEqual(generateSequenceMap(formatText(text), 2));
+        }
+    });
+
+    test('should stitch sequences spanning ranges, including ranges shorter than a sequence', () => {
+        const words = "one two three four five six seven eight".split(' ');
+        for (let first = 0; first <= words.length; first++) {
+            for (let second = first; second <= words.length; second++) {
+                const ranges = [words.slice(0, first), words.slice(first, second), words.slice(second)].map((rangeWords, start) => {
+                    const counter = createSequenceCounter([2, 4]);
+                    counter.write(rangeWords.join(' '));
+                    counter.flush();
+                    return { start, sequenceMaps: counter.sequenceMaps, headWords: counter.headWords, tailWords: counter.tailWords };
+                });
+                const sequenceMaps = stitchRanges(ranges, [2, 4]);
+
+                expect(sequenceMaps.get(2)).toEqual(generateSequenceMap(words.join(' '), 2));
+                expect(sequenceMaps.get(4)).toEqual(generateSequenceMap(words.join(' '), 4));
+            }
+        }
+    });
+
+    test('should split a single file into ranges ending on whitespace', async () => {
+        const file = path.join(__dirname, 'inputs/moby_dick.txt');
+        const tasks = await splitFilesToRanges([file], 4);
+        const data = fs.readFileSync(file);
+
+        expect(tasks).toHaveLength(4);
+        expect(tasks[0].start).toBe(0);
+        expect(tasks[3].end).toBe(data.length);
+        tasks.slice(1).forEach((task, i) => {
+            expect(task.start).toBe(tasks[i].end);
+            expect(String.fromCharCode(data[task.start])).toMatch(/\s/);
+        });
+    });
+
+    test('should count a single file split across workers the same as on one thread', async () => {
+        const file = path.join(__dirname, 'inputs/moby_dick.txt');
+        const options = { sizes: [2, 3] };
+        const parallel = await processFilesInParallel([file], 4, false, options);
+        const single = await processFilesAsOne([file], options);
+
+        parallel.forEach((ts, i) => {
+            expect(new Map(ts.sequences)).toEqual(new Map(single[i].sequences));
+        });
+    });
+
+    test('should split text at sentence and paragraph boundaries', () => {
+        const input = "It was in my purse. And nothing else. Mr. Smith met J. R. Doe, e.g. there. “Stop!” he said.\n\nWait... and then… Más. 你好。再见";
+        expect(splitAtBoundaries(input, 'sentence')).toEqual([
+            "It was in my purse.", " And nothing else.", " Mr. Smith met J. R. Doe, e.g. there.", " “Stop!” he said.", "\n\n",
+            "Wait... and then…", " Más.", " 你好。", "再见"
+        ]);
+        expect(splitAtBoundaries(input, 'paragraph')).toEqual([input.slice(0, input.indexOf('\n\n') + 2), input.slice(input.indexOf('\n\n') + 2)]);
+        expect(splitAtBoundaries(input, 'none')).toEqual([input]);
+    });
+
+    test('should not count sequences across boundaries in chunked text', () => {
+        const input = "Call me Ishmael. Some years ago, never mind how long.\n\nHaving little or no money in my purse. And nothing";
+        const expected = [1, 3].map(size => {
+            const sequenceMap = new Map();
+            splitAtBoundaries(input, 'sentence').forEach(segment => {
+                generateSequenceMap(formatText(segment), size).forEach((value, key) => sequenceMap.set(key, (sequenceMap.get(key) || 0) + value));
+            });
+            return sequenceMap;
+        });
+        for (let cut = 0; cut <= input.length; cut++) {
+            const counter = createSequenceCounter([1, 3], { boundary: 'sentence' });
+            counter.write(input.slice(0, cut));
+            counter.write(input.slice(cut));
+            counter.flush();
+
+            expect(counter.sequenceMaps.get(1)).toEqual(expected[0]);
+            expect(counter.sequenceMaps.get(3)).toEqual(expected[1]);
+            expect(counter.sequenceMaps.get(3).has("purse and nothing")).toBe(false);
+        }
+    });
+
+    test('should respect boundaries the same in a file split across workers as on one thread', async () => {
+        const file = path.join(__dirname, 'inputs/moby_dick.txt');
+        const options = { sizes: [3], boundary: 'sentence' };
+        const [parallel] = await processFilesInParallel([file], 4, false, options);
+        const [single] = await processFilesAsOne([file], options);
+
+        expect(parallel.total).toBe(single.total);
+        expect(parallel.sequences).toEqual(single.sequences);
+    });
+
     test('should normalize text by removing punctuation, handling case insensitivity, replacing hyphens with spaces, and replacing new lines with spaces', () => {
         const input = "I love\nsandwiches.(I LOVE SANDWICHES!!)";
         const expectedOutput = "i love sandwiches i love sandwiches";
@@ -87,16 +255,1368 @@ describe('Unit tests', () => {
         expect(getTopSequences(input)).toEqual(expect.arrayContaining(expectedOutput));
     });
 
-    test('splits array into 2 chunks', () => {
-        const array = [1, 2, 3, 4, 5];
-        const result = splitArrayToNChunks(array, 2);
-        expect(result).toEqual([[1, 2, 3], [4, 5]]);
+    test('should select the top N sequences with ties ordered alphabetically', () => {
+        const input = new Map([
+            ["the white whale", 2],
+            ["of the sea", 5],
+            ["a white whale", 2],
+            ["call me ishmael", 1],
+            ["and the sea", 5],
+            ["the sperm whale", 3]
+        ]);
+
+        expect(getTopSequences(input)).toEqual([
+            ["and the sea", 5],
+            ["of the sea", 5],
+            ["the sperm whale", 3],
+            ["a white whale", 2],
+            ["the white whale", 2],
+            ["call me ishmael", 1]
+        ]);
+        expect(getTopSequences(input, 4)).toEqual([
+            ["and the sea", 5],
+            ["of the sea", 5],
+            ["the sperm whale", 3],
+            ["a white whale", 2]
+        ]);
+        expect(getTopSequences(input, Infinity, 3)).toEqual([
+            ["and the sea", 5],
+            ["of the sea", 5],
+            ["the sperm whale", 3]
+        ]);
+        expect(getTopSequences(input, 2, 6)).toEqual([]);
+    });
+
+    test('should select the same top N as a full sort', () => {
+        const formattedText = formatText(fs.readFileSync(path.join(__dirname, 'inputs/the_white_whale.txt'), 'utf8'));
+        const sequenceMap = generateSequenceMap(formattedText, 2);
+        const sorted = getTopSequences(sequenceMap);
+
+        [1, 10, 100, 1000].forEach(top => {
+            expect(getTopSequences(sequenceMap, top)).toEqual(sorted.slice(0, top));
+        });
+    });
+
+    test('should parse the top and minimum count options', () => {
+        expect(parseTopOption('20')).toBe(20);
+        expect(parseTopOption('all')).toBe(Infinity);
+        expect(() => parseTopOption('0')).toThrow('Invalid argument for --top');
+        expect(() => parseTopOption('many')).toThrow('Invalid argument for --top');
+        expect(parseMinCountOption(3)).toBe(3);
+        expect(() => parseMinCountOption(0)).toThrow('Invalid argument for --min-count');
+        expect(() => parseMinCountOption(NaN)).toThrow('Invalid argument for --min-count');
+    });
+
+    test('should drop sequences made up entirely of stopwords', () => {
+        const input = "one of the white whale out of the sea";
+        const options = { stopwords: ['one', 'of', 'the', 'out'], stopwordMode: 'all' };
+        expect(generateSequenceMap(input, 3, options)).toEqual(new Map([
+            ["of the white", 1],
+            ["the white whale", 1],
+            ["white whale out", 1],
+            ["whale out of", 1],
+            ["of the sea", 1]
+        ]));
+    });
+
+    test('should drop sequences that start or end with a stopword', () => {
+        const input = "one of the white whale out of the sea";
+        const options = { stopwords: ['one', 'of', 'the', 'out'], stopwordMode: 'edge' };
+        expect(generateSequenceMap(input, 2, options)).toEqual(new Map([["white whale", 1]]));
+    });
+
+    test('should remove stopwords before forming sequences', () => {
+        const input = "one of the white whale out of the sea";
+        const options = { stopwords: ['one', 'of', 'the', 'out'], stopwordMode: 'remove' };
+        expect(generateSequenceMap(input, 2, options)).toEqual(new Map([["white whale", 1], ["whale sea", 1]]));
+    });
+
+    test('should load built-in and custom stopword lists', async () => {
+        const file = path.join(os.tmpdir(), `stopwords-${process.pid}.txt`);
+        fs.writeFileSync(file, '# whaling terms\nWhale whales\nship\n');
+        const stopwords = await loadStopwords(['de', file]);
+        fs.unlinkSync(file);
+
+        expect(stopwords).toEqual(expect.arrayContaining(['und', 'daß', 'whale', 'whales', 'ship']));
+        expect(stopwords).not.toContain('the');
+        await expect(loadStopwords(['xx'])).rejects.toThrow('Invalid argument for --stopwords');
+    });
+
+    test('should filter stopwords the same in a file split across workers as on one thread', async () => {
+        const file = path.join(__dirname, 'inputs/moby_dick.txt');
+        const stopwords = await loadStopwords(['en']);
+        for (const stopwordMode of ['edge', 'remove']) {
+            const options = { sizes: [3], stopwords, stopwordMode };
+            const [parallel] = await processFilesInParallel([file], 3, false, options);
+            const [single] = await processFilesAsOne([file], options);
+
+            expect(parallel.sequences).toEqual(single.sequences);
+        }
+    });
+
+    test('should stem words with the Porter algorithm', () => {
+        const stems = {
+            caresses: 'caress', ponies: 'poni', agreed: 'agre', hopping: 'hop', filing: 'file', happy: 'happi',
+            relational: 'relat', generalization: 'gener', hopefulness: 'hope', adjustment: 'adjust', controll: 'control',
+            whales: 'whale', "whale's": 'whale', 'whale-ships': 'whale-ship', 'rührt': 'rührt'
+        };
+        Object.entries(stems).forEach(([word, stem]) => expect(stemWord(word)).toBe(stem));
+    });
+
+    test('should group sequences by stem under their most frequent form', () => {
+        const input = new Map([
+            ["the white whales", 2],
+            ["the white whale", 5],
+            ["the white whale's", 1],
+            ["hunting whales", 1],
+            ["hunted whale", 1],
+            ["call me ishmael", 1]
+        ]);
+        expect(groupSequencesByStem(input)).toEqual(new Map([
+            ["the white whale", 8],
+            ["hunted whale", 2],
+            ["call me ishmael", 1]
+        ]));
+    });
+
+    test('should compute the log-likelihood of a sequence in two corpora', () => {
+        expect(logLikelihood(10, 0, 100, 100)).toBeCloseTo(20 * Math.log(2));
+        expect(logLikelihood(5, 5, 100, 100)).toBeCloseTo(0);
+    });
+
+    test('should score sequences over-represented compared to the other documents', () => {
+        const documents = [
+            { sequences: new Map([["the white whale", 6], ["call me ishmael", 2]]) },
+            { sequences: new Map([["the white whale", 2], ["slouches towards bethlehem", 2]]) }
+        ];
+        const [first, second] = scoreKeyness(documents, undefined, 'log-likelihood');
+        expect(Array.from(first.keys())).toEqual(["the white whale", "call me ishmael"]);
+        expect(first.get("the white whale")).toEqual({ score: logLikelihood(6, 2, 8, 4), referenceCount: 2 });
+        expect(Array.from(second.keys())).toEqual(["slouches towards bethlehem"]);
+
+        const [tfIdf] = scoreKeyness(documents.slice(0, 1), new Map([["the white whale", 3]]), 'tf-idf');
+        expect(Array.from(tfIdf.keys())).toEqual(["call me ishmael"]);
+        expect(tfIdf.get("call me ishmael").score).toBeCloseTo(0.25 * Math.log(2));
+        expect(() => scoreKeyness(documents, undefined, 'chi-squared')).toThrow('Invalid argument for --measure');
+    });
+
+    test('splits array into 2 chunks', () => {
+        const array = [1, 2, 3, 4, 5];
+        const result = splitArrayToNChunks(array, 2);
+        expect(result).toEqual([[1, 2, 3], [4, 5]]);
+    });
+
+    test('splits array into 3 chunks', () => {
+        const array = [1, 2, 3, 4, 5];
+        const result = splitArrayToNChunks(array, 3);
+        expect(result).toEqual([[1, 2], [3, 4], [5]]);
+    });
+})
+
+
+describe('Input formats', () => {
+    const readInput = async (file, range) => {
+        let text = '';
+        for await (const chunk of createInputStream(await resolveInput(file), range)) {
+            text += chunk;
+        }
+        return text;
+    };
+
+    test('should resolve input formats from extensions and content', async () => {
+        const gzipFile = path.join(os.tmpdir(), `the_white_whale-${process.pid}`);
+        fs.writeFileSync(gzipFile, zlib.gzipSync(fs.readFileSync(path.join(__dirname, 'inputs/the_white_whale.html'))));
+
+        expect(await resolveInput(path.join(__dirname, 'inputs/short.txt'))).toMatchObject({ format: 'text', gzip: false });
+        expect(await resolveInput(path.join(__dirname, 'inputs/the_white_whale.md'))).toMatchObject({ format: 'md', gzip: false });
+        expect(await resolveInput('archive.html.gz')).toMatchObject({ format: 'html', gzip: true });
+        expect(await resolveInput(gzipFile)).toMatchObject({ format: 'html', gzip: true });
+        expect(await resolveInput(path.join(__dirname, 'inputs/invalid.js'))).toBeNull();
+        expect(await resolveInput(path.join(__dirname, 'inputs/invalid.js'), 'text')).toMatchObject({ format: 'text' });
+        fs.unlinkSync(gzipFile);
+    });
+
+    test('should extract the visible text of HTML', async () => {
+        const text = formatText(await readInput(path.join(__dirname, 'inputs/the_white_whale.html')));
+        expect(text).toContain("the white whale ahab had cherished");
+        expect(text).toContain("in the white whale and he piled upon the whale s white hump the sum of all the general rage hate");
+        expect(text).not.toMatch(/color|thewhitewhale|doctype|script/);
+        expect(generateSequenceMap(text).get("the white whale")).toBe(5);
+    });
+
+    test('should extract the same HTML text when tags and entities are split across chunks', async () => {
+        const file = path.join(__dirname, 'inputs/the_white_whale.html');
+        expect(await readInput(file, { highWaterMark: 1 })).toBe(await readInput(file));
+    });
+
+    test('should strip Markdown syntax and code fences', async () => {
+        const text = formatText(await readInput(path.join(__dirname, 'inputs/the_white_whale.md')));
+        expect(text).toContain("the white whale ahab had cherished");
+        expect(text).toContain("as the monomaniac incarnation of all those malicious agencies");
+        expect(text).not.toMatch(/https|const|js|png/);
+        expect(text).not.toContain("-");
+        expect(generateSequenceMap(text).get("the white whale")).toBe(5);
+    });
+
+    test('should decompress gzip input', async () => {
+        const file = path.join(os.tmpdir(), `short-${process.pid}.txt.gz`);
+        fs.writeFileSync(file, zlib.gzipSync(fs.readFileSync(path.join(__dirname, 'inputs/short.txt'))));
+        const text = await readInput(file);
+        fs.unlinkSync(file);
+
+        expect(text).toBe(fs.readFileSync(path.join(__dirname, 'inputs/short.txt'), 'utf8'));
+    });
+})
+
+
+describe('Word segmentation', () => {
+    test('should split Chinese, Japanese and Thai text into words', () => {
+        expect(formatText(fs.readFileSync(path.join(__dirname, 'inputs/chinese.txt'), 'utf8'))).toBe("我 喜欢 吃 苹果 我 喜欢 吃 香蕉 他 也 喜欢 吃 苹果 她 也 喜欢 吃 香蕉");
+        expect(formatText("東京タワーに行きました。")).toBe("東京タワー に 行き ま した");
+        expect(formatText("ผมชอบกินข้าว ผมชอบกินข้าวมาก")).toBe("ผม ชอบ กิน ข้าว ผม ชอบ กิน ข้าว มาก");
+        expect(formatText("The white whale 東京タワーに")).toBe("the white whale 東京タワー に");
+    });
+
+    test('should count the sequences of CJK and Thai fixtures', async () => {
+        const inputs = ['chinese', 'japanese', 'thai'].map(name => ({ path: path.join(__dirname, `inputs/${name}.txt`) }));
+        const { results } = await analyze(inputs, { top: 1, threads: 1, multiple: true });
+
+        expect(results.map(({ sequences }) => [sequences[0].sequence, sequences[0].count])).toEqual([
+            ['也 喜欢 吃', 2],
+            ['東京タワー に 行き', 3],
+            ['ชอบ กิน ข้าว', 3]
+        ]);
+    });
+
+    test('should keep numbers and split at hyphens and apostrophes when asked', () => {
+        const text = "Catch-22 isn't 3.14, it's 1,000 pages.";
+
+        expect(formatText(text)).toBe("catch- isn't it's pages");
+        expect(formatText(text, { numbers: true })).toBe("catch-22 isn't 3.14 it's 1,000 pages");
+        expect(formatText(text, { numbers: true, hyphens: 'split', apostrophes: 'split' })).toBe("catch 22 isn t 3.14 it s 1,000 pages");
+        expect(generateSequenceMap(formatText("catch 22 is a novel", { numbers: true })).get("catch 22 is")).toBe(1);
+    });
+
+    test('should lowercase and segment with the given locale', () => {
+        expect(formatText("IŞIK", { locale: 'tr' })).toBe("ışık");
+        expect(formatText("IŞIK")).toBe("işik");
+        expect(() => formatText("text", { locale: 'not a locale' })).toThrow('Invalid argument for --locale: not a locale.');
+        expect(() => formatText("text", { hyphens: 'drop' })).toThrow('Invalid argument for --hyphens: drop. Expected one of join, split.');
+    });
+
+    test('should find occurrences in text without spaces at their code point columns', () => {
+        const text = fs.readFileSync(path.join(__dirname, 'inputs/japanese.txt'), 'utf8');
+        const occurrences = findOccurrences(text, ['東京タワー に'], { context: 1 });
+
+        expect(occurrences.map(({ line, column, before, match, after }) => [line, column, before, match, after])).toEqual([
+            [1, 1, '', '東京タワーに', '行き'],
+            [1, 16, 'も', '東京タワーに', '行き'],
+            [2, 1, 'です。 ', '東京タワーに', '行き']
+        ]);
+        expect(tokenizeWithOffsets("ผมชอบ").map(({ word, start, end }) => [word, start, end])).toEqual([['ผม', 0, 2], ['ชอบ', 2, 5]]);
+    });
+})
+
+
+describe('Encodings', () => {
+    test('should detect encodings from byte order marks and bytes', () => {
+        expect(detectEncoding(Buffer.from('\ufeffcafé', 'utf8'))).toEqual({ encoding: 'utf-8', bomLength: 3 });
+        expect(detectEncoding(Buffer.from('café', 'utf8'))).toEqual({ encoding: 'utf-8', bomLength: 0 });
+        expect(detectEncoding(Buffer.from('caf\xe9 cr\xe8me', 'latin1'))).toEqual({ encoding: 'latin1', bomLength: 0 });
+        expect(detectEncoding(Buffer.from('\x93caf\xe9\x94', 'latin1'))).toEqual({ encoding: 'windows-1252', bomLength: 0 });
+        expect(detectEncoding(Buffer.from('\ufeffcafé', 'utf16le'))).toEqual({ encoding: 'utf-16le', bomLength: 2 });
+        expect(detectEncoding(Buffer.from('café crème', 'utf16le').swap16())).toEqual({ encoding: 'utf-16be', bomLength: 0 });
+        // A stray byte in UTF-8 text is damage rather than another encoding
+        expect(detectEncoding(Buffer.from([...Buffer.from('café crème '), 0xff]))).toEqual({ encoding: 'utf-8', bomLength: 0 });
+    });
+
+    test('should count Latin-1, Windows-1252 and UTF-16 files like UTF-8', async () => {
+        const inputs = ['latin1', 'windows_1252', 'utf16le', 'utf16be'].map(name => ({ path: path.join(__dirname, `inputs/${name}.txt`) }));
+        const { results, warnings } = await analyze(inputs, { size: 2, top: 1, threads: 1, multiple: true });
+
+        expect(results.map(({ sequences }) => [sequences[0].sequence, sequences[0].count])).toEqual(Array(4).fill(['café crème', 2]));
+        expect(warnings).toEqual([]);
+    });
+
+    test('should warn about the invalid byte sequences replaced in each input', async () => {
+        const buffer = Buffer.from([...Buffer.from('café crème '), 0xff, ...Buffer.from(' café crème'), 0xe2, 0x82]);
+        const { results, warnings } = await analyze([{ name: 'damaged', buffer }], { size: 2, top: 1 });
+
+        expect(results[0].sequences[0]).toMatchObject({ sequence: 'café crème', count: 2 });
+        expect(warnings).toEqual(['WARNING: Replaced 2 invalid byte sequence(s) in damaged, read as utf-8. Use --encoding to read it in another encoding.']);
+
+        const forced = await analyze([{ path: path.join(__dirname, 'inputs/latin1.txt') }], { size: 2, top: 1, encoding: 'utf-8' });
+        expect(forced.warnings[0]).toContain('in ' + path.join(__dirname, 'inputs/latin1.txt') + ', read as utf-8.');
+        await expect(analyze('text', { encoding: 'ebcdic' })).rejects.toThrow('Invalid argument for --encoding: ebcdic.');
+    });
+
+    test('should read Windows-1252 quotes and dashes that Latin-1 leaves as control characters', async () => {
+        const file = path.join(__dirname, 'inputs/windows_1252.txt');
+        const { occurrences } = await concordance([{ path: file }], 'café crème', { context: 2 });
+        const latin1 = await concordance([{ path: file }], 'café crème', { context: 2, encoding: 'latin1' });
+
+        expect(occurrences.map(({ before, after }) => [before, after])).toEqual([['“Le ', '” et la'], ['brûlée — un ', ', s’il']]);
+        expect(latin1.occurrences.map(({ before, after }) => [before, after])).toEqual([['\x93Le ', '\x94 et la'], ['brûlée \x97 un ', ', s\x92il']]);
+    });
+
+    test('should count a UTF-16 file whole when splitting files across workers', async () => {
+        const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ngrams-encoding-'));
+        try {
+            const file = path.join(tmpDir, 'moby_dick_utf16.txt');
+            const original = path.join(__dirname, 'inputs/moby_dick.txt');
+            fs.writeFileSync(file, Buffer.from(fs.readFileSync(original, 'utf8'), 'utf16le'));
+            const options = { sizes: [3] };
+
+            expect(await splitFilesToRanges([file], 4)).toEqual([{ file, fileIndex: 0 }]);
+            const [parallel] = await processFilesInParallel([file], 4, false, options);
+            const [single] = await processFilesAsOne([original], options);
+            expect(new Map(parallel.sequences)).toEqual(new Map(single.sequences));
+        } finally {
+            fs.rmSync(tmpDir, { recursive: true, force: true });
+        }
+    });
+})
+
+
+describe('Case', () => {
+    const text = 'The White Whale swam. The white whale dove. New York City and new york city and New York City.';
+
+    test('should count regardless of case and list each sequence in its most frequent form with its variants', async () => {
+        const { results } = await analyze(text, { top: 'all', preserveCase: true, variants: true });
+        const listed = new Map(results[0].sequences.map(({ sequence, count, variants }) => [sequence, [count, variants]]));
+
+        expect(results[0].sequences[0].sequence).toBe('New York City');
+        expect(listed.get('New York City')).toEqual([3, [{ form: 'New York City', count: 2 }, { form: 'new york city', count: 1 }]]);
+        expect(listed.get('The White Whale')).toEqual([2, [{ form: 'The White Whale', count: 1 }, { form: 'The white whale', count: 1 }]]);
+        expect(listed.has('the white whale')).toBe(false);
+        expect(results[0].total).toBe((await analyze(text)).results[0].total);
+    });
+
+    test('should count forms that differ in case separately with --case-sensitive', async () => {
+        const { results } = await analyze(text, { top: 'all', caseSensitive: true, stopwords: ['en'], stopwordMode: 'edge' });
+        const counts = new Map(results[0].sequences.map(({ sequence, count }) => [sequence, count]));
+
+        expect(counts.get('New York City')).toBe(2);
+        expect(counts.get('new york city')).toBe(1);
+        // Stopwords are found regardless of case
+        expect(counts.has('The White Whale')).toBe(false);
+        expect(counts.get('White Whale swam')).toBe(1);
+    });
+
+    test('should group stemmed forms regardless of case and find them in the text', async () => {
+        const { results } = await analyze('White Whales dive. The white whale swims.', { size: 2, top: 1, stem: true, preserveCase: true, variants: true, context: 0 });
+        const [sequence] = results[0].sequences;
+
+        expect(sequence.sequence).toBe('White Whales');
+        expect(sequence.variants).toEqual([{ form: 'White Whales', count: 1 }, { form: 'white whale', count: 1 }]);
+        expect(sequence.occurrences.map(({ match }) => match)).toEqual(['White Whales', 'white whale']);
+    });
+
+    test('should render the variants of each sequence', async () => {
+        const { rendered: csv } = await analyze(text, { top: 1, preserveCase: true, variants: true, format: 'csv' });
+
+        expect(csv).toContain(',variants\n');
+        expect(csv).toContain(',New York City:2;new york city:1\n');
+        expect(renderSequences([{ file: 'a', size: 3, sequences: [['New York City', 3, { variants: [['New York City', 2], ['new york city', 1]] }]] }]))
+            .toContain('1. New York City - 3\n    "New York City" 2, "new york city" 1\n');
+    });
+
+    test('should reject case options that cannot be combined', async () => {
+        await expect(analyze(text, { variants: true })).rejects.toThrow('--variants needs --preserve-case or --stem');
+        await expect(analyze(text, { caseSensitive: true, preserveCase: true })).rejects.toThrow('--case-sensitive cannot be combined with --preserve-case.');
+        await expect(analyze(text, { approximate: true, preserveCase: true })).rejects.toThrow('--approximate cannot be combined with --preserve-case.');
+    });
+})
+
+
+describe('File expansion', () => {
+    let corpus;
+
+    beforeAll(() => {
+        corpus = fs.mkdtempSync(path.join(os.tmpdir(), 'corpus-'));
+        ['books/drafts', '.git', 'books/node_modules/words'].forEach(directory => fs.mkdirSync(path.join(corpus, directory), { recursive: true }));
+        ['a.txt', 'notes.md', 'image.png', 'books/b.txt', 'books/c.html', 'books/drafts/d.txt', '.hidden.txt', '.git/e.txt', 'books/node_modules/words/f.txt'].forEach(file => {
+            fs.writeFileSync(path.join(corpus, file), 'one two three');
+        });
+    });
+
+    afterAll(() => {
+        fs.rmSync(corpus, { recursive: true, force: true });
+    });
+
+    test('should convert glob patterns to regular expressions', () => {
+        expect(globToRegExp('books/**/*.txt').test('books/b.txt')).toBe(true);
+        expect(globToRegExp('books/**/*.txt').test('books/drafts/d.txt')).toBe(true);
+        expect(globToRegExp('books/*.txt').test('books/drafts/d.txt')).toBe(false);
+        expect(globToRegExp('*.{md,html}').test('notes.md')).toBe(true);
+        expect(globToRegExp('[!a]?.txt').test('bb.txt')).toBe(true);
+        expect(globToRegExp('[!a]?.txt').test('ab.txt')).toBe(false);
+        expect(globToRegExp('a.txt').test('aXtxt')).toBe(false);
+    });
+
+    test('should expand directories with supported files only', async () => {
+        const supportedExtensions = ['.txt', '.md', '.html'];
+        const topLevel = await expandFiles([corpus], { supportedExtensions });
+        expect(topLevel.files.map(file => path.relative(corpus, file))).toEqual(['a.txt', 'notes.md']);
+        expect(topLevel.unsupported.map(file => path.relative(corpus, file))).toEqual(['image.png']);
+
+        const recursive = await expandFiles([corpus], { recursive: true, exclude: ['drafts/**', '*.md'], supportedExtensions });
+        expect(recursive.files.map(file => path.relative(corpus, file))).toEqual(['a.txt', 'books/b.txt', 'books/c.html']);
+        expect(recursive.excluded.map(file => path.relative(corpus, file))).toEqual(['books/drafts/d.txt', 'notes.md']);
+    });
+
+    test('should expand glob patterns and report missing paths', async () => {
+        const result = await expandFiles([`${corpus}/**/*.txt`, `${corpus}/missing.txt`, `${corpus}/*.csv`]);
+        expect(result.files.map(file => path.relative(corpus, file))).toEqual(['a.txt', 'books/b.txt', 'books/drafts/d.txt']);
+        expect(result.missing).toEqual([`${corpus}/missing.txt`, `${corpus}/*.csv`]);
+    });
+
+    test('should skip hidden and node_modules directories unless a glob names node_modules', async () => {
+        const all = await expandFiles([`${corpus}/**`]);
+        expect(all.files.map(file => path.relative(corpus, file))).toEqual(['a.txt', 'books/b.txt', 'books/c.html', 'books/drafts/d.txt', 'image.png', 'notes.md']);
+
+        const named = await expandFiles([`${corpus}/**/node_modules/**/*.txt`]);
+        expect(named.files.map(file => path.relative(corpus, file))).toEqual(['books/node_modules/words/f.txt']);
+    });
+})
+
+
+describe('Output formats', () => {
+    const topSequences = [
+        { file: 'a.txt', sources: ['a.txt'], size: 3, total: 4, sequences: [["one two three", 3], ["two three one", 1]] },
+        { file: 'b, c.txt', sources: ['b, c.txt'], size: 3, total: 0, sequences: [] }
+    ];
+
+    test('should render text lists', () => {
+        const output = renderSequences(topSequences, 'text');
+        expect(output).toContain('TOP SEQUENCES: a.txt (n=3)');
+        expect(output).toContain('1. one two three - 3');
+        expect(output).toContain('NO SEQUENCES FOUND');
+    });
+
+    test('should render JSON with rank, count and relative frequency', () => {
+        const { results } = JSON.parse(renderSequences(topSequences, 'json'));
+        expect(results[0]).toEqual({
+            sources: ['a.txt'],
+            size: 3,
+            total: 4,
+            found: true,
+            sequences: [
+                { rank: 1, sequence: 'one two three', count: 3, frequency: 0.75 },
+                { rank: 2, sequence: 'two three one', count: 1, frequency: 0.25 }
+            ]
+        });
+        expect(results[1]).toEqual({ sources: ['b, c.txt'], size: 3, total: 0, found: false, sequences: [] });
+    });
+
+    test('should render one NDJSON line per sequence', () => {
+        const lines = renderSequences(topSequences, 'ndjson').trim().split('\n').map(line => JSON.parse(line));
+        expect(lines).toHaveLength(3);
+        expect(lines[1]).toEqual({ sources: ['a.txt'], size: 3, total: 4, found: true, rank: 2, sequence: 'two three one', count: 1, frequency: 0.25 });
+        expect(lines[2]).toEqual({ sources: ['b, c.txt'], size: 3, total: 0, found: false });
+    });
+
+    test('should render CSV with a header and quoted fields', () => {
+        expect(renderSequences(topSequences, 'csv')).toBe([
+            'sources,size,rank,sequence,count,frequency',
+            'a.txt,3,1,one two three,3,0.75',
+            'a.txt,3,2,two three one,1,0.25',
+            '"b, c.txt",3,,,0,0',
+            ''
+        ].join('\n'));
+    });
+
+    test('should render Markdown tables', () => {
+        const output = renderSequences(topSequences, 'md');
+        expect(output).toContain('## Top sequences: a.txt (n=3)');
+        expect(output).toContain('| 1 | one two three | 3 | 75.000% |');
+        expect(output).toContain('_No sequences found._');
+    });
+
+    test('should render keyness scores', () => {
+        const keySequences = [{
+            file: 'a.txt', sources: ['a.txt'], size: 3, total: 4, measure: 'log-likelihood', reference: 'other inputs',
+            sequences: [["one two three", 3, { score: 4.158883, referenceCount: 0 }]]
+        }];
+        expect(renderSequences(keySequences, 'text')).toContain('KEY SEQUENCES: a.txt (n=3, log-likelihood vs other inputs)');
+        expect(renderSequences(keySequences, 'text')).toContain('1. one two three - 3 (4.159)');
+        expect(JSON.parse(renderSequences(keySequences, 'json')).results[0].sequences[0]).toEqual(
+            { rank: 1, sequence: 'one two three', count: 3, frequency: 0.75, score: 4.158883, referenceCount: 0 });
+        expect(renderSequences(keySequences, 'csv')).toBe([
+            'sources,size,rank,sequence,count,frequency,score,reference_count',
+            'a.txt,3,1,one two three,3,0.75,4.158883,0',
+            ''
+        ].join('\n'));
+        expect(renderSequences(keySequences, 'md')).toContain('| 1 | one two three | 3 | 75.000% | 0 | 4.159 |');
+    });
+
+    test('should render approximate counts with their errors', () => {
+        const approximateSequences = [{
+            file: 'a.txt', sources: ['a.txt'], size: 3, total: 4, errorBound: 1,
+            sequences: [["one two three", 3, { error: 1 }], ["two three one", 1, { error: 0 }]]
+        }];
+        expect(renderSequences(approximateSequences, 'text')).toContain('TOP SEQUENCES: a.txt (n=3, approximate, error bound 1)');
+        expect(renderSequences(approximateSequences, 'text')).toContain('1. one two three - 3 (at least 2)\n2. two three one - 1\n');
+        expect(JSON.parse(renderSequences(approximateSequences, 'json')).results[0]).toMatchObject({ errorBound: 1, sequences: [{ count: 3, error: 1 }, { count: 1, error: 0 }] });
+        expect(renderSequences(approximateSequences, 'csv')).toContain('sources,size,rank,sequence,count,frequency,error\na.txt,3,1,one two three,3,0.75,1\n');
+        expect(renderSequences(approximateSequences, 'md')).toContain('| 1 | one two three | 3 | 75.000% | 1 |');
+    });
+})
+
+
+describe('Library API', () => {
+    test('should analyze strings, Buffers and streams without printing anything', async () => {
+        const consoleError = jest.spyOn(console, 'error');
+        const stdoutWrite = jest.spyOn(process.stdout, 'write');
+        try {
+            const { results, warnings } = await analyze([
+                "The white whale! The white whale.",
+                Buffer.from("the white whale"),
+                { name: 'chapter', stream: Readable.from(["the white ", "whale"]) }
+            ], { size: '2-3', top: 1 });
+
+            expect(warnings).toEqual([]);
+            expect(results).toHaveLength(2);
+            expect(results[1]).toEqual({
+                sources: ['input 1', 'input 2', 'chapter'],
+                size: 3,
+                total: 6,
+                found: true,
+                sequences: [{ rank: 1, sequence: 'the white whale', count: 4, frequency: 4 / 6 }]
+            });
+            expect(consoleError).not.toHaveBeenCalled();
+            expect(stdoutWrite).not.toHaveBeenCalled();
+        } finally {
+            consoleError.mockRestore();
+            stdoutWrite.mockRestore();
+        }
+    });
+
+    test('should reject streams for --compare before reading them', async () => {
+        const stream = Readable.from(["the white ", "whale"]);
+        await expect(analyze([{ path: path.join(__dirname, 'inputs/short.txt') }, stream], { compare: true, context: 2 }))
+            .rejects.toThrow('--compare needs input files given with --files (-f).');
+        expect(stream.readableDidRead).toBe(false);
+    });
+
+    test('should analyze files and list each input separately', async () => {
+        const { results } = await analyze([{ path: path.join(__dirname, 'inputs/the_white_whale.md') }, "call me ishmael"], { multiple: true, top: 1 });
+
+        expect(results.map(({ sources }) => sources)).toEqual([[path.join(__dirname, 'inputs/the_white_whale.md')], ['input 2']]);
+        expect(results[0].sequences[0]).toMatchObject({ sequence: 'the white whale', count: 5 });
+        expect(results[1].sequences[0]).toMatchObject({ sequence: 'call me ishmael', count: 1 });
+    });
+
+    test('should return warnings and report them to onWarning', async () => {
+        const onWarning = jest.fn();
+        const { results, warnings } = await analyze([
+            { path: path.join(__dirname, 'inputs/short.txt') },
+            { path: path.join(__dirname, 'inputs/invalid.js') },
+            { path: path.join(__dirname, 'inputs/missing.txt') }
+        ], { onWarning });
+
+        expect(results[0].found).toBe(true);
+        expect(warnings[0]).toBe(`Not found: ${path.join(__dirname, 'inputs/missing.txt')}`);
+        expect(warnings[2]).toContain(`Invalid input: ${path.join(__dirname, 'inputs/invalid.js')}`);
+        expect(onWarning.mock.calls.map(([message]) => message)).toEqual(warnings);
+    });
+
+    test('should reject invalid inputs and options', async () => {
+        await expect(analyze([42])).rejects.toThrow('Invalid input at index 0');
+        await expect(analyze("some text", { size: 'three' })).rejects.toThrow('Invalid argument for --size (-n): three');
+        await expect(analyze({ path: path.join(__dirname, 'inputs/missing.txt') })).rejects.toThrow('No input files found.');
+    });
+})
+
+
+describe('Concordance', () => {
+    test('should tokenize like formatText while keeping offsets into the raw text', () => {
+        const text = "Call me ISHMAEL. It's\n' odd -- 'twas";
+        const tokens = tokenizeWithOffsets(text);
+
+        expect(tokens.map(({ word }) => word).join(' ')).toBe(formatText(text));
+        expect(tokens.map(({ start, end }) => text.slice(start, end))).toEqual(['Call', 'me', 'ISHMAEL', "It's", 'odd', '--', "'twas"]);
+    });
+
+    test('should find occurrences with line, column and the surrounding raw text', () => {
+        const text = "Call me Ishmael.\nSome years ago, Ishmael\nsome years ago—never mind.";
+        const occurrences = findOccurrences(text, ['ishmael some years'], { context: 2 });
+
+        expect(occurrences).toEqual([
+            { sequence: 'ishmael some years', line: 1, column: 9, before: 'Call me ', match: 'Ishmael. Some years', after: ' ago, Ishmael' },
+            { sequence: 'ishmael some years', line: 2, column: 17, before: 'years ago, ', match: 'Ishmael some years', after: ' ago—never' }
+        ]);
+        expect(findOccurrences(text, ['ishmael some years'], { context: 0, boundary: 'sentence' })).toEqual([
+            { sequence: 'ishmael some years', line: 2, column: 17, before: '', match: 'Ishmael some years', after: '' }
+        ]);
+    });
+
+    test('should find stemmed variants and skip removed stopwords', () => {
+        const text = "The white whales swam. A white whale of the sea.";
+
+        expect(findOccurrences(text, ['white whale'], { stem: true, context: 0 }).map(({ match }) => match)).toEqual(['white whales', 'white whale']);
+        expect(findOccurrences(text, ['whale sea'], { stopwords: ['of', 'the'], stopwordMode: 'remove', context: 1 })).toEqual([
+            { sequence: 'whale sea', line: 1, column: 32, before: 'white ', match: 'whale of the sea', after: '.' }
+        ]);
+    });
+
+    test('should list an occurrence of each listed sequence for every count with context', async () => {
+        const { results } = await analyze([
+            { path: path.join(__dirname, 'inputs/the_white_whale.txt') },
+            { name: 'chapter', stream: Readable.from(["The White Whale, ", "the white whale!"]) }
+        ], { top: 5, stem: true, context: 1 });
+
+        results[0].sequences.forEach(({ count, occurrences }) => expect(occurrences).toHaveLength(count));
+        expect(results[0].sequences[0].occurrences.slice(-2)).toEqual([
+            { file: 'chapter', line: 1, column: 1, before: '', match: 'The White Whale', after: ', the' },
+            { file: 'chapter', line: 1, column: 18, before: 'Whale, ', match: 'the white whale', after: '!' }
+        ]);
+    });
+
+    test('should list the occurrences of a sequence with the concordance API', async () => {
+        const { occurrences, warnings } = await concordance([
+            { path: path.join(__dirname, 'inputs/the_white_whale.md') },
+            { path: path.join(__dirname, 'inputs/missing.txt') }
+        ], 'The  White Whale!', { context: 0 });
+
+        expect(warnings[0]).toBe(`Not found: ${path.join(__dirname, 'inputs/missing.txt')}`);
+        expect(occurrences).toHaveLength(5);
+        expect(occurrences[0]).toMatchObject({ file: path.join(__dirname, 'inputs/the_white_whale.md'), sequence: 'the white whale' });
+        await expect(concordance("text", '?!')).rejects.toThrow('Invalid sequence: "?!"');
+        await expect(concordance("text", 'the', { stopwords: ['en'], stopwordMode: 'remove' })).rejects.toThrow('that is not a stopword');
+        await expect(analyze("text", { context: -1 })).rejects.toThrow('Invalid argument for --context: -1');
+        await expect(analyze("text", { context: 2, format: 'csv' })).rejects.toThrow('--context cannot be written as csv');
+    });
+
+    test('should render the concordance in every output format', () => {
+        const occurrences = [{ file: 'a.txt', sequence: 'one two', line: 3, column: 5, before: 'zero | ', match: 'one two', after: ', three' }];
+
+        expect(renderConcordance(occurrences, 'text')).toContain('a.txt:3:5  zero | [one two], three');
+        expect(renderConcordance([], 'text')).toContain('NO OCCURRENCES FOUND');
+        expect(JSON.parse(renderConcordance(occurrences, 'json')).occurrences[0]).toEqual({ file: 'a.txt', line: 3, column: 5, sequence: 'one two', before: 'zero | ', match: 'one two', after: ', three' });
+        expect(renderConcordance(occurrences, 'csv')).toBe('file,line,column,sequence,before,match,after\na.txt,3,5,one two,zero | ,one two,", three"\n');
+        expect(renderConcordance(occurrences, 'md')).toContain('| a.txt | 3 | 5 | zero \\| **one two**, three |');
+    });
+})
+
+
+describe('Approximate counting', () => {
+    const moby = { path: path.join(__dirname, 'inputs/moby_dick.txt') };
+    const words = formatText(fs.readFileSync(path.join(__dirname, 'inputs/the_white_whale.txt'), 'utf8')).split(' ');
+
+    /**
+     * Checks that every counted word's true frequency is within its error and that unmonitored words stay below the threshold
+     */
+    function expectWithinBounds(sketch, exact) {
+        sketch.counters.forEach(({ count, error }, key) => {
+            expect(exact.get(key)).toBeLessThanOrEqual(count);
+            expect(exact.get(key)).toBeGreaterThanOrEqual(count - error);
+        });
+        exact.forEach((count, key) => {
+            if (!sketch.counters.has(key)) {
+                expect(count).toBeLessThanOrEqual(getSketchThreshold(sketch));
+            }
+        });
+    }
+
+    test('should count exactly while the sketch has room and keep bounds once it is full', () => {
+        const exact = generateSequenceMap(words.join(' '), 1);
+        const roomy = createSketch(exact.size);
+        const small = createSketch(100);
+        words.forEach(word => {
+            addToSketch(roomy, word);
+            addToSketch(small, word);
+        });
+
+        expect(new Map(Array.from(roomy.counters, ([key, { count }]) => [key, count]))).toEqual(exact);
+        expect(small.counters.size).toBe(100);
+        expect(small.total).toBe(words.length);
+        expectWithinBounds(small, exact);
+    });
+
+    test('should keep bounds when merging sketches of separate parts', () => {
+        const half = Math.floor(words.length / 2);
+        const sketches = [words.slice(0, half), words.slice(half)].map(part => {
+            const sketch = createSketch(150);
+            part.forEach(word => addToSketch(sketch, word));
+            return sketch;
+        });
+        const merged = mergeSketches(sketches[0], sketches[1]);
+        addToSketch(merged, 'whale', 2);
+
+        expect(merged.total).toBe(words.length + 2);
+        expectWithinBounds(merged, generateSequenceMap(`${words.join(' ')} whale whale`, 1));
+    });
+
+    test('should list the same top 100 as exact counting on moby_dick.txt given enough memory', async () => {
+        const exact = await analyze(moby);
+        const approximate = await analyze(moby, { approximate: true, memory: '64MB' });
+
+        expect(approximate.results[0].total).toBe(exact.results[0].total);
+        expect(approximate.results[0].sequences.map(({ sequence, count }) => [sequence, count]))
+            .toEqual(exact.results[0].sequences.map(({ sequence, count }) => [sequence, count]));
+    });
+
+    test('should report error bounds that hold for the top 100 of moby_dick.txt in little memory', async () => {
+        const exact = await analyze(moby, { top: 'all' });
+        const counts = new Map(exact.results[0].sequences.map(({ sequence, count }) => [sequence, count]));
+        const exactTop = exact.results[0].sequences.slice(0, 100).map(({ sequence }) => sequence);
+        const [result] = (await analyze(moby, { approximate: true, memory: '8MB', threads: 1 })).results;
+
+        expect(result.errorBound).toBeGreaterThan(0);
+        result.sequences.forEach(({ sequence, count, error }) => {
+            expect(counts.get(sequence)).toBeLessThanOrEqual(count);
+            expect(counts.get(sequence)).toBeGreaterThanOrEqual(count - error);
+        });
+        // A sequence occurring more often than the error bound is counted at least as often as it occurs
+        const lowestListed = result.sequences[result.sequences.length - 1].count;
+        exact.results[0].sequences.filter(({ count }) => count > result.errorBound && count > lowestListed).forEach(({ sequence }) => {
+            expect(result.sequences.map(({ sequence }) => sequence)).toContain(sequence);
+        });
+        expect(result.sequences.filter(({ sequence }) => exactTop.includes(sequence)).length).toBeGreaterThanOrEqual(85);
+    });
+
+    test('should reject options approximate counts cannot be combined with', async () => {
+        await expect(analyze("some text", { approximate: true, stem: true })).rejects.toThrow('--approximate cannot be combined with --stem.');
+        await expect(analyze("some text", { approximate: true, memory: 'lots' })).rejects.toThrow('Invalid argument for --memory: lots');
+    });
+})
+
+
+describe('Failures', () => {
+    let directory;
+    let broken;
+    const short = path.join(__dirname, 'inputs/short.txt');
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'failures-'));
+        // A gzip file cut short fails after part of it was read
+        broken = path.join(directory, 'broken.txt.gz');
+        fs.writeFileSync(broken, zlib.gzipSync(fs.readFileSync(path.join(__dirname, 'inputs/the_white_whale.txt'))).subarray(0, 3000));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should reject when a file fails to be read, naming the file', async () => {
+        await expect(analyze([{ path: broken }, { path: short }])).rejects.toThrow(`Could not count ${broken}: unexpected end of file`);
+        await expect(analyze([{ path: broken }, { path: short }], { threads: 1 })).rejects.toThrow('Use --continue-on-error');
+    });
+
+    test('should list the results of the other files with continueOnError, on one thread or with workers', async () => {
+        const expected = (await analyze({ path: short })).results[0].sequences;
+
+        for (const threads of [undefined, 1]) {
+            const { results, warnings, failures } = await analyze([{ path: broken }, { path: short }], { threads, continueOnError: true });
+            expect(results[0].sequences).toEqual(expected);
+            expect(failures).toEqual([{ file: broken, message: 'unexpected end of file' }]);
+            expect(warnings).toEqual([`Could not count ${broken}: unexpected end of file`]);
+        }
+    });
+
+    test('should fail the files of a worker that times out, and reject when every input failed', async () => {
+        const error = await analyze([{ path: short }, "some text"], { threads: 1, timeout: 0.001, continueOnError: true }).catch(err => err);
+
+        expect(error.message).toBe('Every input failed to be counted.');
+        expect(error.failures).toEqual([
+            { file: short, message: 'The worker timed out after 0.001 seconds.' },
+            { file: 'input 2', message: 'The worker timed out after 0.001 seconds.' }
+        ]);
+        await expect(analyze("some text", { timeout: -1 })).rejects.toThrow('Invalid argument for --timeout: -1');
+    });
+})
+
+
+describe('Run statistics', () => {
+    const short = path.join(__dirname, 'inputs/short.txt');
+    const echoes = path.join(__dirname, 'inputs/echoes.txt');
+
+    test('should report the tokens, unique sequences and singletons of each input and of all inputs', async () => {
+        const { stats } = await analyze([{ path: short }, "one two three"], { stats: true });
+
+        expect(stats.inputs[0]).toMatchObject({ file: short, bytes: 46, tokens: 10 });
+        expect(stats.inputs[0].lists).toEqual([{ size: 3, total: 8, unique: 6, singletonShare: 5 / 6, uniqueSequenceRatio: 0.75 }]);
+        expect(stats.inputs[1]).toMatchObject({ file: 'input 2', bytes: 13, tokens: 3 });
+        expect(stats.overall).toMatchObject({ inputs: 2, bytes: 59, tokens: 13 });
+        expect(stats.overall.lists[0]).toMatchObject({ size: 3, total: 9, unique: 6 });
+        // Files given with other inputs are counted by a worker
+        expect(stats.workers).toEqual([expect.objectContaining({ worker: 1, tasks: 1, bytes: 46, tokens: 10 })]);
+        expect((await analyze({ path: short })).stats).toBeUndefined();
+    });
+
+    test('should report the same inputs and the timing of each worker with threads', async () => {
+        const { stats } = await analyze([{ path: short }, { path: echoes }], { stats: true, threads: 2, multiple: true });
+
+        expect(stats.inputs.map(({ file, bytes, tokens }) => [file, bytes, tokens])).toEqual([[short, 46, 10], [echoes, 504, expect.any(Number)]]);
+        expect(stats.workers.reduce((sum, worker) => sum + worker.bytes, 0)).toBe(550);
+        expect(stats.workers.reduce((sum, worker) => sum + worker.tasks, 0)).toBe(2);
+        stats.workers.forEach(worker => expect(worker.seconds).toBeGreaterThanOrEqual(0));
+    });
+
+    test('should report progress until every input is done', async () => {
+        for (const threads of [undefined, 1]) {
+            const updates = [];
+            await analyze([{ path: short }, { path: echoes }], { threads, onProgress: progress => updates.push(progress) });
+
+            expect(updates[updates.length - 1]).toMatchObject({ files: 2, totalFiles: 2, bytes: 550, totalBytes: 550 });
+        }
+    });
+
+    test('should render statistics as text', () => {
+        const rendered = renderStats({
+            inputs: [{ file: 'a.txt', bytes: 46, tokens: 10, seconds: 0.5, lists: [{ size: 3, total: 8, unique: 6, singletonShare: 5 / 6, uniqueSequenceRatio: 0.75 }] }],
+            overall: { inputs: 1, bytes: 46, tokens: 10, seconds: 0.5, bytesPerSecond: 92, tokensPerSecond: 20, lists: [] },
+            workers: [{ worker: 1, tasks: 1, bytes: 46, tokens: 10, seconds: 0.25 }]
+        });
+
+        expect(rendered).toContain('STATISTICS');
+        expect(rendered).toContain('a.txt: 46 bytes, 10 tokens, 0.50 s');
+        expect(rendered).toContain('n=3: 8 sequences, 6 unique, 83.3% once, unique sequence ratio 0.750');
+        expect(rendered).toContain('Worker 1: 1 task(s), 46 bytes, 10 tokens, 0.25 s');
+    });
+})
+
+
+describe('Pattern matching', () => {
+    const moby = { path: path.join(__dirname, 'inputs/moby_dick.txt') };
+
+    test('should match literal words, any word and alternatives', () => {
+        const matcher = parseMatchPatterns(['the * whale', '(white|sperm) whale', 're:\\bahab\\b']);
+
+        expect(matcher.sizes).toEqual([2, 3]);
+        expect(matcher.test('the white whale')).toBe(true);
+        expect(matcher.test('the whale')).toBe(false);
+        expect(matcher.test('sperm whale')).toBe(true);
+        expect(matcher.test('right whale')).toBe(false);
+        expect(matcher.test('captain ahab said')).toBe(true);
+        expect(matcher.test('ahabs')).toBe(false);
+        expect(parseMatchPatterns('The White *').test('the white whale')).toBe(true);
+        expect(parseMatchPatterns('The White *', { caseSensitive: true }).test('the white whale')).toBe(false);
+        expect(parseMatchPatterns('the * whale', { stem: true }).test('the white whales')).toBe(true);
+    });
+
+    test('should reject invalid patterns and lengths that are not counted', async () => {
+        expect(() => parseMatchPatterns('the (white|) whale')).toThrow('Invalid argument for --match: the (white|) whale.');
+        expect(() => parseMatchPatterns('re:(')).toThrow('Invalid argument for --match: re:(.');
+        await expect(analyze("the white whale", { match: 'the * whale', size: 2 }))
+            .rejects.toThrow('--match pattern "the * whale" has 3 words, but sequences of 2 words are counted. Use --size (-n) 3.');
+    });
+
+    test('should list the matching sequences of moby_dick.txt in every mode, keeping the totals of all sequences', async () => {
+        const all = (await analyze(moby, { top: 'all' })).results[0];
+        const expected = all.sequences.filter(({ sequence }) => /^the \S+ whale$/.test(sequence)).slice(0, 10)
+            .map(({ sequence, count }) => [sequence, count]);
+
+        for (const options of [{}, { threads: 1 }, { threads: 1, multiple: true }]) {
+            const [result] = (await analyze(moby, { ...options, match: 'the * whale', top: 10 })).results;
+            expect(result.total).toBe(all.total);
+            expect(result.sequences.map(({ sequence, count }) => [sequence, count])).toEqual(expected);
+        }
+        expect(expected[0]).toEqual(['the sperm whale', 84]);
+    });
+
+    test('should take the sequence lengths from the patterns', async () => {
+        const { results } = await analyze(moby, { match: ['* of the sea', 'the (white|sperm) whale'], top: 1 });
+
+        expect(results.map(({ size, sequences }) => [size, sequences[0].sequence])).toEqual([[3, 'the sperm whale'], [4, 'bottom of the sea']]);
+    });
+
+    test('should match regular expressions regardless of case with --preserve-case', async () => {
+        const lowercase = (await analyze(moby, { size: 2, match: 're:\\bahab\\b', top: 5 })).results[0];
+        const preserved = (await analyze(moby, { size: 2, match: 're:\\bahab\\b', top: 5, preserveCase: true })).results[0];
+
+        expect(preserved.sequences.map(({ sequence, count }) => [sequence.toLowerCase(), count]))
+            .toEqual(lowercase.sequences.map(({ sequence, count }) => [sequence, count]));
+        expect(preserved.sequences.length).toBe(5);
+        expect(parseMatchPatterns('re:^Captain', { caseSensitive: true }).test('captain ahab')).toBe(false);
+        expect(parseMatchPatterns('re:^Captain', { caseSensitive: true }).test('Captain Ahab')).toBe(true);
+    });
+
+    test('should count sequences with skipped words', () => {
+        expect(generateSequenceMap('the white whale', 2, { skip: 1 })).toEqual(new Map([['the white', 1], ['the whale', 1], ['white whale', 1]]));
+        expect(generateSequenceMap('a b c d', 3, { skip: 1 })).toEqual(new Map([['a b c', 1], ['a b d', 1], ['a c d', 1], ['b c d', 1]]));
+    });
+
+    test('should count the same sequences with skipped words in chunks as in the whole text', async () => {
+        const text = fs.readFileSync(path.join(__dirname, 'inputs/the_white_whale.txt'), 'utf8');
+        const counter = createSequenceCounter([2, 3], { skip: 2 });
+        for (let i = 0; i < text.length; i += 1000) {
+            counter.write(text.slice(i, i + 1000));
+        }
+        counter.flush();
+
+        expect(counter.sequenceMaps.get(3)).toEqual(generateSequenceMap(formatText(text), 3, { skip: 2 }));
+        expect(counter.sequenceMaps.get(2)).toEqual(generateSequenceMap(formatText(text), 2, { skip: 2 }));
+        await expect(concordance("the white whale", "white whale", { skip: 1 })).rejects.toThrow('The concordance command cannot be combined with --skip.');
+    });
+
+    test('should reject skipping more words than the maximum', async () => {
+        await expect(analyze("the white whale", { size: 8, skip: 16 })).rejects.toThrow('Invalid argument for --skip: 16. Expected a number of words from 0 to 4.');
+        await expect(analyze("the white whale", { size: 2, skip: 4 })).resolves.toMatchObject({ warnings: [] });
+    });
+})
+
+
+describe('Merging counts', () => {
+    let directory;
+    const sperm = path.join(__dirname, 'inputs/the_sperm_whale.txt');
+    const whale = path.join(__dirname, 'inputs/the_white_whale.txt');
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'counts-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should merge the counts of shards into the ranking of counting them together', async () => {
+        const shards = [path.join(directory, 'a.counts.gz'), path.join(directory, 'b.counts.gz')];
+        await analyze({ path: sperm }, { size: '2-3', emitCounts: shards[0] });
+        await analyze([{ path: whale }, "the white whale swims"], { size: '2-3', emitCounts: shards[1], threads: 1 });
+
+        const together = await analyze([{ path: sperm }, { path: whale }, "the white whale swims"], { size: '2-3', threads: 1, top: 20 });
+        const merged = await merge(shards, { top: 20, format: 'csv' });
+        expect(merged.results.map(({ size, total, sequences }) => [size, total, sequences]))
+            .toEqual(together.results.map(({ size, total, sequences }) => [size, total, sequences]));
+        expect(merged.results[0].sources).toEqual([sperm, whale, 'input 2']);
+        expect(merged.rendered).toContain('the white whale');
+
+        // Merged counts can be merged again, listing only some of the lengths
+        const again = path.join(directory, 'c.counts.gz');
+        await merge(shards, { emitCounts: again });
+        expect((await merge(again, { size: 3, top: 20 })).results).toEqual([merged.results[1]]);
+    });
+
+    test('should reject counts that cannot be merged', async () => {
+        const shards = [path.join(directory, 'a.counts.gz'), path.join(directory, 'b.counts.gz'), path.join(directory, 'c.counts.gz')];
+        await analyze("the white whale", { emitCounts: shards[0] });
+        await analyze("the white whale", { emitCounts: shards[1], stopwords: ['en'] });
+        fs.writeFileSync(shards[2], zlib.gzipSync('{"format":"sequence-counts","version":2,"countingOptions":{},"inputs":[]}\n'));
+
+        await expect(merge(shards.slice(0, 2))).rejects.toThrow(`Cannot merge ${shards[1]} with ${shards[0]}: they were counted with different --stopwords options.`);
+        await expect(merge(shards[2])).rejects.toThrow('it was written in version 2 of the counts format');
+        await expect(merge(whale)).rejects.toThrow(`Invalid counts file ${whale}`);
+        await expect(merge(shards[0], { size: 2 })).rejects.toThrow('The counts files hold sequences of 3 words.');
+        await expect(analyze("the white whale", { emitCounts: shards[0], approximate: true })).rejects.toThrow('--approximate cannot be combined with --emit-counts.');
+    });
+})
+
+
+describe('Dispersion', () => {
+    test("should measure how evenly a sequence is spread over segments with Juilland's D", () => {
+        expect(getDispersion([2, 4], [10, 20])).toEqual({ range: 2, dispersion: 1 });
+        expect(getDispersion([5, 0, 0], [10, 10, 10])).toEqual({ range: 1, dispersion: 0 });
+        expect(getDispersion([1, 3], [8, 12]).dispersion).toBeCloseTo(2 / 3);
+        expect(getDispersion([0, 0], [8, 12])).toEqual({ range: 0, dispersion: 0 });
+        expect(getDispersion([3], [8])).toEqual({ range: 1, dispersion: null });
+    });
+
+    test('should add the range, dispersion and distribution of each sequence over segments of words', async () => {
+        const text = "the whale swims by the ship. the whale dives under the ship";
+        const { results } = await analyze(text, { size: 2, top: 'all', segmentBy: 6 });
+        const sequences = new Map(results[0].sequences.map(sequence => [sequence.sequence, sequence]));
+
+        expect(results[0].segments).toBe(2);
+        expect(sequences.get('the whale')).toMatchObject({ count: 2, range: 2, dispersion: 1, adjustedCount: 2, distribution: [1, 1] });
+        expect(sequences.get('whale swims')).toMatchObject({ count: 1, range: 1, dispersion: 0, adjustedCount: 0, distribution: [1, 0] });
+        // Sequences spanning two segments are counted in the one they end in
+        expect(sequences.get('ship the')).toMatchObject({ count: 1, range: 1, distribution: [0, 1] });
+
+        const { rendered } = await analyze(text, { size: 2, top: 1, segmentBy: 6, format: 'text' });
+        expect(rendered).toContain('1. the ship - 2 (in 2/2 segments, D 1.00)\n    ██\n');
+        const csv = await analyze(text, { size: 2, top: 1, segmentBy: 6, format: 'csv' });
+        expect(csv.rendered).toContain('segments,range,dispersion,adjusted_count,distribution\n');
+        expect(csv.rendered).toContain(',2,2,1,2,1;1\n');
+    });
+
+    test('should split inputs at headings and by file', async () => {
+        const book = "CHAPTER 1\nThe white whale.\nCHAPTER 2\nThe white whale again, the white whale.";
+        const { results } = await analyze(book, { size: 3, segmentBy: '^CHAPTER \\d+', numbers: true });
+        expect(results[0].segments).toBe(2);
+        expect(results[0].sequences[0]).toMatchObject({ sequence: 'the white whale', count: 3, range: 2, distribution: [1, 2] });
+
+        const byFile = await analyze(["the white whale", "the white whale swims", "a ship"], { segmentBy: 'file', threads: 1 });
+        expect(byFile.results[0]).toMatchObject({ segments: 3 });
+        expect(byFile.results[0].sequences[0]).toMatchObject({ sequence: 'the white whale', range: 2, distribution: [1, 1, 0] });
+
+        const { warnings } = await analyze("the white whale", { segmentBy: '^CHAPTER' });
+        expect(warnings).toEqual(['WARNING: No heading matching --segment-by found in input 1, which is a single segment.']);
+    });
+
+    test('should count each sequence in its segments as many times as in the list', async () => {
+        const whale = { path: path.join(__dirname, 'inputs/the_white_whale.txt') };
+        const sperm = { path: path.join(__dirname, 'inputs/the_sperm_whale.txt') };
+        for (const [inputs, options] of [
+            ["hello world foo hello world foo hello world foo", { segmentBy: 3 }],
+            [[whale, sperm], { segmentBy: 'file', size: '2-3' }],
+            [[whale, sperm], { segmentBy: 100, threads: 1, boundary: 'sentence' }],
+            [{ path: path.join(__dirname, 'inputs/moby_dick.txt') }, { segmentBy: '^\\s*CHAPTER \\d+', size: 2, stem: true }]
+        ]) {
+            const { results } = await analyze(inputs, { top: 20, ...options });
+            results.forEach(({ sequences }) => sequences.forEach(({ count, distribution }) => {
+                expect(distribution.reduce((sum, segmentCount) => sum + segmentCount, 0)).toBe(count);
+            }));
+        }
+    });
+
+    test('should rank by dispersion-adjusted count', async () => {
+        const inputs = ["captain ahab captain ahab captain ahab the sea", "the sea was calm"];
+        const byCount = await analyze(inputs, { size: 2, top: 2, segmentBy: 'file' });
+        expect(byCount.results[0].sequences.map(({ sequence }) => sequence)).toEqual(['captain ahab', 'ahab captain']);
+
+        const adjusted = await analyze(inputs, { size: 2, top: 2, segmentBy: 'file', rankBy: 'adjusted' });
+        expect(adjusted.results[0].sequences.map(({ sequence }) => sequence)).toEqual(['the sea', 'captain ahab']);
+        expect(adjusted.results[0].sequences[0].adjustedCount).toBeCloseTo(4 / 3);
+    });
+
+    test('should reject options that cannot be combined with segments', async () => {
+        await expect(analyze("the white whale", { rankBy: 'adjusted' })).rejects.toThrow('--rank-by adjusted needs --segment-by');
+        await expect(analyze("the white whale", { rankBy: 'dispersion' })).rejects.toThrow('Invalid argument for --rank-by: dispersion.');
+        await expect(analyze("the white whale", { segmentBy: '(' })).rejects.toThrow('Invalid argument for --segment-by: (.');
+        await expect(analyze("the white whale", { segmentBy: 'file', approximate: true })).rejects.toThrow('--approximate cannot be combined with --segment-by.');
+        await expect(analyze({ path: path.join(__dirname, 'inputs/short.txt') }, { segmentBy: 'file', compare: true })).rejects.toThrow('--segment-by cannot be combined with --compare.');
+    });
+})
+
+
+describe('Sequence cache', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'sequence-cache-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should count only new or changed files and merge them with the cached sequences', async () => {
+        const cacheDir = path.join(directory, 'cache');
+        const file = path.join(directory, 'notes.txt');
+        const whale = path.join(__dirname, 'inputs/the_white_whale.txt');
+        fs.writeFileSync(file, 'the white whale swims');
+
+        const first = await analyze([{ path: whale }, { path: file }], { cacheDir, top: 1 });
+        expect((await listCacheEntries(cacheDir)).map(({ status }) => status)).toEqual(['current', 'current']);
+
+        // A cached entry is used instead of counting the file again
+        const whaleEntry = (await listCacheEntries(cacheDir)).find(entry => entry.files.includes(whale));
+        const sequencesFile = path.join(cacheDir, `${whaleEntry.key}.sequences.json.gz`);
+        const cachedMaps = JSON.parse(zlib.gunzipSync(fs.readFileSync(sequencesFile)));
+        cachedMaps[0][1].push(['cached only sequence', 1000]);
+        fs.writeFileSync(sequencesFile, zlib.gzipSync(JSON.stringify(cachedMaps)));
+
+        fs.appendFileSync(file, ' and the white whale');
+        const second = await analyze([{ path: whale }, { path: file }], { cacheDir, top: 2 });
+        expect(second.results[0].sequences.map(({ sequence, count }) => [sequence, count])).toEqual([
+            ['cached only sequence', 1000],
+            ['the white whale', first.results[0].sequences[0].count + 1]
+        ]);
+
+        const entries = await listCacheEntries(cacheDir);
+        expect(entries.map(({ status }) => status).sort()).toEqual(['changed', 'current', 'current']);
+
+        const counted = await analyze({ path: whale }, { stats: true, top: 1 });
+        const cached = await analyze({ path: whale }, { cacheDir, stats: true, top: 1 });
+        expect(cached.stats.inputs[0]).toMatchObject({ cached: true, bytes: counted.stats.inputs[0].bytes, tokens: counted.stats.inputs[0].tokens });
+        expect(cached.stats.overall.tokens).toBeGreaterThan(0);
+        const { removed, kept } = await pruneCache(cacheDir);
+        expect(removed.map(entry => entry.files)).toEqual([[file]]);
+        expect(kept).toBe(2);
+    });
+
+    test('should not reuse sequences counted with other options', async () => {
+        const cacheDir = path.join(directory, 'cache');
+        const whale = path.join(__dirname, 'inputs/the_white_whale.txt');
+
+        const [plain] = (await analyze({ path: whale }, { cacheDir, top: 1 })).results;
+        const [filtered] = (await analyze({ path: whale }, { cacheDir, top: 1, stopwords: ['en'], stopwordMode: 'edge' })).results;
+        const [stemmed] = (await analyze({ path: whale }, { cacheDir, top: 1, stem: true })).results;
+
+        expect(await listCacheEntries(cacheDir)).toHaveLength(2);
+        expect(plain.total).not.toBe(filtered.total);
+        expect(stemmed.total).toBe(plain.total);
+    });
+
+    test('should list every file sharing the content of an entry', async () => {
+        const cacheDir = path.join(directory, 'cache');
+        const first = path.join(directory, 'first.txt');
+        const second = path.join(directory, 'second.txt');
+        fs.writeFileSync(first, 'the white whale swims');
+        fs.writeFileSync(second, 'the white whale swims');
+
+        await analyze({ path: first }, { cacheDir });
+        await analyze({ path: second }, { cacheDir });
+        fs.appendFileSync(first, ' and dives');
+
+        const entries = await listCacheEntries(cacheDir);
+        expect(entries.map(({ files, status }) => ({ files, status }))).toEqual([{ files: [first, second], status: 'current' }]);
+        fs.rmSync(second);
+        expect((await listCacheEntries(cacheDir)).map(({ status }) => status)).toEqual(['changed']);
+    });
+
+    test('should not reuse sequences of the same bytes read in another format', async () => {
+        const cacheDir = path.join(directory, 'cache');
+        const markdown = path.join(directory, 'notes.md');
+        const text = path.join(directory, 'notes.txt');
+        fs.writeFileSync(markdown, '[the white whale](https://example.com/ship)');
+        fs.writeFileSync(text, '[the white whale](https://example.com/ship)');
+
+        const [fromMarkdown] = (await analyze({ path: markdown }, { cacheDir, size: 1 })).results;
+        const [fromText] = (await analyze({ path: text }, { cacheDir, size: 1 })).results;
+
+        expect([fromMarkdown.total, fromText.total]).toEqual([3, 7]);
+        expect(await listCacheEntries(cacheDir)).toHaveLength(2);
+    });
+})
+
+
+describe('Watch mode', () => {
+    let directory;
+
+    beforeEach(() => {
+        directory = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-'));
+    });
+
+    afterEach(() => {
+        fs.rmSync(directory, { recursive: true, force: true });
+    });
+
+    test('should list the sequences that are new, moved, changed count or dropped out since the last update', () => {
+        const previous = [{ file: 'draft.txt', sources: ['draft.txt'], size: 2, total: 9, sequences: [['a b', 4], ['b c', 3], ['c d', 2]] }];
+        const current = [{ file: 'draft.txt', sources: ['draft.txt'], size: 2, total: 10, sequences: [['b c', 5], ['a b', 4], ['d e', 1]] }];
+
+        expect(diffRankings(previous, current)).toEqual([{
+            sources: ['draft.txt'],
+            size: 2,
+            total: 10,
+            changes: [
+                { sequence: 'b c', rank: 1, count: 5, previousRank: 2, previousCount: 3 },
+                { sequence: 'a b', rank: 2, count: 4, previousRank: 1, previousCount: 4 },
+                { sequence: 'd e', rank: 3, count: 1, previousRank: null, previousCount: null }
+            ],
+            removed: [{ sequence: 'c d', previousRank: 3, previousCount: 2 }]
+        }]);
+        expect(diffRankings(current, current)).toEqual([]);
+
+        const rendered = renderWatchUpdate(current, { deltas: diffRankings(previous, current) }, 'text');
+        expect(rendered).toContain('\x1b[1;33m1. b c - 5 (+2, was #2)\x1b[0m');
+        expect(rendered).toContain('\x1b[1;33m3. d e - 1 (new)\x1b[0m');
+    });
+
+    test('should count only the files that change and keep the others in memory', async () => {
+        const draft = path.join(directory, 'draft.txt');
+        const notes = path.join(directory, 'notes.txt');
+        fs.writeFileSync(draft, 'the white whale swims');
+        fs.writeFileSync(notes, 'call me ishmael');
+
+        const updates = [];
+        let nextUpdate;
+        const watcher = await watch({ path: directory }, { top: 2, debounce: 20 }, update => {
+            updates.push(update);
+            if (nextUpdate) {
+                nextUpdate();
+            }
+        });
+        try {
+            expect(updates).toHaveLength(1);
+            expect(updates[0].changedFiles.sort()).toEqual([draft, notes]);
+            expect(updates[0].deltas[0].changes.every(change => change.previousRank === null)).toBe(true);
+
+            const updated = new Promise(resolve => { nextUpdate = resolve; });
+            fs.writeFileSync(draft, 'the white whale swims and the white whale dives');
+            await updated;
+        } finally {
+            watcher.close();
+        }
+
+        const [, second] = updates;
+        expect(second.changedFiles).toEqual([draft]);
+        expect(second.results[0].total).toBe(8);
+        expect(second.deltas[0].changes).toContainEqual({ sequence: 'the white whale', rank: 1, count: 2, previousRank: 2, previousCount: 1 });
+    });
+
+    test('should watch each subdirectory where directories cannot be watched recursively', async () => {
+        const nested = path.join(directory, 'books', 'drafts');
+        fs.mkdirSync(nested, { recursive: true });
+        const draft = path.join(nested, 'draft.txt');
+        fs.writeFileSync(draft, 'the white whale');
+
+        const fsWatch = fs.watch;
+        const watchSpy = jest.spyOn(fs, 'watch').mockImplementation((watched, options, listener) => {
+            if (options.recursive) {
+                const error = new Error('The feature watch recursively is unavailable on the current platform');
+                error.code = 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM';
+                throw error;
+            }
+            return fsWatch(watched, options, listener);
+        });
+
+        const updates = [];
+        let nextUpdate;
+        let watcher;
+        try {
+            watcher = await watch({ path: directory }, { recursive: true, debounce: 20 }, update => {
+                updates.push(update);
+                if (nextUpdate) {
+                    nextUpdate();
+                }
+            });
+            expect(watchSpy.mock.calls.filter(([, options]) => !options.recursive).map(([watched]) => path.relative(directory, watched)).sort())
+                .toEqual(['', 'books', 'books/drafts']);
+
+            const updated = new Promise(resolve => { nextUpdate = resolve; });
+            fs.writeFileSync(draft, 'the white whale swims');
+            await updated;
+        } finally {
+            if (watcher) {
+                watcher.close();
+            }
+            watchSpy.mockRestore();
+        }
+
+        expect(updates[1].changedFiles).toEqual([draft]);
+        expect(updates[1].results[0].total).toBe(2);
+    });
+
+    test('should reject inputs that cannot be watched', async () => {
+        await expect(watch('the white whale')).rejects.toThrow('--watch needs input files given with --files (-f).');
+        await expect(watch({ path: directory }, { compare: true })).rejects.toThrow('--watch cannot be combined with --compare.');
+        await expect(watch({ path: directory }, { format: 'csv' })).rejects.toThrow('--watch writes text or ndjson');
+    });
+})
+
+
+describe('HTTP server', () => {
+    let server;
+    let port;
+
+    beforeAll(done => {
+        server = createServer({ maxBodySize: 1024, maxConcurrency: 1, threads: 1 });
+        server.listen(0, '127.0.0.1', () => {
+            port = server.address().port;
+            done();
+        });
+    });
+
+    afterAll(done => {
+        server.close(done);
+    });
+
+    const startRequest = (method, requestPath, headers = {}) => {
+        const req = http.request({ host: '127.0.0.1', port, method, path: requestPath, headers });
+        const response = new Promise((resolve, reject) => {
+            req.on('response', res => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks).toString('utf8') }));
+            });
+            req.on('error', reject);
+        });
+        return { req, response };
+    };
+
+    const request = (method, requestPath, body, headers) => {
+        const { req, response } = startRequest(method, requestPath, headers);
+        req.end(body);
+        return response;
+    };
+
+    test('should answer health checks', async () => {
+        const { status, body } = await request('GET', '/health');
+        expect(status).toBe(200);
+        expect(JSON.parse(body)).toEqual({ status: 'ok', active: 0, maxConcurrency: 1 });
+    });
+
+    test('should analyze a raw text body with query options', async () => {
+        const { status, headers, body } = await request('POST', '/analyze?size=2&top=1', 'The white whale! The white whale.');
+        expect(status).toBe(200);
+        expect(headers['content-type']).toBe('application/json; charset=utf-8');
+        expect(JSON.parse(body)).toEqual({
+            results: [{ sources: ['body'], size: 2, total: 5, found: true, sequences: [{ rank: 1, sequence: 'the white', count: 2, frequency: 0.4 }] }],
+            warnings: []
+        });
+    });
+
+    test('should analyze each part of a multipart body', async () => {
+        const multipart = [
+            '--XyZ', 'Content-Disposition: form-data; name="page"; filename="page.html"', 'Content-Type: text/html', '',
+            '<p>the white <b>whale</b></p>',
+            '--XyZ', 'Content-Disposition: form-data; name="note"', '',
+            'call me ishmael',
+            '--XyZ--', ''
+        ].join('\r\n');
+        const { status, body } = await request('POST', '/analyze?format=text&multiple=true', multipart, { 'Content-Type': 'multipart/form-data; boundary=XyZ' });
+        expect(status).toBe(200);
+        expect(body).toMatch(/TOP SEQUENCES: page\.html \(n=3\) \*+\n\n1\. the white whale - 1\n/);
+        expect(body).toMatch(/TOP SEQUENCES: note \(n=3\) \*+\n\n1\. call me ishmael - 1\n/);
+    });
+
+    test('should analyze a batch of named documents separately', async () => {
+        const documents = [{ name: 'a', text: 'one two three one two three' }, { text: 'four five six' }];
+        const { status, body } = await request('POST', '/analyze/batch?top=1&format=csv', JSON.stringify({ documents }), { 'Content-Type': 'application/json' });
+        expect(status).toBe(200);
+        expect(body).toBe('sources,size,rank,sequence,count,frequency\na,3,1,one two three,2,0.5\ndocument 2,3,1,four five six,1,1\n');
+    });
+
+    test('should answer errors with JSON', async () => {
+        const responses = await Promise.all([
+            request('POST', '/analyze?size=x', 'text'),
+            request('POST', '/analyze?stopwords=/etc/passwd', 'text'),
+            request('POST', '/analyze/batch', '{"documents": []}'),
+            request('GET', '/analyze'),
+            request('GET', '/missing'),
+            request('POST', '/analyze', 'x'.repeat(2048)),
+            request('POST', '/analyze?match=re:(a%2B)%2B$', 'text'),
+            request('POST', '/analyze?segment-by=^CHAPTER', 'text'),
+            request('POST', '/analyze?size=8&skip=16', 'text'),
+            request('POST', '/analyze?size=2-100', 'text')
+        ]);
+        expect(responses.map(({ status }) => status)).toEqual([400, 400, 400, 405, 404, 413, 400, 400, 400, 400]);
+        expect(JSON.parse(responses[0].body).error).toContain('Invalid argument for --size (-n): x');
+        expect(JSON.parse(responses[5].body).error).toBe('The request body is larger than the limit of 1024 bytes.');
+        expect(JSON.parse(responses[6].body).error).toBe('Invalid argument for match: re:(a+)+$. Regular expressions are not accepted by the server.');
+        expect(JSON.parse(responses[7].body).error).toContain('Invalid argument for segment-by: ^CHAPTER.');
+        expect(JSON.parse(responses[8].body).error).toBe('Invalid argument for skip: 16. The server accepts at most 2.');
+        expect(JSON.parse(responses[9].body).error).toBe('Invalid argument for size: 2-100. The server accepts at most 10.');
+    });
+
+    test('should answer failures other than invalid options with 500', async () => {
+        let failing;
+        jest.isolateModules(() => {
+            jest.doMock('..', () => ({ analyze: async () => { throw new Error('EMFILE: too many open files'); } }));
+            failing = require('../server').createServer();
+        });
+        await new Promise(resolve => failing.listen(0, '127.0.0.1', resolve));
+        const response = await new Promise((resolve, reject) => {
+            const req = http.request({ host: '127.0.0.1', port: failing.address().port, method: 'POST', path: '/analyze' }, res => {
+                const chunks = [];
+                res.on('data', chunk => chunks.push(chunk));
+                res.on('end', () => resolve({ status: res.statusCode, body: Buffer.concat(chunks).toString('utf8') }));
+            });
+            req.on('error', reject);
+            req.end('text');
+        });
+        await new Promise(resolve => failing.close(resolve));
+        expect(response).toEqual({ status: 500, body: '{"error":"The analysis failed."}\n' });
     });
 
-    test('splits array into 3 chunks', () => {
-        const array = [1, 2, 3, 4, 5];
-        const result = splitArrayToNChunks(array, 3);
-        expect(result).toEqual([[1, 2], [3, 4], [5]]);
+    test('should refuse requests over the concurrency cap', async () => {
+        const slow = startRequest('POST', '/analyze');
+        slow.req.write('the white ');
+        // Wait until the server has started reading the first request
+        await new Promise(resolve => setTimeout(resolve, 100));
+
+        const busy = await request('POST', '/analyze', 'call me ishmael');
+        expect(busy.status).toBe(503);
+        expect(busy.headers['retry-after']).toBe('1');
+
+        slow.req.end('whale');
+        const { status, body } = await slow.response;
+        expect(status).toBe(200);
+        expect(JSON.parse(body).results[0].sequences[0].sequence).toBe('the white whale');
     });
 })
 
@@ -134,7 +1654,8 @@ describe('Command Line Execution', () => {
             if (error) {
                 done(error);
             } else {
-                expect(stdout).toContain('Invalid argument for -t. Using default number of threads.');
+                expect(stderr).toContain('Invalid argument for -t. Using default number of threads.');
+                expect(stdout).not.toContain('Invalid argument');
                 done();
             }
         });
@@ -145,7 +1666,7 @@ describe('Command Line Execution', () => {
             if (error) {
                 done(error);
             } else {
-                expect(stdout).toContain('WARNING');
+                expect(stderr).toContain('WARNING');
                 done();
             }
         });
@@ -171,7 +1692,7 @@ describe('Command Line Execution', () => {
             if (error) {
                 done(error);
             } else {
-                expect(stdout).toContain('This program only accepts .txt files.');
+                expect(stderr).toContain('Invalid input: inputs/invalid.js\nThis program only accepts .txt');
 
                 done();
             }
@@ -204,8 +1725,9 @@ describe('Command Line Execution', () => {
                     expect(stdout).toContain("TOP SEQUENCES: inputs/extract_moby_dick.txt,inputs/short.txt,inputs/extract_moby_dick.txt");
                     expect(stdout).toContain("1. the greenland whale - 8");
                     expect(stdout).toContain("2. greenland whale is - 6");
-                    expect(stdout).toContain("3. the great sperm - 4");
-                    expect(stdout).toContain("4. great sperm whale - 4");
+                    expect(stdout).toContain("3. great sperm whale - 4");
+                    expect(stdout).toContain("4. of the seas - 4");
+                    expect(stdout).toContain("6. the great sperm - 4");
 
                     done();
                 }
@@ -223,8 +1745,9 @@ describe('Command Line Execution', () => {
                     expect(stdout).toContain("TOP SEQUENCES: inputs/extract_moby_dick.txt, inputs/short.txt, inputs/extract_moby_dick.txt");
                     expect(stdout).toContain("1. the greenland whale - 8");
                     expect(stdout).toContain("2. greenland whale is - 6");
-                    expect(stdout).toContain("3. the great sperm - 4");
-                    expect(stdout).toContain("4. great sperm whale - 4");
+                    expect(stdout).toContain("3. great sperm whale - 4");
+                    expect(stdout).toContain("4. of the seas - 4");
+                    expect(stdout).toContain("6. the great sperm - 4");
 
                     done();
                 }
@@ -249,6 +1772,415 @@ describe('Command Line Execution', () => {
     });
 
 
+    test('should execute index.js with a range of sequence lengths', (done) => {
+        execFile('node', ['../index.js', '-f', 'inputs/echoes.txt', '-n', '2-4'], { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toContain("TOP SEQUENCES: inputs/echoes.txt (n=2)");
+                expect(stdout).toContain("TOP SEQUENCES: inputs/echoes.txt (n=3)");
+                expect(stdout).toContain("TOP SEQUENCES: inputs/echoes.txt (n=4)");
+                expect(stdout).toContain("1. in the - 8");
+                expect(stdout).toContain("quiet quiet night - 4");
+                expect(stdout).toContain("the night night night - 4");
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js in parallel with a range of sequence lengths', (done) => {
+        execFile('node', ['../index.js', '-f', 'inputs/echoes.txt', 'inputs/short.txt', '-n', '2-3', '-t', 2, '-m'], { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toContain("TOP SEQUENCES: inputs/echoes.txt (n=2)");
+                expect(stdout).toContain("TOP SEQUENCES: inputs/short.txt (n=3)");
+                expect(stdout).toContain("two three - 3");
+                expect(stdout).toContain("one two three - 3");
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js with JSON output and warnings on stderr', (done) => {
+        execFile('node', ['../index.js', '-f', 'inputs/short.txt', 'inputs/invalid.js', '--format', 'json'], { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                const { results } = JSON.parse(stdout);
+                expect(results[0].sources).toEqual(['inputs/short.txt']);
+                expect(results[0].sequences[0]).toEqual({ rank: 1, sequence: 'one two three', count: 3, frequency: 0.375 });
+                expect(stderr).toContain('Invalid input: inputs/invalid.js\nThis program only accepts .txt');
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js writing CSV to an output file', (done) => {
+        const output = path.join(os.tmpdir(), `sequences-${process.pid}.csv`);
+        exec(`cat inputs/echoes.txt | ../index.js --format csv -o ${output}`, { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                const csv = fs.readFileSync(output, 'utf8');
+                fs.unlinkSync(output);
+                expect(stdout).toBe('');
+                expect(csv).toContain('sources,size,rank,sequence,count,frequency');
+                expect(csv).toMatch(/stdin,3,\d+,quiet quiet night,4,/);
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js with top and minimum count options', (done) => {
+        execFile('node', ['../index.js', '-f', 'inputs/echoes.txt', '--top', '3', '--min-count', '2'], { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toContain([
+                    "1. in the night - 4",
+                    "2. in the quiet - 4",
+                    "3. night night night - 4"
+                ].join('\n'));
+                expect(stdout).not.toContain("4. ");
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js listing all sequences above a minimum count', (done) => {
+        execFile('node', ['../index.js', '-f', 'inputs/echoes.txt', '--top', 'all', '--min-count', '2'], { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toContain("light in the - 2");
+                expect(stdout).not.toMatch(/ - 1$/m);
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js with stopwords', (done) => {
+        execFile('node', ['../index.js', '-f', 'inputs/moby_dick.txt', '--stopwords', 'en', '--stopword-mode', 'edge', '--top', '3'], { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toContain("1. round and round - 17");
+                expect(stdout).not.toContain("of the");
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js with stemming', (done) => {
+        execFile('node', ['../index.js', '-f', 'inputs/moby_dick.txt', '--stem', '--top', '3'], { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toContain("1. the sperm whale - 114");
+                expect(stdout).toContain("3. the white whale - 84");
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js comparing files', (done) => {
+        execFile('node', ['../index.js', '-f', 'inputs/moby_dick.txt', 'inputs/second_coming.txt', '--compare', '--top', '2'], { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toContain("KEY SEQUENCES: inputs/moby_dick.txt (n=3, log-likelihood vs other inputs)");
+                expect(stdout).toContain("1. the sperm whale - 84");
+                expect(stdout).toContain("KEY SEQUENCES: inputs/second_coming.txt (n=3, log-likelihood vs other inputs)");
+                expect(stdout).toContain("1. the second coming - 2 (28.68)");
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js comparing a file to a reference corpus', (done) => {
+        execFile('node', ['../index.js', '-f', 'inputs/second_coming.txt', '--compare', '--reference', 'inputs/moby_dick.txt', '--measure', 'tf-idf', '--top', '1'], { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toContain("KEY SEQUENCES: inputs/second_coming.txt (n=3, tf-idf vs inputs/moby_dick.txt)");
+                expect(stdout).toContain("1. the second coming - 2");
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js comparing a single file without a reference', (done) => {
+        execFile('node', ['../index.js', '-f', 'inputs/second_coming.txt', '--compare'], { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                expect(stderr).toContain('--compare needs at least two input files or a --reference corpus.');
+                done();
+            } else {
+                done(new Error('Expected error, but none was thrown.'));
+            }
+        });
+    });
+
+    test('should execute index.js with sentence boundaries', (done) => {
+        exec('echo "It was in my purse. And nothing else was in my purse. And nothing more." | ../index.js --boundary sentence', { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toContain("1. in my purse - 2");
+                expect(stdout).not.toContain("purse and nothing");
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js serve and answer requests', (done) => {
+        const child = spawn('node', ['../index.js', 'serve', '--port', '0'], { cwd: __dirname });
+        child.stdout.once('data', data => {
+            const [, port] = /Listening on http:\/\/127\.0\.0\.1:(\d+)/.exec(data.toString()) || [];
+            http.get({ host: '127.0.0.1', port, path: '/health' }, res => {
+                expect(res.statusCode).toBe(200);
+                child.kill();
+                res.resume();
+                done();
+            }).on('error', err => {
+                child.kill();
+                done(err);
+            });
+        });
+    });
+
+    test('should execute index.js with a file that fails and exit with code 2 after listing the other files', (done) => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'failures-'));
+        const broken = path.join(directory, 'broken.txt.gz');
+        fs.writeFileSync(broken, zlib.gzipSync(fs.readFileSync(path.join(__dirname, 'inputs/the_white_whale.txt'))).subarray(0, 3000));
+
+        execFile('../index.js', ['-f', broken, 'inputs/short.txt', '-t', '1', '--continue-on-error'], { cwd: __dirname }, (error, stdout, stderr) => {
+            fs.rmSync(directory, { recursive: true, force: true });
+            expect(error.code).toBe(2);
+            expect(stderr).toBe(`Could not count ${broken}: unexpected end of file\n`);
+            expect(stdout).toContain("1. one two three - 3");
+
+            done();
+        });
+    });
+
+    test('should execute index.js with --watch and write each update as NDJSON when stdout is not a terminal', (done) => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'watch-cli-'));
+        const draft = path.join(directory, 'draft.txt');
+        fs.writeFileSync(draft, 'the white whale swims');
+
+        const child = spawn('node', ['../index.js', '-f', draft, '--watch'], { cwd: __dirname });
+        const updates = [];
+        let output = '';
+        child.stdout.on('data', data => {
+            output += data.toString();
+            const lines = output.split('\n');
+            output = lines.pop();
+            lines.forEach(line => updates.push(JSON.parse(line)));
+            if (updates.length === 1 && lines.length) {
+                fs.appendFileSync(draft, ' and the white whale dives');
+            } else if (updates.length === 2) {
+                child.kill();
+                fs.rmSync(directory, { recursive: true, force: true });
+                expect(updates[0].changedFiles).toEqual([draft]);
+                expect(updates[1].lists[0].changes[0]).toEqual({ sequence: 'the white whale', rank: 1, count: 2, previousRank: 1, previousCount: 1 });
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js with --preserve-case and --variants', (done) => {
+        execFile('../index.js', ['-f', 'inputs/the_white_whale.txt', '--preserve-case', '--variants', '--top', '1'], { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toMatch(/1\. the White Whale - 64\n    "the White Whale" \d+, "the white whale" \d+/);
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js with Thai text and --locale th', (done) => {
+        execFile('../index.js', ['-f', 'inputs/thai.txt', '--locale', 'th', '--top', '1'], { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toContain("1. ชอบ กิน ข้าว - 3");
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js with UTF-16 stdin input and --encoding', (done) => {
+        exec('cat inputs/utf16be.txt | ../index.js -n 2 --top 1 && cat inputs/latin1.txt | ../index.js -n 2 --top 1 --encoding utf-8', { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toContain("1. café crème - 2");
+                expect(stderr).toContain("WARNING: Replaced 8 invalid byte sequence(s) in stdin, read as utf-8. Use --encoding to read it in another encoding.");
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js with --stats and --progress, writing both to stderr', (done) => {
+        execFile('../index.js', ['-f', 'inputs/short.txt', 'inputs/echoes.txt', '-t', '1', '--stats', '--progress'], { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toContain("TOP SEQUENCES");
+                expect(stdout).not.toContain("STATISTICS");
+                expect(stderr).toContain("Counted 2/2 input(s), 0.00 of 0.00 MB (100%)");
+                expect(stderr).toContain("inputs/short.txt: 46 bytes, 10 tokens");
+                expect(stderr).toContain("n=3: 8 sequences, 6 unique, 83.3% once, unique sequence ratio 0.750");
+                expect(stderr).toMatch(/Overall: 2 input\(s\), 550 bytes, \d+ tokens/);
+                expect(stderr).toContain("Worker 1: 2 task(s), 550 bytes");
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js with --match and --skip', (done) => {
+        execFile('../index.js', ['-f', 'inputs/the_white_whale.txt', '--match', 'the (white|sperm) *', '--skip', '1', '--top', '2'], { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toContain("(n=3)");
+                expect(stdout).toMatch(/1\. the white whale - \d+/);
+                expect(stdout).not.toContain("3. ");
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js with --segment-by chapters', (done) => {
+        execFile('../index.js', ['-f', 'inputs/moby_dick.txt', '--segment-by', '^\\s*CHAPTER \\d+', '-n', '2', '--top', '1'], { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toContain("1. of the - 1839 (in 130/136 segments, D 0.95)");
+                expect(stdout.split('\n')[4]).toMatch(/^    [.▁▂▃▄▅▆▇█]{60}$/);
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js with --emit-counts and the merge command', (done) => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'counts-cli-'));
+        const counts = path.join(directory, 'short.counts.gz');
+
+        exec(`../index.js -f inputs/short.txt --emit-counts ${counts} && ../index.js merge ${counts} ${counts} --format csv`, { cwd: __dirname }, (error, stdout, stderr) => {
+            fs.rmSync(directory, { recursive: true, force: true });
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toContain("1,one two three,6,");
+
+                done();
+            }
+        });
+    });
+
+    test('should execute the concordance command', (done) => {
+        execFile('../index.js', ['concordance', 'the white whale', '-f', 'inputs/the_white_whale.txt', '--context', '3'], { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toContain("CONCORDANCE: the white whale (64 occurrence(s))");
+                expect(stdout).toMatch(/inputs\/the_white_whale\.txt:14:39 +sharp eye for \[the white whale\]; a sharp lance\n/);
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js listing the occurrences of each sequence from stdin', (done) => {
+        exec('echo "Call me Ishmael. Call me Ishmael." | ../index.js --top 1 --context 1', { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toContain("1. call me ishmael - 2\n    stdin:1:1            [Call me Ishmael]. Call\n    stdin:1:18  Ishmael. [Call me Ishmael].\n");
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js with a cache directory and cache commands', (done) => {
+        const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sequence-cache-'));
+        exec(`../index.js -f inputs/short.txt --cache-dir ${cacheDir} && ../index.js cache inspect --cache-dir ${cacheDir} && ../index.js cache clear --cache-dir ${cacheDir}`, { cwd: __dirname }, (error, stdout, stderr) => {
+            fs.rmSync(cacheDir, { recursive: true, force: true });
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toContain("1. one two three - 3");
+                expect(stdout).toContain(`${cacheDir}: 1 entry`);
+                expect(stdout).toMatch(/current +\S+short\.txt \(n=3, /);
+                expect(stdout).toContain("Removed 1 entry.");
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js with HTML and Markdown input', (done) => {
+        execFile('node', ['../index.js', '-f', 'inputs/the_white_whale.html', 'inputs/the_white_whale.md', 'inputs/invalid.js', '-t', 2, '-m'], { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toContain("TOP SEQUENCES: inputs/the_white_whale.html");
+                expect(stdout).toContain("TOP SEQUENCES: inputs/the_white_whale.md");
+                expect(stdout).toContain("1. the white whale - 5");
+                expect(stderr).toContain('Invalid input: inputs/invalid.js');
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js with a directory and glob patterns', (done) => {
+        execFile('node', ['../index.js', '-f', 'inputs', 'inputs/*_whale.{txt,md}', 'inputs/missing.txt', '--exclude', '*moby*', '--top', '1'], { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                done(error);
+            } else {
+                expect(stdout).toContain("1. the sperm whale - 74");
+                expect(stderr).toContain("Not found: inputs/missing.txt");
+                expect(stderr).toMatch(/Found 20 file\(s\), skipped 4 \(3 excluded, 1 unsupported\), failed 1\./);
+
+                done();
+            }
+        });
+    });
+
+    test('should execute index.js with no matching files', (done) => {
+        execFile('node', ['../index.js', '-f', 'inputs/*.csv'], { cwd: __dirname }, (error, stdout, stderr) => {
+            if (error) {
+                expect(stderr).toContain('No input files found.');
+                done();
+            } else {
+                done(new Error('Expected error, but none was thrown.'));
+            }
+        });
+    });
+
     test('should execute index.js with empty stdin input', (done) => {
         exec('cat inputs/empty.txt | ../index.js', { cwd: __dirname }, (error, stdout, stderr) => {
             if (error) {
@@ -0,0 +1,144 @@
+const HYPHEN_MODES = ['join', 'split']
+const APOSTROPHE_MODES = ['join', 'split']
+
+// Scripts written without spaces between words, with the locale their words are found with when none is given.
+// Kana is checked before Han so Japanese text mixing both is split as Japanese.
+const UNSPACED_SCRIPTS = [
+    ['th', /\p{Script=Thai}/u],
+    ['lo', /\p{Script=Lao}/u],
+    ['km', /\p{Script=Khmer}/u],
+    ['my', /\p{Script=Myanmar}/u],
+    ['ja', /[\p{Script=Hiragana}\p{Script=Katakana}]/u],
+    ['zh', /\p{Script=Han}/u]
+]
+// Characters of a run segmented at a time. Every segment Intl.Segmenter returns holds a copy of the text it segments,
+// so long runs are segmented in windows to keep that from growing with the square of the run length.
+const SEGMENT_WINDOW = 256
+const UNSPACED = /[\p{Script=Thai}\p{Script=Lao}\p{Script=Khmer}\p{Script=Myanmar}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Han}]/u
+
+/**
+ * Creates a tokenizer splitting raw text into lowercase words. Text is split at whitespace and at every character that
+ * is not part of a word, and runs of scripts written without spaces, such as Chinese, Japanese and Thai, are split
+ * further with the word segmentation of Intl.Segmenter.
+ * @param {Object} options - locale (auto to pick it from the script of each run, or a BCP 47 tag), numbers to keep
+ * digits, hyphens and apostrophes, either join to keep them inside words or split to split words at them, and
+ * lowercase, false to keep the original case of words
+ * @returns {Object} - Tokenizer with words(text), returning the words, and tokens(text), returning the words with their
+ * start and end offsets in the text
+ */
+function createTokenizer(options = {}) {
+    const { locale = 'auto', numbers = false, hyphens = 'join', apostrophes = 'join', lowercase = true } = options
+    if (!HYPHEN_MODES.includes(hyphens)) {
+        throw new Error(`Invalid argument for --hyphens: ${hyphens}. Expected one of ${HYPHEN_MODES.join(', ')}.`)
+    }
+    if (!APOSTROPHE_MODES.includes(apostrophes)) {
+        throw new Error(`Invalid argument for --apostrophes: ${apostrophes}. Expected one of ${APOSTROPHE_MODES.join(', ')}.`)
+    }
+    if (locale !== 'auto') {
+        try {
+            Intl.getCanonicalLocales(locale)
+        } catch (err) {
+            throw new Error(`Invalid argument for --locale: ${locale}. Expected auto or a language tag such as th, ja or zh-Hant.`)
+        }
+    }
+
+    const kept = `\\p{Letter}\\p{Mark}${numbers ? '\\p{Number}' : ''}\\s${apostrophes === 'join' ? "'" : ''}${hyphens === 'join' ? '-' : ''}`
+    // Decimal points and thousands separators between two digits are part of the number
+    const notKept = new RegExp(`${numbers ? '(?!(?<=\\p{Nd})[.,]\\p{Nd})' : ''}[^${kept}]`, 'gu')
+    const toLowerCase = lowercase ? text => foldCase(text, locale) : text => text
+    const segmenters = new Map()
+
+    /**
+     * Replaces the characters that are not part of any word with spaces
+     * @param {string} text - Raw text
+     * @param {boolean} keepLength - Whether to replace each character with as many spaces as it is long
+     * @returns {string} - Text with words separated by whitespace
+     */
+    function blank(text, keepLength) {
+        const replacement = keepLength ? match => ' '.repeat(match.length) : ' '
+        const blanked = text.replace(notKept, replacement)
+        // Apostrophes standing on their own are quotes rather than part of a word
+        return apostrophes === 'join' ? blanked.replace(/\s+'\s+/g, replacement) : blanked
+    }
+
+    /**
+     * Splits a run of text without whitespace into words when it contains a script written without spaces
+     * @param {string} run - Text between whitespace
+     * @returns {Array|null} - Word segments with the segment and its index in the run, or null to keep the run whole
+     */
+    function segment(run) {
+        if (!UNSPACED.test(run)) {
+            return null
+        }
+        const runLocale = locale === 'auto' ? UNSPACED_SCRIPTS.find(([, script]) => script.test(run))[0] : locale
+        if (!segmenters.has(runLocale)) {
+            segmenters.set(runLocale, new Intl.Segmenter(runLocale, { granularity: 'word' }))
+        }
+        const segments = []
+        let offset = 0
+        while (offset < run.length) {
+            const windowSegments = Array.from(segmenters.get(runLocale).segment(run.slice(offset, offset + SEGMENT_WINDOW)))
+            // The last segment of a window may be cut short, so the next window starts with it
+            const next = offset + SEGMENT_WINDOW < run.length && windowSegments.length > 1 ? windowSegments.pop() : null
+            windowSegments.forEach(({ segment, index, isWordLike }) => {
+                if (isWordLike) {
+                    segments.push({ segment, index: offset + index })
+                }
+            })
+            offset = next ? offset + next.index : offset + SEGMENT_WINDOW
+        }
+        return segments
+    }
+
+    return {
+        /**
+         * Splits raw text into words
+         * @param {string} text - Raw text
+         * @returns {Array} - Words, lowercase unless lowercase is false
+         */
+        words(text) {
+            const runs = blank(toLowerCase(text), false).split(/\s+/).filter(Boolean)
+            if (!UNSPACED.test(text)) {
+                return runs
+            }
+            return runs.flatMap(run => {
+                const segments = segment(run)
+                return segments ? segments.map(({ segment }) => segment) : [run]
+            })
+        },
+
+        /**
+         * Splits raw text into words, keeping where each word starts and ends in the raw text
+         * @param {string} text - Raw text
+         * @returns {Array} - Tokens with the word, lowercase unless lowercase is false, and its start and end offsets in the raw text
+         */
+        tokens(text) {
+            const tokens = []
+            for (const match of blank(text, true).matchAll(/\S+/g)) {
+                const segments = segment(match[0]) || [{ segment: match[0], index: 0 }]
+                segments.forEach(({ segment, index }) => {
+                    const start = match.index + index
+                    tokens.push({ word: toLowerCase(segment), start, end: start + segment.length })
+                })
+            }
+            return tokens
+        }
+    }
+}
+
+/**
+ * Lowercases text by the rules of a language, so words differing only in case are counted together
+ * @param {string} text - Text
+ * @param {string} locale - auto for the default rules, or a BCP 47 tag such as tr
+ * @returns {string} - Lowercase text
+ */
+function foldCase(text, locale = 'auto') {
+    return locale === 'auto' ? text.toLowerCase() : text.toLocaleLowerCase(locale)
+}
+
+module.exports = {
+    APOSTROPHE_MODES,
+    HYPHEN_MODES,
+    createTokenizer,
+    foldCase
+}
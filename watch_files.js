@@ -0,0 +1,212 @@
+const fs = require('fs');
+const path = require('path');
+const { SKIPPED_DIRECTORIES, expandFiles, getPatternBase } = require('./expand_files');
+
+// Milliseconds to wait after the last file system event before looking for changes, since saving a file often
+// raises several events
+const DEFAULT_DEBOUNCE = 100
+
+/**
+ * Watches files, directories and glob patterns, calling onChange with the files that were added, changed or removed.
+ * The directories holding the files are watched rather than the files, so files replaced on save by editors and files
+ * created later are noticed. Changes are found by comparing the modification time and size of each file. Where
+ * directories cannot be watched recursively, as on Linux before Node 20, each directory below them is watched instead.
+ * @param {Array} patterns - File paths, directory paths or glob patterns
+ * @param {Object} options - recursive, exclude and supportedExtensions as taken by expandFiles, debounce in
+ * milliseconds and an optional warn(message) function for changes that could not be handled
+ * @param {Function} onChange - Async function called with an object with the files found, the changed files,
+ * the removed files and the expansion from expandFiles, first with every file found and then on each change.
+ * Calls never overlap.
+ * @returns {Promise<Object>} - Watcher with a close() function, resolved once the first call to onChange is done
+ */
+async function watchFiles(patterns, options = {}, onChange) {
+    const { recursive = false, exclude = [], supportedExtensions = [], debounce = DEFAULT_DEBOUNCE } = options
+    const warn = options.warn || console.error
+    const watchers = new Map()
+    let signatures = new Map()
+    let first = true
+    let timer = null
+    let scanning = false
+    let pending = false
+    let closed = false
+    let canWatchRecursively = true
+
+    const schedule = () => {
+        if (closed) {
+            return
+        }
+        clearTimeout(timer)
+        timer = setTimeout(() => {
+            scan().catch(err => warn(err.message))
+        }, debounce)
+    }
+
+    const watchDirectory = async (directory, watchRecursive) => {
+        const key = `${watchRecursive ? 'recursive' : 'flat'}:${path.resolve(directory)}`
+        if (watchers.has(key)) {
+            return
+        }
+        if (watchRecursive && !canWatchRecursively) {
+            // Directories created later raise an event in their parent, and are watched by the scan that follows
+            for (const subdirectory of await listDirectories(directory)) {
+                await watchDirectory(subdirectory, false)
+            }
+            return
+        }
+        try {
+            const watcher = fs.watch(directory, { recursive: watchRecursive }, schedule)
+            // A watched directory that is removed stops raising events, and is watched again if it comes back
+            watcher.on('error', () => {
+                watcher.close()
+                watchers.delete(key)
+                schedule()
+            })
+            watchers.set(key, watcher)
+        } catch (err) {
+            if (err.code === 'ERR_FEATURE_UNAVAILABLE_ON_PLATFORM') {
+                canWatchRecursively = false
+                await watchDirectory(directory, true)
+            }
+            // Directories that do not exist yet are watched once a scan finds them
+        }
+    }
+
+    const scan = async () => {
+        if (scanning) {
+            pending = true
+            return
+        }
+        scanning = true
+        try {
+            const expansion = await expandFiles(patterns, { recursive, exclude, supportedExtensions })
+            const current = new Map()
+            for (const file of expansion.files) {
+                const stats = await fs.promises.stat(file).catch(() => null)
+                if (stats) {
+                    current.set(file, `${stats.mtimeMs}:${stats.size}`)
+                }
+            }
+            await watchDirectories(patterns, expansion.files, recursive, watchDirectory)
+
+            const changed = Array.from(current.keys()).filter(file => signatures.get(file) !== current.get(file))
+            const removed = Array.from(signatures.keys()).filter(file => !current.has(file))
+            signatures = current
+            // The first scan calls onChange even when no files were found
+            if (!closed && (changed.length || removed.length || first)) {
+                first = false
+                await onChange({ files: Array.from(current.keys()), changed, removed, expansion })
+            }
+        } finally {
+            scanning = false
+            if (pending) {
+                pending = false
+                schedule()
+            }
+        }
+    }
+
+    const close = () => {
+        closed = true
+        clearTimeout(timer)
+        watchers.forEach(watcher => watcher.close())
+        watchers.clear()
+    }
+
+    try {
+        await scan()
+    } catch (err) {
+        close()
+        throw err
+    }
+    return { close }
+}
+
+/**
+ * Watches the directories that the files of a set of patterns are in or could appear in
+ * @param {Array} patterns - File paths, directory paths or glob patterns
+ * @param {Array} files - Files the patterns currently expand to
+ * @param {boolean} recursive - Whether the given directories are read recursively
+ * @param {Function} watchDirectory - Async function taking a directory and whether to watch it recursively
+ * @returns {Promise<void>}
+ */
+async function watchDirectories(patterns, files, recursive, watchDirectory) {
+    for (const rawPattern of patterns) {
+        const pattern = String(rawPattern)
+        const stats = await fs.promises.stat(pattern).catch(() => null)
+        if (stats && stats.isDirectory()) {
+            await watchDirectory(pattern, recursive)
+        } else {
+            // Globs can match files in any directory below their base, and missing files can be created later
+            await watchDirectory(getPatternBase(pattern), getPatternBase(pattern) !== path.dirname(pattern))
+        }
+    }
+    for (const file of files) {
+        await watchDirectory(path.dirname(file), false)
+    }
+}
+
+/**
+ * Lists a directory and the directories below it, skipping the hidden directories and those that expandFiles skips
+ * @param {string} directory - Directory path
+ * @returns {Promise<Array>} - Directory paths, empty if the directory cannot be read
+ */
+async function listDirectories(directory) {
+    const entries = await fs.promises.readdir(directory, { withFileTypes: true }).catch(() => null)
+    if (!entries) {
+        return []
+    }
+    const directories = [directory]
+    for (const entry of entries) {
+        if (entry.isDirectory() && !entry.name.startsWith('.') && !SKIPPED_DIRECTORIES.includes(entry.name)) {
+            directories.push(...await listDirectories(path.join(directory, entry.name)))
+        }
+    }
+    return directories
+}
+
+/**
+ * Works out how each list changed between two updates. Lists are matched by their name and sequence length.
+ * @param {Array} previous - Top sequences of the previous update, empty before the first update
+ * @param {Array} current - Top sequences of this update
+ * @returns {Array} - Deltas of the lists that changed, with sources, size and total, the sequences that are new or
+ * whose rank or count changed with their previous rank and count (null when new), and the sequences no longer listed
+ */
+function diffRankings(previous, current) {
+    const getKey = ts => `${ts.size}:${ts.file}`
+    const previousLists = new Map(previous.map(ts => [getKey(ts), ts]))
+    const deltas = []
+
+    current.forEach(ts => {
+        const before = previousLists.get(getKey(ts))
+        previousLists.delete(getKey(ts))
+        const previousRanks = new Map(before ? before.sequences.map(([sequence, count], index) => [sequence, { rank: index + 1, count }]) : [])
+
+        const changes = []
+        ts.sequences.forEach(([sequence, count], index) => {
+            const was = previousRanks.get(sequence)
+            previousRanks.delete(sequence)
+            if (!was || was.rank !== index + 1 || was.count !== count) {
+                changes.push({ sequence, rank: index + 1, count, previousRank: was ? was.rank : null, previousCount: was ? was.count : null })
+            }
+        })
+        const removed = Array.from(previousRanks, ([sequence, was]) => ({ sequence, previousRank: was.rank, previousCount: was.count }))
+
+        if (changes.length || removed.length || !before || before.total !== ts.total) {
+            deltas.push({ sources: ts.sources || [].concat(ts.file), size: ts.size, total: ts.total, changes, removed })
+        }
+    })
+
+    // Lists of files that are gone are emptied
+    previousLists.forEach(ts => {
+        const removed = ts.sequences.map(([sequence, count], index) => ({ sequence, previousRank: index + 1, previousCount: count }))
+        deltas.push({ sources: ts.sources || [].concat(ts.file), size: ts.size, total: 0, changes: [], removed })
+    })
+
+    return deltas
+}
+
+module.exports = {
+    DEFAULT_DEBOUNCE,
+    diffRankings,
+    watchFiles
+}